@@ -180,6 +180,28 @@ export function getRedisClient() {
   return redisClient;
 }
 
+/**
+ * Create BullMQ connection options from the Redis client
+ * BullMQ needs its own connections, so queues and workers get options
+ * rather than the shared client instance.
+ * @returns {Object} BullMQ connection config
+ */
+export function getBullMQConnection() {
+  if (!redisClient) {
+    throw new Error(
+      'Redis client not initialized. Cannot create BullMQ connection.',
+    );
+  }
+
+  return {
+    host: redisClient.options.host,
+    port: redisClient.options.port,
+    password: redisClient.options.password,
+    username: redisClient.options.username,
+    db: redisClient.options.db,
+  };
+}
+
 /**
  * Check if Redis is available and connected
  * @returns {boolean}
@@ -210,6 +232,7 @@ export default {
   connectToRedis,
   closeRedisConnection,
   getRedisClient,
+  getBullMQConnection,
   isRedisAvailable,
   checkRedisHealth,
 };
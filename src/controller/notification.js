@@ -1,8 +1,10 @@
 import Notification from '../models/notification.js';
+import { getCursorQuery, buildCursorPage } from '../utils/cursor-pagination.js';
 
 // @desc Get notifications for current user with pagination
 // @route GET /api/v1/notifications
 // @access Private - Only for logged in users
+// @query {string} after / before - Cursors for cursor pagination ('pagination=cursor' for the first page)
 async function getNotifications(req, res) {
   try {
     const { page = 1, limit = 20, unreadOnly = false } = req.query;
@@ -14,6 +16,35 @@ async function getNotifications(req, res) {
       query.isRead = false;
     }
 
+    const sort = { createdAt: -1 };
+    const cursorQuery = getCursorQuery(req.query, query, sort);
+    if (cursorQuery?.error) {
+      return res.status(400).json({
+        success: false,
+        error: cursorQuery.error,
+      });
+    }
+
+    if (cursorQuery) {
+      const cursorLimit = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
+      // One extra notification tells whether more follow
+      const items = await Notification.find(cursorQuery.filter)
+        .sort(cursorQuery.sort)
+        .limit(cursorLimit + 1)
+        .lean();
+      const { items: notifications, pagination } = buildCursorPage(
+        items,
+        cursorQuery,
+        cursorLimit,
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: notifications,
+        pagination,
+      });
+    }
+
     // Parse pagination params
     const pageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
@@ -21,7 +52,7 @@ async function getNotifications(req, res) {
 
     // Fetch notifications
     const notifications = await Notification.find(query)
-      .sort({ createdAt: -1 })
+      .sort(sort)
       .limit(limitNum)
       .skip(skip)
       .lean();
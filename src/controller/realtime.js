@@ -4,7 +4,7 @@ import { logError } from '../utils/logger.js';
 import Ride from '../models/ride.js';
 import RideTracking from '../models/ride-tracking.js';
 import RideChatMessage from '../models/ride-comments.js';
-import { calculateRideStats } from '../utils/ride-stats-calculator.js';
+import { recordTrackingPoints } from '../services/ride-tracking.service.js';
 
 /**
  * Process a single message from the webhook
@@ -108,53 +108,18 @@ async function processMessage(message, channelId) {
       return;
     }
 
-    let updatedTracking;
     try {
-      updatedTracking = await RideTracking.findOneAndUpdate(
-        { ride: rideId, user: userId },
+      await recordTrackingPoints(rideId, userId, [
         {
-          $push: {
-            path: {
-              timestamp: new Date(timestamp),
-              coordinates: {
-                type: 'Point',
-                coordinates: [longitude, latitude],
-              },
-            },
-          },
-          $set: {
-            lastKnownPosition: {
-              type: 'Point',
-              coordinates: [Number(longitude), Number(latitude)],
-              timestamp: new Date(timestamp),
-            },
-          },
-          $setOnInsert: {
-            ride: rideId,
-            user: userId,
-            trackingStatus: 'active',
-            startTime: new Date(),
+          timestamp: new Date(timestamp),
+          coordinates: {
+            type: 'Point',
+            coordinates: [longitude, latitude],
           },
         },
-        {
-          upsert: true,
-          new: true,
-          setDefaultsOnInsert: true,
-          runValidators: true,
-        }
-      );
+      ]);
     } catch (dbError) {
       logError('Database error creating/updating tracking document:', dbError);
-      return;
-    }
-
-    if (updatedTracking && updatedTracking.path.length > 0) {
-      const stats = calculateRideStats(updatedTracking.path);
-      await RideTracking.findByIdAndUpdate(updatedTracking.id, {
-        $set: {
-          calculatedStats: stats,
-        },
-      });
     }
 
     return;
@@ -1,6 +1,36 @@
 import RideChatMessage from '../models/ride-comments.js';
 import { logError } from '../utils/logger.js';
+import { getCursorQuery, buildCursorPage } from '../utils/cursor-pagination.js';
 import Ride from '../models/ride.js';
+import {
+  RidePermission,
+  hasRidePermission,
+} from '../utils/ride-permissions.js';
+
+/**
+ * Format a chat message as a GiftedChat IMessage
+ * @param {Object} message - RideChatMessage document
+ * @returns {Object} IMessage with pin details
+ */
+function formatMessage(message) {
+  return {
+    // eslint-disable-next-line no-underscore-dangle
+    _id: message._id,
+    text: message.text,
+    createdAt: message.createdAt,
+    user: message.user,
+    image: message.image,
+    video: message.video,
+    audio: message.audio,
+    system: message.system,
+    sent: message.sent,
+    received: message.received,
+    pending: message.pending,
+    pinned: message.pinned,
+    pinnedBy: message.pinnedBy,
+    pinnedAt: message.pinnedAt,
+  };
+}
 
 // @desc    Send a message to ride chat
 // @route   POST /api/v1/rides/:rideId/comments
@@ -62,20 +92,7 @@ async function addComment(req, res) {
     // Return the message in IMessage format
     res.status(201).json({
       success: true,
-      data: {
-        // eslint-disable-next-line no-underscore-dangle
-        _id: message._id,
-        text: message.text,
-        createdAt: message.createdAt,
-        user: message.user,
-        image: message.image,
-        video: message.video,
-        audio: message.audio,
-        system: message.system,
-        sent: message.sent,
-        received: message.received,
-        pending: message.pending,
-      },
+      data: formatMessage(message),
     });
   } catch (error) {
     logError('Error sending message:', error);
@@ -102,10 +119,14 @@ async function addComment(req, res) {
 // @desc    Get messages for a ride chat
 // @route   GET /api/v1/rides/:rideId/comments
 // @access  Private
+// @query   {boolean} pinned - Only return pinned messages, most recently pinned first
+// @query   {string} after - Cursor of the next (older) page (switches to cursor pagination)
+// @query   {string} before - Cursor of the previous (newer) page (switches to cursor pagination)
+// @query   {string} pagination - 'cursor' to get the first page in cursor mode
 async function getComments(req, res) {
   try {
     const { rideId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, pinned } = req.query;
     const userId = req.user.id;
 
     // Check if ride exists
@@ -134,48 +155,63 @@ async function getComments(req, res) {
     const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
     const skip = (pageNum - 1) * limitNum;
 
+    const onlyPinned = pinned === 'true';
+    const filterObj = onlyPinned
+      ? { ride: rideId, pinned: true }
+      : { ride: rideId };
+
+    const sortObj = onlyPinned ? { pinnedAt: -1 } : { createdAt: -1 };
+    const cursorQuery = getCursorQuery(req.query, filterObj, sortObj);
+    if (cursorQuery?.error) {
+      return res.status(400).json({
+        success: false,
+        error: cursorQuery.error,
+      });
+    }
+
     // Get total count for pagination
-    const totalMessages = await RideChatMessage.countDocuments({
-      ride: rideId,
-    });
+    const totalMessages = await RideChatMessage.countDocuments(filterObj);
     const totalPages = Math.ceil(totalMessages / limitNum);
 
     // Get messages with pagination (newest first for GiftedChat)
-    const messages = await RideChatMessage.find({ ride: rideId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum);
+    let messages;
+    let cursorPage = null;
+    if (cursorQuery) {
+      // One extra message tells whether more follow
+      cursorPage = buildCursorPage(
+        await RideChatMessage.find(cursorQuery.filter)
+          .sort(cursorQuery.sort)
+          .limit(limitNum + 1),
+        cursorQuery,
+        limitNum,
+      );
+      messages = cursorPage.items;
+    } else {
+      messages = await RideChatMessage.find(filterObj)
+        .sort(sortObj)
+        .skip(skip)
+        .limit(limitNum);
+    }
 
     // Transform to IMessage format
-    const formattedMessages = messages.map((msg) => ({
-      // eslint-disable-next-line no-underscore-dangle
-      _id: msg._id,
-      text: msg.text,
-      createdAt: msg.createdAt,
-      user: msg.user,
-      image: msg.image,
-      video: msg.video,
-      audio: msg.audio,
-      system: msg.system,
-      sent: msg.sent,
-      received: msg.received,
-      pending: msg.pending,
-    }));
+    const formattedMessages = messages.map(formatMessage);
 
     res.status(200).json({
       success: true,
       count: formattedMessages.length,
       total: totalMessages,
       data: formattedMessages,
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1,
-        nextPage: pageNum < totalPages ? pageNum + 1 : null,
-        prevPage: pageNum > 1 ? pageNum - 1 : null,
-        limit: limitNum,
-      },
+      pagination: cursorPage
+        ? cursorPage.pagination
+        : {
+            currentPage: pageNum,
+            totalPages,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            nextPage: pageNum < totalPages ? pageNum + 1 : null,
+            prevPage: pageNum > 1 ? pageNum - 1 : null,
+            limit: limitNum,
+          },
     });
   } catch (error) {
     logError('Error getting messages:', error);
@@ -233,20 +269,7 @@ async function updateComment(req, res) {
 
     res.status(200).json({
       success: true,
-      data: {
-        // eslint-disable-next-line no-underscore-dangle
-        _id: message._id,
-        text: message.text,
-        createdAt: message.createdAt,
-        user: message.user,
-        image: message.image,
-        video: message.video,
-        audio: message.audio,
-        system: message.system,
-        sent: message.sent,
-        received: message.received,
-        pending: message.pending,
-      },
+      data: formatMessage(message),
     });
   } catch (error) {
     logError('Error updating message:', error);
@@ -362,20 +385,7 @@ async function getComment(req, res) {
 
     res.status(200).json({
       success: true,
-      data: {
-        // eslint-disable-next-line no-underscore-dangle
-        _id: message._id,
-        text: message.text,
-        createdAt: message.createdAt,
-        user: message.user,
-        image: message.image,
-        video: message.video,
-        audio: message.audio,
-        system: message.system,
-        sent: message.sent,
-        received: message.received,
-        pending: message.pending,
-      },
+      data: formatMessage(message),
     });
   } catch (error) {
     logError('Error getting message:', error);
@@ -392,7 +402,92 @@ async function getComment(req, res) {
   }
 }
 
+/**
+ * Pin or unpin a chat message
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} pinned - Whether the message should be pinned
+ */
+async function setMessagePinned(req, res, pinned) {
+  try {
+    const { rideId, commentId } = req.params;
+    const userId = req.user.id;
+
+    const message = await RideChatMessage.findOne({
+      _id: commentId,
+      ride: rideId,
+    });
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found',
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ride not found',
+      });
+    }
+
+    if (!hasRidePermission(ride, userId, RidePermission.PIN_MESSAGES)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner or a moderator can pin messages',
+      });
+    }
+
+    message.set(
+      pinned
+        ? { pinned: true, pinnedBy: userId, pinnedAt: new Date() }
+        : { pinned: false, pinnedBy: undefined, pinnedAt: undefined },
+    );
+    await message.save();
+
+    res.status(200).json({
+      success: true,
+      data: formatMessage(message),
+    });
+  } catch (error) {
+    logError(`Error ${pinned ? 'pinning' : 'unpinning'} message:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ride ID or message ID format',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+}
+
+// @desc    Pin a message to the top of the ride chat
+// @route   POST /api/v1/rides/:rideId/comments/:commentId/pin
+// @access  Private (owner or moderator)
+async function pinComment(req, res) {
+  return setMessagePinned(req, res, true);
+}
+
+// @desc    Unpin a message
+// @route   DELETE /api/v1/rides/:rideId/comments/:commentId/pin
+// @access  Private (owner or moderator)
+async function unpinComment(req, res) {
+  return setMessagePinned(req, res, false);
+}
+
 // Note: Like functionality removed as it's not part of standard chat UX
 // If needed, can be re-added as message reactions
 
-export { addComment, getComments, updateComment, deleteComment, getComment };
+export {
+  addComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  getComment,
+  pinComment,
+  unpinComment,
+};
@@ -0,0 +1,136 @@
+import Ride from '../models/ride.js';
+import { logError } from '../utils/logger.js';
+import { parseCoordinatePath } from '../utils/geo.js';
+import { findRidesAlongCorridor } from '../services/ride-corridor.service.js';
+import { getViewerInteractions } from '../services/ride-interaction.service.js';
+
+/**
+ * Most points accepted in a searched path
+ */
+const MAX_PATH_POINTS = 100;
+
+/**
+ * Build the searched path from a lat/lng point or a path query param
+ * @param {Object} query - Request query
+ * @returns {{path: Array<Array<number>>}|{error: string}}
+ */
+function getSearchPath({ latitude, longitude, path }) {
+  if (path) return parseCoordinatePath(path, MAX_PATH_POINTS);
+
+  if (latitude === undefined || longitude === undefined) {
+    return { error: 'Either latitude and longitude or path is required' };
+  }
+  return parseCoordinatePath(`${longitude},${latitude}`, 1);
+}
+
+// @desc    Get rides whose route, waypoints, start or end pass near a point or path
+// @route   GET /api/v1/rides/corridor
+// @access  Private
+// @query   {number} latitude - Latitude of the point (required without path)
+// @query   {number} longitude - Longitude of the point (required without path)
+// @query   {string} path - Path as lng,lat;lng,lat;... (max 100 points, replaces latitude/longitude)
+// @query   {number} radius - Distance from the point or path in meters (default: 5000, 500-50000)
+// @query   {string} difficulty - Filter by difficulty (optional)
+// @query   {number} page - Page number for pagination (default: 1)
+// @query   {number} limit - Number of rides per page (default: 10, max: 50)
+// Only the nearest MAX_CORRIDOR_RIDES rides can be paged through; `total`
+// counts every match and `truncated` is set when some were left out.
+async function getCorridorRides(req, res) {
+  try {
+    const { radius = 5000, difficulty, page = 1, limit = 10 } = req.query;
+
+    const { path, error } = getSearchPath(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const radiusValue = parseFloat(radius);
+    if (Number.isNaN(radiusValue)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Radius must be a valid number' });
+    }
+    const radiusM = Math.min(50000, Math.max(500, radiusValue)); // Limit radius between 0.5-50km
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Exclude rides where user is owner or participant
+    const filter = {
+      $and: [
+        { owner: { $ne: req.user.id } },
+        { 'participants.user': { $ne: req.user.id } },
+      ],
+      ...(difficulty && { difficulty }),
+    };
+
+    const {
+      rides: matches,
+      total,
+      truncated,
+    } = await findRidesAlongCorridor(path, radiusM, filter);
+
+    const rides = await Ride.populate(matches.slice(skip, skip + limitNum), {
+      path: 'owner',
+      select: 'name email image phoneNumber',
+      populate: { path: 'profile', select: 'handle' },
+    });
+
+    const viewerFlags = await getViewerInteractions(
+      rides.map((ride) => ride._id), // eslint-disable-line no-underscore-dangle
+      req.user.id,
+    );
+
+    const data = rides.map((ride) => {
+      const approvedCount = ride.participants.filter(
+        (p) => p.isApproved,
+      ).length;
+
+      return {
+        ...ride,
+        participants: {
+          approved: approvedCount,
+          pending: ride.participants.length - approvedCount,
+          total: ride.maxParticipants || 0,
+          available: ride.maxParticipants
+            ? ride.maxParticipants - approvedCount
+            : 0,
+        },
+        ...viewerFlags[ride._id.toString()], // eslint-disable-line no-underscore-dangle
+      };
+    });
+
+    const totalPages = Math.ceil(matches.length / limitNum);
+
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      truncated,
+      data,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < totalPages ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null,
+        limit: limitNum,
+      },
+      search: {
+        path,
+        radius: radiusM,
+        unit: 'meters',
+      },
+    });
+  } catch (err) {
+    logError('Error getting rides along corridor:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error getting rides along corridor',
+    });
+  }
+}
+
+export default getCorridorRides;
@@ -0,0 +1,88 @@
+import Ride from '../models/ride.js';
+import RideEvent from '../models/ride-event.js';
+import { logError } from '../utils/logger.js';
+import { RideEventType } from '../utils/constants.js';
+import { getRideRole } from '../utils/ride-permissions.js';
+
+// @desc    Get the history of status changes and edits of a ride
+// @route   GET /api/v1/rides/:id/history
+// @access  Private (ride participants only)
+// @query   {string} type - Filter by event type (optional)
+// @query   {number} page - Page number for pagination (default: 1)
+// @query   {number} limit - Number of events per page (default: 20, max: 50)
+async function getRideHistory(req, res) {
+  try {
+    const { id } = req.params;
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const ride = await Ride.findById(id).select('owner participants');
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (!getRideRole(ride, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only ride participants can view the ride history',
+      });
+    }
+
+    if (type && !Object.values(RideEventType).includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid event type. Must be one of: ${Object.values(RideEventType).join(', ')}`,
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filterObj = { ride: id };
+    if (type) filterObj.type = type;
+
+    const totalEvents = await RideEvent.countDocuments(filterObj);
+    const totalPages = Math.ceil(totalEvents / limitNum);
+
+    const events = await RideEvent.find(filterObj)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate({
+        path: 'actor',
+        select: 'name image',
+        populate: { path: 'profile', select: 'handle' },
+      });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total: totalEvents,
+      data: events,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < totalPages ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null,
+        limit: limitNum,
+      },
+    });
+  } catch (err) {
+    logError('Error getting ride history:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error getting ride history',
+    });
+  }
+}
+
+export default getRideHistory;
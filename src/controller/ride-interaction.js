@@ -0,0 +1,162 @@
+import Ride from '../models/ride.js';
+import RideInteraction from '../models/ride-interactions.js';
+import { logError } from '../utils/logger.js';
+import { RideInteractionType } from '../utils/constants.js';
+import {
+  toggleRideInteraction,
+  getViewerInteractions,
+} from '../services/ride-interaction.service.js';
+
+/**
+ * Toggle a heart or bookmark on a ride for the logged-in user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} interactionType - One of RideInteractionType
+ */
+async function toggleInteraction(req, res, interactionType) {
+  try {
+    const { id } = req.params;
+
+    const ride = await Ride.exists({ _id: id });
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    const { active, heartCount } = await toggleRideInteraction(
+      id,
+      req.user.id,
+      interactionType,
+    );
+
+    const flag =
+      interactionType === RideInteractionType.HEART
+        ? 'isHearted'
+        : 'isBookmarked';
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rideId: id,
+        [flag]: active,
+        heartCount,
+      },
+    });
+  } catch (err) {
+    logError(`Error toggling ride ${interactionType}:`, err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: `Server Error toggling ride ${interactionType}.`,
+    });
+  }
+}
+
+// @desc    Heart or un-heart a ride
+// @route   POST /api/v1/rides/:id/heart
+// @access  Private
+async function toggleHeart(req, res) {
+  return toggleInteraction(req, res, RideInteractionType.HEART);
+}
+
+// @desc    Bookmark or un-bookmark a ride
+// @route   POST /api/v1/rides/:id/bookmark
+// @access  Private
+async function toggleBookmark(req, res) {
+  return toggleInteraction(req, res, RideInteractionType.BOOKMARK);
+}
+
+// @desc    Get rides bookmarked by the logged-in user
+// @route   GET /api/v1/users/me/bookmarks
+// @access  Private
+// @query   {number} page - Page number for pagination (default: 1)
+// @query   {number} limit - Number of rides per page (default: 10, max: 50)
+async function getMyBookmarks(req, res) {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const userId = req.user.id;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filterObj = {
+      user: userId,
+      interactionType: RideInteractionType.BOOKMARK,
+    };
+
+    const totalBookmarks = await RideInteraction.countDocuments(filterObj);
+    const totalPages = Math.ceil(totalBookmarks / limitNum);
+
+    const bookmarks = await RideInteraction.find(filterObj)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate({
+        path: 'ride',
+        populate: {
+          path: 'owner',
+          select: 'name email image phoneNumber',
+          populate: { path: 'profile', select: 'handle' },
+        },
+      })
+      .lean();
+
+    // Bookmarks of rides that no longer exist are skipped
+    const saved = bookmarks.filter((b) => b.ride);
+    const flags = await getViewerInteractions(
+      saved.map((b) => b.ride._id), // eslint-disable-line no-underscore-dangle
+      userId,
+    );
+
+    const data = saved.map(({ ride, createdAt }) => {
+      const approvedCount = ride.participants.filter(
+        (p) => p.isApproved,
+      ).length;
+
+      return {
+        ...ride,
+        // eslint-disable-next-line no-underscore-dangle
+        ...flags[ride._id.toString()],
+        bookmarkedAt: createdAt,
+        participants: {
+          approved: approvedCount,
+          pending: ride.participants.length - approvedCount,
+          total: ride.maxParticipants || 0,
+          available: ride.maxParticipants
+            ? ride.maxParticipants - approvedCount
+            : 0,
+        },
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total: totalBookmarks,
+      data,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < totalPages ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null,
+        limit: limitNum,
+      },
+    });
+  } catch (err) {
+    logError('Error getting bookmarked rides:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error getting bookmarked rides.',
+    });
+  }
+}
+
+export { toggleHeart, toggleBookmark, getMyBookmarks };
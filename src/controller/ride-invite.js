@@ -0,0 +1,456 @@
+import Ride from '../models/ride.js';
+import RideInvite from '../models/ride-invite.js';
+import RideRequest from '../models/ride-requests.js';
+import RideWaitlist, {
+  ACTIVE_STATUSES as ACTIVE_WAITLIST_STATUSES,
+} from '../models/ride-waitlist.js';
+import { logError } from '../utils/logger.js';
+import { RideStatus } from '../utils/constants.js';
+import {
+  RidePermission,
+  hasRidePermission,
+} from '../utils/ride-permissions.js';
+import {
+  generateInviteId,
+  signInviteToken,
+  verifyInviteToken,
+  buildInviteLink,
+} from '../utils/ride-invite-token.js';
+import {
+  countPendingOffers,
+  shouldJoinWaitlist,
+  addToWaitlist,
+  addParticipantIfSpace,
+} from '../services/ride-waitlist.service.js';
+import { rescheduleRemindersForRide } from '../services/ride-notification.service.js';
+
+const DEFAULT_INVITE_HOURS = 72;
+const MAX_INVITE_HOURS = 30 * 24;
+
+/**
+ * Format an invite for its owner, with a fresh link while it is usable
+ * @param {Object} invite - RideInvite document
+ * @returns {Object} Invite details
+ */
+function formatInvite(invite) {
+  const token = invite.isActive ? signInviteToken(invite) : null;
+
+  return {
+    id: invite.id,
+    ride: invite.ride,
+    maxUses: invite.maxUses ?? null,
+    uses: invite.uses,
+    expiresAt: invite.expiresAt,
+    revokedAt: invite.revokedAt ?? null,
+    lastUsedAt: invite.lastUsedAt ?? null,
+    isActive: invite.isActive,
+    createdAt: invite.createdAt,
+    token,
+    link: token ? buildInviteLink(token) : null,
+  };
+}
+
+/**
+ * Resolve an invite token to its invite record
+ * @param {string} token - Token from an invite link
+ * @returns {Promise<{invite?: Object, error?: string}>}
+ */
+async function resolveInvite(token) {
+  const payload = verifyInviteToken(token);
+  if (!payload) {
+    return { error: 'This invite link is invalid or has expired.' };
+  }
+
+  const invite = await RideInvite.findOne({
+    jti: payload.jti,
+    ride: payload.ride,
+  });
+  if (!invite || invite.revokedAt) {
+    return { error: 'This invite link has been revoked.' };
+  }
+  if (!invite.isActive) {
+    return { error: 'This invite link is no longer valid.' };
+  }
+
+  return { invite };
+}
+
+// @desc    Create an invite link for a ride
+// @route   POST /api/v1/rides/:id/invites
+// @access  Private (ride owner only)
+// @body    {number} expiresInHours - Link lifetime in hours (default: 72, max: 720)
+// @body    {number} maxUses - Number of riders who can join with the link (optional)
+async function createInvite(req, res) {
+  try {
+    const { id } = req.params;
+    const { expiresInHours = DEFAULT_INVITE_HOURS, maxUses } = req.body;
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (!hasRidePermission(ride, req.user.id, RidePermission.MANAGE_INVITES)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can create invite links',
+      });
+    }
+
+    if (![RideStatus.PLANNED, RideStatus.ACTIVE].includes(ride.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot invite riders to a ${ride.status} ride.`,
+      });
+    }
+
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_INVITE_HOURS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInHours must be greater than 0 and at most ${MAX_INVITE_HOURS}.`,
+      });
+    }
+
+    if (
+      maxUses !== undefined &&
+      maxUses !== null &&
+      (!Number.isInteger(maxUses) || maxUses < 1)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxUses must be a positive whole number.',
+      });
+    }
+
+    const invite = await RideInvite.create({
+      ride: ride.id,
+      createdBy: req.user.id,
+      jti: generateInviteId(),
+      maxUses: maxUses ?? undefined,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatInvite(invite),
+    });
+  } catch (err) {
+    logError('Error creating ride invite:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error creating ride invite.' });
+  }
+}
+
+// @desc    Get the invite links of a ride
+// @route   GET /api/v1/rides/:id/invites
+// @access  Private (ride owner only)
+async function getInvites(req, res) {
+  try {
+    const { id } = req.params;
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (!hasRidePermission(ride, req.user.id, RidePermission.MANAGE_INVITES)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can view invite links',
+      });
+    }
+
+    const invites = await RideInvite.find({ ride: ride.id }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: invites.map(formatInvite),
+    });
+  } catch (err) {
+    logError('Error getting ride invites:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting ride invites.' });
+  }
+}
+
+// @desc    Revoke an invite link
+// @route   DELETE /api/v1/rides/:id/invites/:inviteId
+// @access  Private (ride owner only)
+async function revokeInvite(req, res) {
+  try {
+    const { id, inviteId } = req.params;
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (!hasRidePermission(ride, req.user.id, RidePermission.MANAGE_INVITES)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can revoke invite links',
+      });
+    }
+
+    const invite = await RideInvite.findOne({ _id: inviteId, ride: ride.id });
+    if (!invite) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Invite not found for this ride' });
+    }
+
+    if (!invite.revokedAt) {
+      invite.set({ revokedAt: new Date(), revokedBy: req.user.id });
+      await invite.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite link revoked',
+      data: formatInvite(invite),
+    });
+  } catch (err) {
+    logError('Error revoking ride invite:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID or invite ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error revoking ride invite.' });
+  }
+}
+
+// @desc    Preview the ride behind an invite link
+// @route   GET /api/v1/rides/invites/:token
+// @access  Private
+async function getInvitePreview(req, res) {
+  try {
+    const { invite, error } = await resolveInvite(req.params.token);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const ride = await Ride.findById(invite.ride)
+      .select(
+        'name description startTime endTime startLocation difficulty maxParticipants participants status rideId owner',
+      )
+      .populate({
+        path: 'owner',
+        select: '_id name image',
+        populate: { path: 'profile', select: 'handle' },
+      });
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'The invited ride no longer exists' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ride: {
+          id: ride.id,
+          rideId: ride.rideId,
+          name: ride.name,
+          description: ride.description,
+          startTime: ride.startTime,
+          endTime: ride.endTime,
+          startLocation: ride.startLocation,
+          difficulty: ride.difficulty,
+          status: ride.status,
+          owner: ride.owner,
+          participantsCount: ride.participants.length,
+          maxParticipants: ride.maxParticipants ?? null,
+        },
+        expiresAt: invite.expiresAt,
+        isParticipant: ride.participants.some(
+          (p) => p.user.toString() === req.user.id.toString(),
+        ),
+      },
+    });
+  } catch (err) {
+    logError('Error previewing ride invite:', err);
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error previewing ride invite.' });
+  }
+}
+
+// @desc    Join a ride with an invite link, skipping the approval step
+// @route   POST /api/v1/rides/invites/:token/join
+// @access  Private
+async function joinByInvite(req, res) {
+  try {
+    const userId = req.user.id;
+
+    const { invite, error } = await resolveInvite(req.params.token);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const ride = await Ride.findById(invite.ride);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'The invited ride no longer exists' });
+    }
+
+    if (![RideStatus.PLANNED, RideStatus.ACTIVE].includes(ride.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `This ride is ${ride.status} and can no longer be joined.`,
+      });
+    }
+
+    if (ride.participants.some((p) => p.user.toString() === userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already a participant of this ride.',
+      });
+    }
+
+    const isWaitlisted = await RideWaitlist.exists({
+      ride: ride.id,
+      user: userId,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    });
+    if (isWaitlisted) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already on the waitlist for this ride.',
+      });
+    }
+
+    // Count the use atomically so a limited link cannot be overused
+    const claimed = await RideInvite.findOneAndUpdate(
+      {
+        _id: invite.id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+        $or: [
+          { maxUses: { $exists: false } },
+          { maxUses: null },
+          { $expr: { $lt: ['$uses', '$maxUses'] } },
+        ],
+      },
+      { $inc: { uses: 1 }, $set: { lastUsedAt: new Date() } },
+      { new: true },
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        error: 'This invite link is no longer valid.',
+      });
+    }
+
+    // The invite replaces any open join request for this ride
+    await RideRequest.deleteMany({
+      ride: ride.id,
+      user: userId,
+      status: { $in: ['pending', 'rejected'] },
+    });
+
+    const joinedRide = (await shouldJoinWaitlist(ride))
+      ? null
+      : await addParticipantIfSpace(
+          ride.id,
+          userId,
+          await countPendingOffers(ride.id),
+        );
+
+    if (!joinedRide) {
+      // Only riders who actually join use up the invite
+      await RideInvite.updateOne(
+        { _id: invite.id, uses: { $gt: 0 } },
+        { $inc: { uses: -1 } },
+      );
+
+      const { entry, position } = await addToWaitlist(ride, userId);
+
+      return res.status(200).json({
+        success: true,
+        waitlisted: true,
+        message: `This ride is full. You are #${position} on the waitlist.`,
+        data: {
+          waitlistEntryId: entry.id,
+          position,
+          rideId: ride.rideId,
+          rideName: ride.name,
+        },
+      });
+    }
+
+    // Redis caching temporarily disabled
+    // await invalidateRideCache(ride.id);
+
+    try {
+      await rescheduleRemindersForRide(joinedRide.id, {
+        rideName: joinedRide.name,
+        rideStartTime: joinedRide.startTime,
+        ownerId: joinedRide.owner.toString(),
+        participantIds: joinedRide.participants.map((p) => p.user.toString()),
+      });
+    } catch (reminderError) {
+      logError(
+        'Failed to reschedule reminders after invite join:',
+        reminderError,
+      );
+      // Don't fail the request - reminders are non-critical
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully joined the ride!',
+      data: joinedRide,
+    });
+  } catch (err) {
+    logError('Error joining ride by invite:', err);
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already on the waitlist for this ride.',
+      });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error joining ride by invite.' });
+  }
+}
+
+export {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  getInvitePreview,
+  joinByInvite,
+};
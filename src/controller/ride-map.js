@@ -0,0 +1,201 @@
+import Ride from '../models/ride.js';
+import { logError } from '../utils/logger.js';
+import { RideStatus } from '../utils/constants.js';
+import {
+  parseBoundingBox,
+  buildBoundingBoxFilter,
+  getGridCellSize,
+} from '../utils/geo.js';
+
+/**
+ * Highest zoom level at which rides are grouped into clusters
+ */
+const MAX_CLUSTER_ZOOM = 11;
+
+/**
+ * Zoom level used when the client does not send one
+ */
+const DEFAULT_ZOOM = MAX_CLUSTER_ZOOM + 1;
+
+/**
+ * Most markers (rides or clusters) returned for one viewport
+ */
+const MAX_MAP_MARKERS = 500;
+
+/**
+ * Ride fields returned for each marker
+ */
+const MARKER_FIELDS = {
+  name: 1,
+  rideId: 1,
+  startTime: 1,
+  status: 1,
+  difficulty: 1,
+  visibility: 1,
+  maxParticipants: 1,
+  'startLocation.coordinates': 1,
+  'startLocation.address.city': 1,
+};
+
+/**
+ * Shape a ride into a map marker
+ * @param {Object} ride - Lean ride or the sample ride of a cell
+ * @returns {Object} Ride marker
+ */
+function toRideMarker(ride) {
+  return {
+    type: 'ride',
+    id: ride._id, // eslint-disable-line no-underscore-dangle
+    coordinates: ride.startLocation.coordinates,
+    name: ride.name,
+    rideId: ride.rideId,
+    startTime: ride.startTime,
+    status: ride.status,
+    difficulty: ride.difficulty,
+    visibility: ride.visibility,
+    maxParticipants: ride.maxParticipants,
+    city: ride.startLocation.address?.city,
+  };
+}
+
+/**
+ * Group the rides of a viewport into grid cells
+ * @param {Object} filter - Ride filter
+ * @param {number} zoom - Map zoom level
+ * @returns {Promise<{markers: Array<Object>, truncated: boolean}>}
+ */
+async function getClusterMarkers(filter, zoom) {
+  const cellSize = getGridCellSize(zoom);
+  const lng = { $arrayElemAt: ['$startLocation.coordinates', 0] };
+  const lat = { $arrayElemAt: ['$startLocation.coordinates', 1] };
+
+  const cells = await Ride.aggregate([
+    { $match: filter },
+    { $project: MARKER_FIELDS },
+    { $addFields: { lng, lat } },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$lng', cellSize] } },
+          y: { $floor: { $divide: ['$lat', cellSize] } },
+        },
+        count: { $sum: 1 },
+        lng: { $avg: '$lng' },
+        lat: { $avg: '$lat' },
+        minLng: { $min: '$lng' },
+        minLat: { $min: '$lat' },
+        maxLng: { $max: '$lng' },
+        maxLat: { $max: '$lat' },
+        ride: { $first: '$$ROOT' },
+      },
+    },
+    { $sort: { count: -1 } },
+    { $limit: MAX_MAP_MARKERS + 1 },
+  ]);
+
+  const markers = cells.slice(0, MAX_MAP_MARKERS).map((cell) => {
+    if (cell.count === 1) return toRideMarker(cell.ride);
+
+    return {
+      type: 'cluster',
+      count: cell.count,
+      coordinates: [cell.lng, cell.lat],
+      bounds: [cell.minLng, cell.minLat, cell.maxLng, cell.maxLat],
+      // Zoom at which the cluster is split into smaller cells
+      expansionZoom: Math.min(zoom + 2, MAX_CLUSTER_ZOOM + 1),
+    };
+  });
+
+  return { markers, truncated: cells.length > MAX_MAP_MARKERS };
+}
+
+/**
+ * Get the individual rides of a viewport, soonest first
+ * @param {Object} filter - Ride filter
+ * @returns {Promise<{markers: Array<Object>, truncated: boolean}>}
+ */
+async function getRideMarkers(filter) {
+  const rides = await Ride.find(filter)
+    .select(MARKER_FIELDS)
+    .sort({ startTime: 1 })
+    .limit(MAX_MAP_MARKERS + 1)
+    .lean();
+
+  return {
+    markers: rides.slice(0, MAX_MAP_MARKERS).map(toRideMarker),
+    truncated: rides.length > MAX_MAP_MARKERS,
+  };
+}
+
+// @desc    Get rides inside a map viewport, clustered at low zoom levels
+// @route   GET /api/v1/rides/map
+// @access  Private
+// @query   {string} bbox - Viewport as minLng,minLat,maxLng,maxLat (required; minLng > maxLng crosses the antimeridian)
+// @query   {number} zoom - Map zoom level 0-22 (default: 12); rides are clustered up to zoom 11
+// @query   {string} status - Filter by status: planned or active (optional, default: both)
+// @query   {string} difficulty - Filter by difficulty (optional)
+async function getMapRides(req, res) {
+  try {
+    const { bbox: bboxStr, zoom: zoomStr, status, difficulty } = req.query;
+
+    if (!bboxStr) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'bbox is required' });
+    }
+
+    const { bbox, error } = parseBoundingBox(bboxStr);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const zoom = zoomStr === undefined ? DEFAULT_ZOOM : Number(zoomStr);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+      return res.status(400).json({
+        success: false,
+        error: 'zoom must be a whole number between 0 and 22',
+      });
+    }
+
+    const mapStatuses = [RideStatus.PLANNED, RideStatus.ACTIVE];
+    if (status && !mapStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${mapStatuses.join(', ')}`,
+      });
+    }
+
+    const filter = {
+      ...buildBoundingBoxFilter(bbox, 'startLocation'),
+      status: status || { $in: mapStatuses },
+      archivedAt: null,
+      ...(difficulty && { difficulty }),
+    };
+
+    const clustered = zoom <= MAX_CLUSTER_ZOOM;
+    const { markers, truncated } = clustered
+      ? await getClusterMarkers(filter, zoom)
+      : await getRideMarkers(filter);
+
+    return res.status(200).json({
+      success: true,
+      count: markers.length,
+      clustered,
+      truncated,
+      data: markers,
+      viewport: {
+        bbox,
+        zoom,
+        ...(clustered && { cellSize: getGridCellSize(zoom) }),
+      },
+    });
+  } catch (error) {
+    logError('Error fetching map rides:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error while fetching map rides',
+    });
+  }
+}
+
+export default getMapRides;
@@ -0,0 +1,361 @@
+import Ride from '../models/ride.js';
+import { logError } from '../utils/logger.js';
+import {
+  RideStatus,
+  RideParticipantRole,
+  RideEventType,
+} from '../utils/constants.js';
+import {
+  RidePermission,
+  hasRidePermission,
+} from '../utils/ride-permissions.js';
+import { sendAndSaveNotification } from '../utils/notification-helper.js';
+import { rescheduleRemindersForRide } from '../services/ride-notification.service.js';
+import { recordRideEvent } from '../services/ride-event.service.js';
+
+/**
+ * Find an approved participant entry of a ride
+ * @param {Object} ride - Ride document
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} Participant subdocument
+ */
+function findApprovedParticipant(ride, userId) {
+  return ride.participants.find(
+    (p) => p.user.toString() === userId.toString() && p.isApproved,
+  );
+}
+
+// @desc    Nominate an approved participant to take over the ride
+// @route   POST /api/v1/rides/:id/transfer
+// @access  Private (ride owner only)
+// @body    {string} participantId - User ID of the nominee (required)
+// @body    {string} message - Optional note for the nominee
+async function requestOwnershipTransfer(req, res) {
+  try {
+    const { id } = req.params;
+    const { participantId, message } = req.body;
+    const userId = req.user.id;
+
+    if (!participantId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the participantId of the new owner',
+      });
+    }
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (!hasRidePermission(ride, userId, RidePermission.TRANSFER_OWNERSHIP)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can transfer ownership',
+      });
+    }
+
+    if (![RideStatus.PLANNED, RideStatus.ACTIVE].includes(ride.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot transfer a ${ride.status} ride.`,
+      });
+    }
+
+    if (participantId.toString() === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already own this ride',
+      });
+    }
+
+    if (!findApprovedParticipant(ride, participantId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approved participant not found in this ride',
+      });
+    }
+
+    // A new nomination replaces any pending one
+    ride.set('ownershipTransfer', {
+      to: participantId,
+      requestedBy: userId,
+      requestedAt: new Date(),
+      message,
+    });
+    await ride.save();
+
+    await sendAndSaveNotification({
+      userId: participantId,
+      type: 'NOTIFICATION__RIDE_OWNERSHIP_TRANSFER_REQUEST',
+      title: 'Take over a ride? 🏍️',
+      body: `${req.user.name} asked you to take over "${ride.name}"`,
+      subtitle: message || 'Accept to become the ride owner.',
+      data: {
+        notificationType: 'NOTIFICATION__RIDE_OWNERSHIP_TRANSFER_REQUEST',
+        rideId: ride.id,
+        rideName: ride.name,
+        ownerName: req.user.name,
+        startTime: ride.startTime,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ownership transfer requested',
+      data: ride.ownershipTransfer,
+    });
+  } catch (err) {
+    logError('Error requesting ownership transfer:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ride ID or participant ID format',
+      });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error requesting ownership transfer',
+    });
+  }
+}
+
+// @desc    Cancel a pending ownership transfer
+// @route   DELETE /api/v1/rides/:id/transfer
+// @access  Private (ride owner only)
+async function cancelOwnershipTransfer(req, res) {
+  try {
+    const { id } = req.params;
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (
+      !hasRidePermission(ride, req.user.id, RidePermission.TRANSFER_OWNERSHIP)
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can cancel an ownership transfer',
+      });
+    }
+
+    if (!ride.ownershipTransfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'There is no pending ownership transfer for this ride',
+      });
+    }
+
+    ride.set('ownershipTransfer', undefined);
+    await ride.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Ownership transfer cancelled',
+    });
+  } catch (err) {
+    logError('Error cancelling ownership transfer:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error cancelling ownership transfer',
+    });
+  }
+}
+
+// @desc    Accept ownership of a ride you were nominated for
+// @route   POST /api/v1/rides/:id/transfer/accept
+// @access  Private (nominated participant only)
+async function acceptOwnershipTransfer(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (ride.ownershipTransfer?.to.toString() !== userId.toString()) {
+      return res.status(404).json({
+        success: false,
+        error: 'You have no pending ownership transfer for this ride',
+      });
+    }
+
+    if (![RideStatus.PLANNED, RideStatus.ACTIVE].includes(ride.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot take over a ${ride.status} ride.`,
+      });
+    }
+
+    const newOwner = findApprovedParticipant(ride, userId);
+    if (!newOwner) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are no longer a participant of this ride',
+      });
+    }
+
+    // The previous owner takes over the role the new owner had
+    const previousOwnerId = ride.owner.toString();
+    const previousOwner = ride.participants.find(
+      (p) => p.user.toString() === previousOwnerId,
+    );
+    if (previousOwner) previousOwner.role = newOwner.role;
+    newOwner.role = RideParticipantRole.OWNER;
+
+    const { message } = ride.ownershipTransfer;
+    ride.set({ owner: userId, ownershipTransfer: undefined });
+    await ride.save();
+    // Redis caching temporarily disabled
+    // await invalidateRideCache(ride.id);
+
+    await recordRideEvent({
+      ride: ride.id,
+      type: RideEventType.OWNERSHIP_TRANSFERRED,
+      actor: userId,
+      changes: [{ field: 'owner', from: previousOwnerId, to: userId }],
+      reason: message,
+    });
+
+    // Reminders carry the owner ID, so they are rebuilt for the new owner
+    try {
+      await rescheduleRemindersForRide(ride.id, {
+        rideName: ride.name,
+        rideStartTime: ride.startTime,
+        ownerId: userId.toString(),
+        participantIds: ride.participants.map((p) => p.user.toString()),
+      });
+    } catch (error) {
+      logError(
+        'Failed to reschedule reminders after ownership transfer:',
+        error,
+      );
+      // Don't fail the request - reminders are non-critical
+    }
+
+    const otherParticipantIds = ride.participants
+      .filter((p) => p.isApproved && p.user.toString() !== userId.toString())
+      .map((p) => p.user);
+
+    if (otherParticipantIds.length > 0) {
+      await sendAndSaveNotification({
+        userId: otherParticipantIds,
+        type: 'NOTIFICATION__RIDE_OWNERSHIP_TRANSFERRED',
+        title: 'New Ride Organizer 🤝',
+        body: `${req.user.name} is now organizing "${ride.name}"`,
+        subtitle: 'The ride goes ahead as planned.',
+        data: {
+          notificationType: 'NOTIFICATION__RIDE_OWNERSHIP_TRANSFERRED',
+          rideId: ride.id,
+          rideName: ride.name,
+          ownerName: req.user.name,
+          newOwnerId: userId,
+          previousOwnerId,
+          startTime: ride.startTime,
+        },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You are now the owner of this ride',
+      data: ride,
+    });
+  } catch (err) {
+    logError('Error accepting ownership transfer:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error accepting ownership transfer',
+    });
+  }
+}
+
+// @desc    Decline ownership of a ride you were nominated for
+// @route   POST /api/v1/rides/:id/transfer/decline
+// @access  Private (nominated participant only)
+async function declineOwnershipTransfer(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (ride.ownershipTransfer?.to.toString() !== userId.toString()) {
+      return res.status(404).json({
+        success: false,
+        error: 'You have no pending ownership transfer for this ride',
+      });
+    }
+
+    ride.set('ownershipTransfer', undefined);
+    await ride.save();
+
+    await sendAndSaveNotification({
+      userId: ride.owner,
+      type: 'NOTIFICATION__RIDE_OWNERSHIP_TRANSFER_DECLINED',
+      title: 'Transfer Declined',
+      body: `${req.user.name} declined to take over "${ride.name}"`,
+      subtitle: 'You are still the owner of this ride.',
+      data: {
+        notificationType: 'NOTIFICATION__RIDE_OWNERSHIP_TRANSFER_DECLINED',
+        rideId: ride.id,
+        rideName: ride.name,
+        participantName: req.user.name,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ownership transfer declined',
+    });
+  } catch (err) {
+    logError('Error declining ownership transfer:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error declining ownership transfer',
+    });
+  }
+}
+
+export {
+  requestOwnershipTransfer,
+  cancelOwnershipTransfer,
+  acceptOwnershipTransfer,
+  declineOwnershipTransfer,
+};
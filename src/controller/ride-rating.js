@@ -0,0 +1,260 @@
+import Ride from '../models/ride.js';
+import RideRating from '../models/ride-ratings.js';
+import { logError } from '../utils/logger.js';
+import { RideStatus, RideParticipantRole } from '../utils/constants.js';
+import { getRideRole } from '../utils/ride-permissions.js';
+import {
+  refreshRideRatingStats,
+  getRatingDistribution,
+  getOrganizerReputation,
+} from '../services/ride-rating.service.js';
+
+// @desc    Rate a completed ride, optionally with a review
+// @route   PUT /api/v1/rides/:id/ratings
+// @access  Private (participants of the ride, except the owner)
+// @body    {number} rating - Whole number from 1 to 5 (required)
+// @body    {string} review - Optional written review (max 1000 characters)
+async function rateRide(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { rating, review } = req.body;
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rating must be a whole number from 1 to 5.',
+      });
+    }
+
+    if (review !== undefined && review !== null && typeof review !== 'string') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Review must be text.' });
+    }
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (ride.status !== RideStatus.COMPLETED) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed rides can be rated.',
+      });
+    }
+
+    const role = getRideRole(ride, userId);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only participants of this ride can rate it.',
+      });
+    }
+    if (role === RideParticipantRole.OWNER) {
+      return res.status(403).json({
+        success: false,
+        error: 'Ride owners cannot rate their own rides.',
+      });
+    }
+
+    const update = {
+      $set: { rating },
+      $setOnInsert: { organizer: ride.owner },
+    };
+    if (review) {
+      update.$set.review = review;
+    } else if (review !== undefined) {
+      // An empty review removes the one given before
+      update.$unset = { review: 1 };
+    }
+
+    const savedRating = await RideRating.findOneAndUpdate(
+      { ride: ride.id, user: userId },
+      update,
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      },
+    );
+
+    const ratingStats = await refreshRideRatingStats(ride.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rating: savedRating,
+        ratingStats,
+      },
+    });
+  } catch (err) {
+    logError('Error rating ride:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error rating ride.' });
+  }
+}
+
+// @desc    Get the ratings and reviews of a ride
+// @route   GET /api/v1/rides/:id/ratings
+// @access  Private
+// @query   {boolean} withReview - Only list ratings that include a review
+// @query   {number} page - Page number for pagination (default: 1)
+// @query   {number} limit - Number of ratings per page (default: 10, max: 50)
+async function getRideRatings(req, res) {
+  try {
+    const { id } = req.params;
+    const { withReview, page = 1, limit = 10 } = req.query;
+
+    const ride = await Ride.findById(id).select('ratingStats');
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filterObj = { ride: ride.id };
+    if (withReview === 'true') {
+      filterObj.review = { $exists: true, $ne: '' };
+    }
+
+    const [totalRatings, ratings, distribution, myRating] = await Promise.all([
+      RideRating.countDocuments(filterObj),
+      RideRating.find(filterObj)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate({
+          path: 'user',
+          select: '_id name image',
+          populate: { path: 'profile', select: 'handle' },
+        })
+        .lean(),
+      getRatingDistribution(ride.id),
+      RideRating.findOne({ ride: ride.id, user: req.user.id }).lean(),
+    ]);
+    const totalPages = Math.ceil(totalRatings / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: ratings.length,
+      total: totalRatings,
+      data: {
+        summary: {
+          average: ride.ratingStats?.average ?? 0,
+          count: ride.ratingStats?.count ?? 0,
+          distribution,
+        },
+        myRating,
+        ratings,
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < totalPages ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null,
+        limit: limitNum,
+      },
+    });
+  } catch (err) {
+    logError('Error getting ride ratings:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting ride ratings.' });
+  }
+}
+
+// @desc    Remove your rating of a ride
+// @route   DELETE /api/v1/rides/:id/ratings
+// @access  Private
+async function deleteRideRating(req, res) {
+  try {
+    const { id } = req.params;
+
+    const deleted = await RideRating.findOneAndDelete({
+      ride: id,
+      user: req.user.id,
+    });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'You have not rated this ride.',
+      });
+    }
+
+    const ratingStats = await refreshRideRatingStats(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rating removed',
+      data: { ratingStats },
+    });
+  } catch (err) {
+    logError('Error deleting ride rating:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error deleting ride rating.' });
+  }
+}
+
+// @desc    Get the organizer reputation of a user
+// @route   GET /api/v1/users/:id/reputation
+// @access  Private
+async function getUserReputation(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = id === 'me' ? req.user.id : id;
+
+    const reputation = await getOrganizerReputation(userId);
+
+    res.status(200).json({
+      success: true,
+      data: reputation,
+    });
+  } catch (err) {
+    logError('Error getting organizer reputation:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid user ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error getting organizer reputation.',
+    });
+  }
+}
+
+export { rateRide, getRideRatings, deleteRideRating, getUserReputation };
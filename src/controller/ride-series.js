@@ -0,0 +1,636 @@
+import Ride from '../models/ride.js';
+import RideSeries from '../models/ride-series.js';
+import { logError } from '../utils/logger.js';
+import {
+  RideStatus,
+  RideSeriesStatus,
+  RideVisibility,
+  RecurrenceFrequency,
+} from '../utils/constants.js';
+import {
+  validatePlannedRoute,
+  validateRideLocations,
+  hasRequiredRideFields,
+  formatLocation,
+  formatWaypoints,
+  buildPartialRideUpdate,
+} from '../utils/ride-helpers.js';
+import {
+  validateRecurrence,
+  getZonedParts,
+  getWeekOfMonthFromDay,
+} from '../utils/recurrence.js';
+import { sendAndSaveNotification } from '../utils/notification-helper.js';
+import {
+  generateSeriesOccurrences,
+  cancelUpcomingSeriesRides,
+} from '../services/ride-series.service.js';
+import { rescheduleRemindersForRide } from '../services/ride-notification.service.js';
+
+const OccurrenceEditScope = {
+  THIS: 'this',
+  FUTURE: 'future',
+};
+
+/**
+ * Describe the key changes of an occurrence edit for participants
+ * @param {Object} body - Request body
+ * @param {Object} ride - Edited ride before the change
+ * @returns {Array<string>} Human-readable change list
+ */
+function describeChanges(body, ride) {
+  const changes = [];
+
+  if (
+    body.startTime !== undefined &&
+    new Date(body.startTime).getTime() !== ride.startTime.getTime()
+  ) {
+    changes.push('start time');
+  }
+  if (body.endTime !== undefined) changes.push('end time');
+  if (body.startLocation !== undefined) changes.push('start location');
+  if (body.endLocation !== undefined) changes.push('end location');
+  if (body.waypoints !== undefined) changes.push('waypoints');
+  if (body.plannedRoute !== undefined) changes.push('planned route');
+
+  return changes;
+}
+
+/**
+ * Notify approved participants that an occurrence changed
+ * @param {Object} ride - Updated ride
+ * @param {Array<string>} changes - Change list
+ * @param {Object} user - Owner making the change
+ */
+async function notifyOccurrenceUpdated(ride, changes, user) {
+  const participantIds = ride.participants
+    .filter((p) => p.isApproved && p.user.toString() !== user.id)
+    .map((p) => p.user);
+
+  if (participantIds.length === 0) return;
+
+  await sendAndSaveNotification({
+    userId: participantIds,
+    type: 'NOTIFICATION__RIDE_UPDATED',
+    title: 'Ride Updated 📝',
+    body: `The ride "${ride.name}" has been updated`,
+    subtitle: `The following changes were made: ${changes.join(', ')}`,
+    data: {
+      notificationType: 'NOTIFICATION__RIDE_UPDATED',
+      rideId: ride.id,
+      rideName: ride.name,
+      ownerName: user.name,
+      startTime: ride.startTime,
+      changes,
+    },
+  });
+}
+
+/**
+ * Reschedule reminders of a ride after its start time moved
+ * @param {Object} ride - Updated ride
+ */
+async function rescheduleReminders(ride) {
+  try {
+    await rescheduleRemindersForRide(ride.id, {
+      rideName: ride.name,
+      rideStartTime: ride.startTime,
+      ownerId: ride.owner.toString(),
+      participantIds: ride.participants.map((p) => p.user.toString()),
+    });
+  } catch (error) {
+    logError('Failed to reschedule ride reminders:', error);
+    // Don't fail the request - reminders are non-critical
+  }
+}
+
+// @desc    Create a recurring ride series and its upcoming rides
+// @route   POST /api/v1/ride-series
+// @access  Private
+// @body    Same fields as POST /rides, plus:
+//          recurrence: { frequency: 'weekly'|'biweekly'|'monthly', weekOfMonth, timezone, until, count }
+//          occurrencesAhead: number of upcoming rides to keep created (default: 4)
+async function createSeries(req, res) {
+  try {
+    const {
+      name,
+      description,
+      startTime,
+      endTime,
+      startLocation,
+      endLocation,
+      maxParticipants,
+      visibility,
+      plannedRoute,
+      difficulty,
+      bannerImage,
+      waypoints,
+      recurrence,
+      occurrencesAhead,
+    } = req.body;
+
+    if (!hasRequiredRideFields({ name, startTime, startLocation })) {
+      return res.status(400).json({
+        success: false,
+        error:
+          'Please provide ride name, start time, start location coordinates as [longitude, latitude] array, city, and country.',
+      });
+    }
+
+    const locationError = validateRideLocations({
+      startLocation,
+      endLocation,
+      waypoints,
+    });
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    const recurrenceValidation = validateRecurrence(recurrence);
+    if (!recurrenceValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(recurrenceValidation.errors).join(', '),
+      });
+    }
+
+    const firstStart = new Date(startTime);
+    if (Number.isNaN(firstStart.getTime())) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Start time must be a valid date.' });
+    }
+
+    let duration;
+    if (endTime) {
+      duration = Math.round((new Date(endTime) - firstStart) / 1000);
+      if (!(duration > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'End time must be after start time.',
+        });
+      }
+    }
+
+    if (plannedRoute) {
+      const plannedRouteError = await validatePlannedRoute(
+        plannedRoute,
+        req.user.id,
+      );
+      if (plannedRouteError) {
+        return res
+          .status(400)
+          .json({ success: false, error: plannedRouteError });
+      }
+    }
+
+    const timezone = recurrence.timezone || 'UTC';
+    let { weekOfMonth } = recurrence;
+    if (recurrence.frequency === RecurrenceFrequency.MONTHLY && !weekOfMonth) {
+      weekOfMonth = getWeekOfMonthFromDay(
+        getZonedParts(firstStart, timezone).day,
+      );
+    }
+
+    const series = await RideSeries.create({
+      owner: req.user.id,
+      recurrence: {
+        frequency: recurrence.frequency,
+        startsAt: firstStart,
+        weekOfMonth,
+        timezone,
+        until: recurrence.until ? new Date(recurrence.until) : undefined,
+        count: recurrence.count,
+      },
+      occurrencesAhead,
+      name,
+      description,
+      duration,
+      startLocation: formatLocation(startLocation),
+      endLocation: formatLocation(endLocation),
+      waypoints: formatWaypoints(waypoints),
+      plannedRoute: plannedRoute || undefined,
+      maxParticipants: maxParticipants
+        ? parseInt(maxParticipants, 10)
+        : undefined,
+      visibility: visibility || RideVisibility.PUBLIC,
+      difficulty: difficulty || 'easy',
+      bannerImage,
+    });
+
+    const rides = await generateSeriesOccurrences(series);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        series,
+        rides,
+      },
+    });
+  } catch (err) {
+    logError('Error creating ride series:', err);
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error creating ride series.' });
+  }
+}
+
+// @desc    Get ride series owned by the logged-in user
+// @route   GET /api/v1/ride-series
+// @access  Private
+// @query   {string} status - Filter by status: 'active' or 'ended'
+// @query   {number} page - Page number for pagination (default: 1)
+// @query   {number} limit - Number of series per page (default: 10, max: 50)
+async function getSeriesList(req, res) {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filterObj = { owner: req.user.id };
+    if (status && Object.values(RideSeriesStatus).includes(status)) {
+      filterObj.status = status;
+    }
+
+    const totalSeries = await RideSeries.countDocuments(filterObj);
+    const totalPages = Math.ceil(totalSeries / limitNum);
+
+    const seriesList = await RideSeries.find(filterObj)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: seriesList.length,
+      total: totalSeries,
+      data: seriesList,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < totalPages ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null,
+        limit: limitNum,
+      },
+    });
+  } catch (err) {
+    logError('Error getting ride series:', err);
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting ride series.' });
+  }
+}
+
+// @desc    Get a ride series with its upcoming rides
+// @route   GET /api/v1/ride-series/:id
+// @access  Private (owner, or anyone for public series)
+async function getSeries(req, res) {
+  try {
+    const { id } = req.params;
+
+    const series = await RideSeries.findById(id).populate(
+      'owner',
+      'name image',
+    );
+
+    if (!series) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride series not found with ID ${id}` });
+    }
+
+    if (
+      series.owner?.id !== req.user.id &&
+      series.visibility !== RideVisibility.PUBLIC
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this ride series',
+      });
+    }
+
+    const upcomingRides = await Ride.find({
+      series: series.id,
+      status: RideStatus.PLANNED,
+      startTime: { $gt: new Date() },
+    })
+      .select(
+        'name rideId startTime endTime status participants.user seriesOccurrence seriesException',
+      )
+      .sort({ startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        series,
+        upcomingRides,
+      },
+    });
+  } catch (err) {
+    logError('Error getting ride series:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride series ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting ride series.' });
+  }
+}
+
+// @desc    Edit one occurrence, or it and all future occurrences, of a series
+// @route   PUT /api/v1/ride-series/:id/occurrences/:rideId
+// @access  Private (series owner only)
+// @body    scope: 'this' (default) or 'future', plus any ride fields to change
+async function updateSeriesOccurrence(req, res) {
+  try {
+    const { id, rideId } = req.params;
+    const {
+      scope = OccurrenceEditScope.THIS,
+      startTime,
+      endTime,
+      startLocation,
+      endLocation,
+      waypoints,
+      plannedRoute,
+    } = req.body;
+
+    if (!Object.values(OccurrenceEditScope).includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Scope must be one of: ${Object.values(OccurrenceEditScope).join(', ')}`,
+      });
+    }
+
+    const series = await RideSeries.findById(id);
+    if (!series) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride series not found with ID ${id}` });
+    }
+
+    if (series.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the series owner can edit its rides',
+      });
+    }
+
+    if (
+      scope === OccurrenceEditScope.FUTURE &&
+      series.status !== RideSeriesStatus.ACTIVE
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'This ride series has ended. Only single rides can be edited.',
+      });
+    }
+
+    const ride = await Ride.findOne({ _id: rideId, series: series.id });
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        error: `Ride ${rideId} is not an occurrence of this series`,
+      });
+    }
+
+    if (ride.status !== RideStatus.PLANNED) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot edit ride. Current status is '${ride.status}'. Only planned rides can be edited.`,
+      });
+    }
+
+    const newStartTime =
+      startTime !== undefined ? new Date(startTime) : ride.startTime;
+    if (Number.isNaN(newStartTime.getTime())) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Start time must be a valid date.' });
+    }
+    if (endTime && new Date(endTime) <= newStartTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'End time must be after start time.',
+      });
+    }
+
+    if (
+      !hasRequiredRideFields({
+        name: req.body.name ?? ride.name,
+        startTime: newStartTime,
+        startLocation: startLocation ?? ride.startLocation,
+      })
+    ) {
+      return res.status(400).json({
+        success: false,
+        error:
+          'Ride name, start location coordinates as [longitude, latitude] array, city, and country cannot be removed.',
+      });
+    }
+
+    const locationError = validateRideLocations({
+      startLocation: startLocation ?? ride.startLocation,
+      endLocation,
+      waypoints,
+    });
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    if (plannedRoute) {
+      const plannedRouteError = await validatePlannedRoute(
+        plannedRoute,
+        req.user.id,
+        { current: ride.plannedRoute },
+      );
+      if (plannedRouteError) {
+        return res
+          .status(400)
+          .json({ success: false, error: plannedRouteError });
+      }
+    }
+
+    const templateUpdate = buildPartialRideUpdate(req.body);
+    const changes = describeChanges(req.body, ride);
+    const delta = newStartTime.getTime() - ride.startTime.getTime();
+
+    let updatedRides;
+
+    if (scope === OccurrenceEditScope.THIS) {
+      ride.set({ ...templateUpdate, seriesException: true });
+      ride.startTime = newStartTime;
+      if (endTime !== undefined) {
+        ride.endTime = endTime ? new Date(endTime) : undefined;
+      } else if (delta !== 0 && ride.endTime) {
+        ride.endTime = new Date(ride.endTime.getTime() + delta);
+      }
+      await ride.save();
+      updatedRides = [ride];
+    } else {
+      series.set(templateUpdate);
+      if (delta !== 0) {
+        series.recurrence.startsAt = new Date(
+          series.recurrence.startsAt.getTime() + delta,
+        );
+        series.lastOccurrenceAt = new Date(
+          series.lastOccurrenceAt.getTime() + delta,
+        );
+      }
+      if (endTime !== undefined) {
+        series.duration = endTime
+          ? Math.round((new Date(endTime) - newStartTime) / 1000)
+          : undefined;
+      }
+      await series.save();
+
+      // Rides edited on their own keep their changes, except the one being edited
+      const futureRides = await Ride.find({
+        series: series.id,
+        status: RideStatus.PLANNED,
+        seriesOccurrence: { $gte: ride.seriesOccurrence },
+        $or: [{ _id: ride.id }, { seriesException: false }],
+      }).sort({ seriesOccurrence: delta > 0 ? -1 : 1 });
+
+      // Shift in an order that never lands two rides on the same occurrence
+      for (let i = 0; i < futureRides.length; i += 1) {
+        const futureRide = futureRides[i];
+        futureRide.set(templateUpdate);
+        if (delta !== 0) {
+          futureRide.startTime = new Date(
+            futureRide.startTime.getTime() + delta,
+          );
+          futureRide.seriesOccurrence = new Date(
+            futureRide.seriesOccurrence.getTime() + delta,
+          );
+        }
+        if (endTime !== undefined) {
+          futureRide.endTime = series.duration
+            ? new Date(futureRide.startTime.getTime() + series.duration * 1000)
+            : undefined;
+        } else if (delta !== 0 && futureRide.endTime) {
+          futureRide.endTime = new Date(futureRide.endTime.getTime() + delta);
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await futureRide.save();
+      }
+      updatedRides = futureRides;
+    }
+
+    await Promise.all(
+      updatedRides.map(async (updatedRide) => {
+        if (delta !== 0) await rescheduleReminders(updatedRide);
+        if (changes.length > 0) {
+          await notifyOccurrenceUpdated(updatedRide, changes, req.user);
+        }
+      }),
+    );
+
+    res.status(200).json({
+      success: true,
+      message:
+        scope === OccurrenceEditScope.THIS
+          ? 'Ride updated successfully'
+          : `${updatedRides.length} ride(s) updated successfully`,
+      data: {
+        series,
+        rides: updatedRides,
+      },
+      changes: changes.length > 0 ? changes : null,
+    });
+  } catch (err) {
+    logError('Error updating series occurrence:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride or series ID format' });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error updating ride series.' });
+  }
+}
+
+// @desc    End a ride series and cancel its upcoming rides
+// @route   DELETE /api/v1/ride-series/:id
+// @access  Private (series owner only)
+// @query   {boolean} keepUpcoming - Keep already created upcoming rides (default: false)
+async function endSeries(req, res) {
+  try {
+    const { id } = req.params;
+    const keepUpcoming = req.query.keepUpcoming === 'true';
+
+    const series = await RideSeries.findById(id);
+    if (!series) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride series not found with ID ${id}` });
+    }
+
+    if (series.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the series owner can end the series',
+      });
+    }
+
+    if (series.status === RideSeriesStatus.ENDED) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'This ride series has already ended' });
+    }
+
+    series.status = RideSeriesStatus.ENDED;
+    series.endedAt = new Date();
+    await series.save();
+
+    const cancelledRides = keepUpcoming
+      ? []
+      : await cancelUpcomingSeriesRides(series, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride series ended successfully',
+      data: {
+        series,
+        cancelledRides: cancelledRides.map((ride) => ride.id),
+      },
+    });
+  } catch (err) {
+    logError('Error ending ride series:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride series ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error ending ride series.' });
+  }
+}
+
+export {
+  createSeries,
+  getSeriesList,
+  getSeries,
+  updateSeriesOccurrence,
+  endSeries,
+};
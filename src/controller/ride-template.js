@@ -0,0 +1,452 @@
+import mongoose from 'mongoose';
+import Ride from '../models/ride.js';
+import RideTemplate from '../models/ride-template.js';
+import { logError } from '../utils/logger.js';
+import { RideVisibility } from '../utils/constants.js';
+import {
+  validatePlannedRoute,
+  validateRideLocations,
+  hasValidStartLocation,
+  formatLocation,
+  formatWaypoints,
+  buildPartialRideUpdate,
+  getRideBlueprint,
+  canCopyRide,
+  resolveRideSchedule,
+} from '../utils/ride-helpers.js';
+import { createRideFromBlueprint } from '../services/ride.service.js';
+
+/**
+ * Validate an optional template duration
+ * @param {*} duration - Duration in seconds
+ * @returns {string|null} Error message or null if valid
+ */
+function validateDuration(duration) {
+  if (duration === undefined || duration === null) return null;
+  if (typeof duration !== 'number' || duration <= 0) {
+    return 'Duration must be a positive number of seconds.';
+  }
+  return null;
+}
+
+// @desc    Create a ride template, from scratch or from an existing ride
+// @route   POST /api/v1/ride-templates
+// @access  Private
+// @body    {string} rideId - Ride to save as a template (optional)
+// @body    Ride fields (name, description, startLocation, ...) and duration in seconds
+async function createTemplate(req, res) {
+  try {
+    const { rideId, name, description, duration } = req.body;
+    let templateData;
+
+    if (rideId) {
+      if (!mongoose.Types.ObjectId.isValid(rideId)) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'Invalid ride ID format' });
+      }
+
+      const ride = await Ride.findById(rideId);
+      if (!ride) {
+        return res
+          .status(404)
+          .json({ success: false, error: `Ride not found with ID ${rideId}` });
+      }
+
+      if (!canCopyRide(ride, req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this ride',
+        });
+      }
+
+      templateData = {
+        ...getRideBlueprint(ride),
+        sourceRide: ride.id,
+        duration: ride.endTime
+          ? Math.round((ride.endTime - ride.startTime) / 1000)
+          : undefined,
+      };
+      if (name) templateData.name = name;
+      if (description !== undefined) templateData.description = description;
+    } else {
+      const {
+        startLocation,
+        endLocation,
+        waypoints,
+        plannedRoute,
+        maxParticipants,
+        visibility,
+        difficulty,
+      } = req.body;
+
+      if (!name || !hasValidStartLocation(startLocation)) {
+        return res.status(400).json({
+          success: false,
+          error:
+            'Please provide ride name, start location coordinates as [longitude, latitude] array, city, and country, or a rideId to copy from.',
+        });
+      }
+
+      const locationError = validateRideLocations({
+        startLocation,
+        endLocation,
+        waypoints,
+      });
+      if (locationError) {
+        return res.status(400).json({ success: false, error: locationError });
+      }
+
+      if (plannedRoute) {
+        const plannedRouteError = await validatePlannedRoute(
+          plannedRoute,
+          req.user.id,
+        );
+        if (plannedRouteError) {
+          return res
+            .status(400)
+            .json({ success: false, error: plannedRouteError });
+        }
+      }
+
+      templateData = {
+        name,
+        description,
+        startLocation: formatLocation(startLocation),
+        endLocation: formatLocation(endLocation),
+        waypoints: formatWaypoints(waypoints),
+        plannedRoute: plannedRoute || undefined,
+        maxParticipants: maxParticipants
+          ? parseInt(maxParticipants, 10)
+          : undefined,
+        visibility: visibility || RideVisibility.PUBLIC,
+        difficulty: difficulty || 'easy',
+      };
+    }
+
+    const durationError = validateDuration(duration);
+    if (durationError) {
+      return res.status(400).json({ success: false, error: durationError });
+    }
+    if (duration) templateData.duration = duration;
+
+    const template = await RideTemplate.create({
+      ...templateData,
+      owner: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  } catch (err) {
+    logError('Error creating ride template:', err);
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error creating ride template.' });
+  }
+}
+
+// @desc    Get ride templates created by the logged-in user
+// @route   GET /api/v1/ride-templates
+// @access  Private
+// @query   {number} page - Page number for pagination (default: 1)
+// @query   {number} limit - Number of templates per page (default: 10, max: 50)
+async function getTemplates(req, res) {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filterObj = { owner: req.user.id };
+
+    const totalTemplates = await RideTemplate.countDocuments(filterObj);
+    const totalPages = Math.ceil(totalTemplates / limitNum);
+
+    const templates = await RideTemplate.find(filterObj)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      total: totalTemplates,
+      data: templates,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < totalPages ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null,
+        limit: limitNum,
+      },
+    });
+  } catch (err) {
+    logError('Error getting ride templates:', err);
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting ride templates.' });
+  }
+}
+
+// @desc    Get a single ride template
+// @route   GET /api/v1/ride-templates/:id
+// @access  Private (template owner only)
+async function getTemplate(req, res) {
+  try {
+    const { id } = req.params;
+
+    const template = await RideTemplate.findById(id).populate('plannedRoute');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Ride template not found with ID ${id}`,
+      });
+    }
+
+    if (template.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this ride template',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (err) {
+    logError('Error getting ride template:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride template ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting ride template.' });
+  }
+}
+
+// @desc    Update a ride template
+// @route   PUT /api/v1/ride-templates/:id
+// @access  Private (template owner only)
+// @body    Any ride fields to change, and duration in seconds
+async function updateTemplate(req, res) {
+  try {
+    const { id } = req.params;
+    const { startLocation, endLocation, waypoints, plannedRoute, duration } =
+      req.body;
+
+    const template = await RideTemplate.findById(id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Ride template not found with ID ${id}`,
+      });
+    }
+
+    if (template.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the template owner can edit it',
+      });
+    }
+
+    if (startLocation !== undefined && !hasValidStartLocation(startLocation)) {
+      return res.status(400).json({
+        success: false,
+        error:
+          'Start location must include coordinates as [longitude, latitude] array, city, and country.',
+      });
+    }
+
+    const locationError = validateRideLocations({
+      startLocation: startLocation ?? template.startLocation,
+      endLocation,
+      waypoints,
+    });
+    if (locationError) {
+      return res.status(400).json({ success: false, error: locationError });
+    }
+
+    if (plannedRoute) {
+      const plannedRouteError = await validatePlannedRoute(
+        plannedRoute,
+        req.user.id,
+        { current: template.plannedRoute },
+      );
+      if (plannedRouteError) {
+        return res
+          .status(400)
+          .json({ success: false, error: plannedRouteError });
+      }
+    }
+
+    const durationError = validateDuration(duration);
+    if (durationError) {
+      return res.status(400).json({ success: false, error: durationError });
+    }
+
+    template.set(buildPartialRideUpdate(req.body));
+    if (duration !== undefined) {
+      template.duration = duration || undefined;
+    }
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (err) {
+    logError('Error updating ride template:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride template ID format' });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error updating ride template.' });
+  }
+}
+
+// @desc    Delete a ride template
+// @route   DELETE /api/v1/ride-templates/:id
+// @access  Private (template owner only)
+async function deleteTemplate(req, res) {
+  try {
+    const { id } = req.params;
+
+    const template = await RideTemplate.findById(id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Ride template not found with ID ${id}`,
+      });
+    }
+
+    if (template.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the template owner can delete it',
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride template deleted successfully',
+    });
+  } catch (err) {
+    logError('Error deleting ride template:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride template ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error deleting ride template.' });
+  }
+}
+
+// @desc    Create a new planned ride from a template
+// @route   POST /api/v1/ride-templates/:id/rides
+// @access  Private (template owner only)
+// @body    {string} startTime - Start time of the new ride (required)
+// @body    {string} endTime - End time (default: start time plus template duration)
+// @body    {string} name - Name of the new ride (default: template name)
+async function createRideFromTemplate(req, res) {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    const template = await RideTemplate.findById(id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Ride template not found with ID ${id}`,
+      });
+    }
+
+    if (template.owner.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the template owner can create rides from it',
+      });
+    }
+
+    const schedule = resolveRideSchedule(req.body, template.duration);
+    if (schedule.error) {
+      return res.status(400).json({ success: false, error: schedule.error });
+    }
+
+    const blueprint = getRideBlueprint(template);
+    if (name) blueprint.name = name;
+
+    const ride = await createRideFromBlueprint(blueprint, {
+      owner: req.user.id,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+    });
+
+    await RideTemplate.updateOne(
+      { _id: template.id },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } },
+    );
+
+    res.status(201).json({
+      success: true,
+      data: ride,
+    });
+  } catch (err) {
+    logError('Error creating ride from template:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride template ID format' });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error creating ride from template.',
+    });
+  }
+}
+
+export {
+  createTemplate,
+  getTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createRideFromTemplate,
+};
@@ -1,15 +1,187 @@
 import RideTracking from '../models/ride-tracking.js';
 import { logInfo, logError } from '../utils/logger.js';
 import Ride from '../models/ride.js';
+import {
+  RouteExportFormat,
+  buildRouteFile,
+} from '../utils/route-file-writer.js';
+import { getRideRole } from '../utils/ride-permissions.js';
+import { smoothPath } from '../utils/gps-filter.js';
+import { encodePolyline, getZoomTolerance } from '../utils/geo.js';
+import { RideStatus } from '../utils/constants.js';
+import { invalidateRideRoutesCache } from '../utils/cache.js';
+import {
+  updateParticipantStats,
+  updateRideStats,
+} from '../utils/ride-stats-updater.js';
+import {
+  MAX_TRACKING_BATCH_SIZE,
+  LATE_BATCH_GRACE_HOURS,
+  acceptsTrackingPoints,
+  appendTrackingPoints,
+  getTrackingPath,
+  getRideTrackingPaths,
+  getSimplifiedTrackingPaths,
+} from '../services/ride-tracking.service.js';
+
+/**
+ * JSON response with the route as an encoded polyline instead of points
+ */
+const POLYLINE_FORMAT = 'polyline';
+
+/**
+ * Largest simplification tolerance accepted, in meters
+ */
+const MAX_SIMPLIFY_TOLERANCE = 10000;
+
+/**
+ * Validate the requested export format
+ * @param {string} format - Value of the `format` query param
+ * @returns {string|null} Error message or null if valid
+ */
+function validateExportFormat(format) {
+  if (!format) return null;
+  if (
+    typeof format === 'string' &&
+    (format === 'json' ||
+      format === POLYLINE_FORMAT ||
+      Object.hasOwn(RouteExportFormat, format))
+  ) {
+    return null;
+  }
+  return `Invalid format. Valid options are: json, ${POLYLINE_FORMAT}, ${Object.keys(RouteExportFormat).join(', ')}`;
+}
+
+/**
+ * Read the simplification tolerance from the `tolerance` or `zoom` query
+ * params. An explicit tolerance wins over the zoom level.
+ * @param {Object} query - Request query
+ * @returns {{tolerance: number|null}|{error: string}} Tolerance in meters
+ *   (null to keep every point) or error
+ */
+function parseSimplification({ tolerance, zoom }) {
+  if (tolerance !== undefined) {
+    const value = parseFloat(tolerance);
+    if (!(value > 0 && value <= MAX_SIMPLIFY_TOLERANCE)) {
+      return {
+        error: `tolerance must be a number of meters between 0 and ${MAX_SIMPLIFY_TOLERANCE}`,
+      };
+    }
+    return { tolerance: value };
+  }
+
+  if (zoom !== undefined) {
+    const value = Number(zoom);
+    if (!Number.isInteger(value) || value < 0 || value > 22) {
+      return { error: 'zoom must be a whole number between 0 and 22' };
+    }
+    return { tolerance: getZoomTolerance(value) };
+  }
+
+  return { tolerance: null };
+}
+
+/**
+ * Load the paths to return for a ride
+ * @param {Object} ride - Ride document
+ * @param {Object} options
+ * @param {string} [options.userId] - Only this rider's path (all if omitted)
+ * @param {number|null} options.tolerance - Simplification tolerance, or null
+ *   for the full stored path
+ * @param {boolean} options.smooth - Smooth the coordinates of trusted points
+ * @returns {Promise<Map<string, Array>>} Tracking paths by user ID
+ */
+async function loadTrackingPaths(ride, { userId, tolerance, smooth }) {
+  if (tolerance !== null) {
+    return getSimplifiedTrackingPaths(ride, { userId, tolerance, smooth });
+  }
+
+  const paths = userId
+    ? new Map([[userId, await getTrackingPath(ride.id, userId)]])
+    : await getRideTrackingPaths(ride.id);
+  if (!smooth) return paths;
+  return new Map([...paths].map(([id, path]) => [id, smoothPath(path)]));
+}
+
+/**
+ * Build the route fields of a JSON response
+ * @param {Array} path - Tracking path
+ * @param {string} [format] - 'json' or 'polyline'
+ * @returns {Object} { path } or { polyline } of the trusted points
+ */
+function toRouteFields(path, format) {
+  if (format !== POLYLINE_FORMAT) return { path };
+  return {
+    polyline: encodePolyline(
+      path
+        .filter((point) => !point.flag)
+        .map((point) => point.coordinates.coordinates),
+    ),
+  };
+}
+
+/**
+ * Send tracking data as a downloadable GPX, GeoJSON or KML file
+ * @param {Object} res - Express response
+ * @param {string} format - Export format
+ * @param {Object} ride - Ride document
+ * @param {string} scope - 'me' or 'group' (used in the filename)
+ * @param {Array} trackingData - Populated RideTracking documents
+ * @param {Map<string, Array>} paths - Tracking paths by user ID
+ */
+function sendRouteFile(res, format, ride, scope, trackingData, paths) {
+  const tracks = trackingData.map((tracking) => {
+    const userId = tracking.user?.id || tracking.user?.toString();
+    return {
+      userId,
+      name:
+        tracking.user?.name || tracking.user?.profile?.handle || 'Participant',
+      path: paths.get(userId) || [],
+      stats: tracking.calculatedStats,
+    };
+  });
+
+  const { contentType, extension } = RouteExportFormat[format];
+  const content = buildRouteFile(format, { name: ride.name, tracks });
+
+  res.set('Content-Type', contentType);
+  res.set(
+    'Content-Disposition',
+    `attachment; filename="ride-${ride.rideId}-${scope}.${extension}"`,
+  );
+  res.status(200).send(content);
+}
 
 // @desc Get travelled route for a ride by current user
 // @route GET /api/v1/ride-tracking/:rideId/route
 // @access Private
+// @query {string} format - 'json' (default), 'polyline', 'gpx', 'geojson' or
+//   'kml'
+// @query {string} smooth - 'true' to smooth the coordinates of trusted points
+// @query {number} zoom - Map zoom level (0-22) to simplify the route for
+// @query {number} tolerance - Simplification tolerance in meters (overrides zoom)
 async function getTravelledRoute(req, res) {
   try {
     const { id: rideId } = req.params;
+    const { format, smooth } = req.query;
     const userId = req.user.id;
 
+    const formatError = validateExportFormat(format);
+    if (formatError) {
+      return res.status(400).json({
+        success: false,
+        error: formatError,
+      });
+    }
+
+    const { tolerance, error: simplifyError } = parseSimplification(req.query);
+    if (simplifyError) {
+      return res.status(400).json({
+        success: false,
+        error: simplifyError,
+      });
+    }
+
     // Check if the ride exists
     const ride = await Ride.findById(rideId);
     if (!ride) {
@@ -49,9 +221,22 @@ async function getTravelledRoute(req, res) {
       });
     }
 
+    const paths = await loadTrackingPaths(ride, {
+      userId,
+      tolerance,
+      smooth: smooth === 'true',
+    });
+
+    if (format && format !== 'json' && format !== POLYLINE_FORMAT) {
+      return sendRouteFile(res, format, ride, 'me', [trackingData], paths);
+    }
+
     res.status(200).json({
       success: true,
-      data: trackingData,
+      data: {
+        ...trackingData.toJSON(),
+        ...toRouteFields(paths.get(userId) || [], format),
+      },
     });
   } catch (err) {
     logError('Error getting travelled route:', err);
@@ -65,11 +250,33 @@ async function getTravelledRoute(req, res) {
 // @desc Get all tracking data for a ride (for ride organizers)
 // @route GET /api/v1/ride-tracking/:rideId/all
 // @access Private
+// @query {string} format - 'json' (default), 'polyline', 'gpx', 'geojson' or
+//   'kml'
+// @query {string} smooth - 'true' to smooth the coordinates of trusted points
+// @query {number} zoom - Map zoom level (0-22) to simplify the route for
+// @query {number} tolerance - Simplification tolerance in meters (overrides zoom)
 async function getAllTrackingData(req, res) {
   try {
     const { id: rideId } = req.params;
+    const { format, smooth } = req.query;
     const userId = req.user.id;
 
+    const formatError = validateExportFormat(format);
+    if (formatError) {
+      return res.status(400).json({
+        success: false,
+        error: formatError,
+      });
+    }
+
+    const { tolerance, error: simplifyError } = parseSimplification(req.query);
+    if (simplifyError) {
+      return res.status(400).json({
+        success: false,
+        error: simplifyError,
+      });
+    }
+
     // Validate rideId format
     if (!rideId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
@@ -103,12 +310,27 @@ async function getAllTrackingData(req, res) {
       })
       .sort({ createdAt: 1 });
 
+    const paths = await loadTrackingPaths(ride, {
+      tolerance,
+      smooth: smooth === 'true',
+    });
+
+    if (format && format !== 'json' && format !== POLYLINE_FORMAT) {
+      return sendRouteFile(res, format, ride, 'group', allTrackingData, paths);
+    }
+
     res.status(200).json({
       success: true,
       data: {
         rideId,
         totalParticipants: allTrackingData.length,
-        trackingData: allTrackingData,
+        trackingData: allTrackingData.map((tracking) => ({
+          ...tracking.toJSON(),
+          ...toRouteFields(
+            paths.get(tracking.user?.id || tracking.user?.toString()) || [],
+            format,
+          ),
+        })),
       },
     });
   } catch (err) {
@@ -120,4 +342,116 @@ async function getAllTrackingData(req, res) {
   }
 }
 
-export { getTravelledRoute, getAllTrackingData };
+// @desc Add a batch of GPS points buffered by the device while offline
+// @route POST /api/v1/rides/:id/ping/batch
+// @access Private (owner or approved participant)
+// @body {Array} points - Points as { latitude, longitude, timestamp, speed,
+//   heading, accuracy, altitude } (max 1000); duplicates by timestamp are skipped
+// Active rides accept any points. Completed rides accept points recorded
+// before they ended for RIDE_LATE_BATCH_GRACE_HOURS (default 24) after the
+// end, and the ride's final statistics are updated; later batches are
+// rejected with 400.
+async function batchUpdateLocationTracking(req, res) {
+  try {
+    const { id: rideId } = req.params;
+    const { points } = req.body;
+    const userId = req.user.id;
+
+    if (!Array.isArray(points) || points.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'points must be a non-empty array',
+      });
+    }
+
+    if (points.length > MAX_TRACKING_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch can contain at most ${MAX_TRACKING_BATCH_SIZE} points`,
+      });
+    }
+
+    if (!rideId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ride ID format',
+      });
+    }
+
+    const ride = await Ride.findById(rideId).select(
+      'owner participants status endTime',
+    );
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ride not found',
+      });
+    }
+
+    if (!acceptsTrackingPoints(ride)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot update location. Ride status is '${ride.status}'. Only active rides, or rides completed in the last ${LATE_BATCH_GRACE_HOURS} hours, accept points.`,
+      });
+    }
+
+    if (!getRideRole(ride, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied: not owner or approved participant',
+      });
+    }
+
+    const isCompleted = ride.status === RideStatus.COMPLETED;
+    const { tracking, accepted, duplicates, rejected } =
+      await appendTrackingPoints(rideId, userId, points, {
+        until: isCompleted ? ride.endTime : undefined,
+      });
+
+    if (accepted === 0 && rejected.length === points.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid points in the batch',
+        rejected,
+      });
+    }
+
+    // Late points change the final statistics of a completed ride
+    if (isCompleted && accepted > 0) {
+      await updateParticipantStats(rideId, userId, tracking.calculatedStats);
+      await updateRideStats(rideId);
+      await invalidateRideRoutesCache(rideId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${accepted} location points added`,
+      data: {
+        rideId,
+        userId,
+        accepted,
+        duplicates,
+        rejected,
+        trackingStatus: tracking?.trackingStatus,
+        totalPoints: tracking?.pointCount || 0,
+        lastKnownPosition: tracking?.lastKnownPosition,
+        calculatedStats: tracking?.calculatedStats,
+      },
+    });
+  } catch (err) {
+    logError('Error adding location batch:', err);
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+}
+
+export { getTravelledRoute, getAllTrackingData, batchUpdateLocationTracking };
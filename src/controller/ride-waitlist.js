@@ -0,0 +1,227 @@
+import Ride from '../models/ride.js';
+import RideWaitlist, { ACTIVE_STATUSES } from '../models/ride-waitlist.js';
+import { logError } from '../utils/logger.js';
+import { WaitlistStatus } from '../utils/constants.js';
+import {
+  RidePermission,
+  hasRidePermission,
+} from '../utils/ride-permissions.js';
+import {
+  getWaitlistPosition,
+  acceptWaitlistOffer,
+  releaseWaitlistEntry,
+} from '../services/ride-waitlist.service.js';
+
+/**
+ * Find the active waitlist entry of a user for a ride
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} RideWaitlist document
+ */
+function findActiveEntry(rideId, userId) {
+  return RideWaitlist.findOne({
+    ride: rideId,
+    user: userId,
+    status: { $in: ACTIVE_STATUSES },
+  });
+}
+
+// @desc    Get the waitlist of a ride
+// @route   GET /api/v1/rides/:id/waitlist
+// @access  Private (organizers see the full list, riders their own place)
+async function getWaitlist(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (!hasRidePermission(ride, userId, RidePermission.MANAGE_REQUESTS)) {
+      const entry = await findActiveEntry(ride.id, userId);
+
+      return res.status(200).json({
+        success: true,
+        data: entry
+          ? {
+              id: entry.id,
+              status: entry.status,
+              position: await getWaitlistPosition(entry),
+              joinedAt: entry.joinedAt,
+              offerExpiresAt: entry.offerExpiresAt,
+            }
+          : null,
+      });
+    }
+
+    const entries = await RideWaitlist.find({
+      ride: ride.id,
+      status: { $in: ACTIVE_STATUSES },
+    })
+      .sort({ joinedAt: 1 })
+      .populate({
+        path: 'user',
+        select: '_id name image',
+        populate: { path: 'profile', select: 'handle' },
+      })
+      .lean();
+
+    // Offers are listed first, then waiting riders in order
+    const offered = entries.filter((e) => e.status === WaitlistStatus.OFFERED);
+    const waiting = entries
+      .filter((e) => e.status === WaitlistStatus.WAITING)
+      .map((e, index) => ({ ...e, position: index + 1 }));
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: {
+        waitlistMode: ride.waitlistMode,
+        offered,
+        waiting,
+      },
+    });
+  } catch (err) {
+    logError('Error getting ride waitlist:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting ride waitlist.' });
+  }
+}
+
+// @desc    Leave the waitlist of a ride
+// @route   DELETE /api/v1/rides/:id/waitlist
+// @access  Private
+async function leaveWaitlist(req, res) {
+  try {
+    const { id } = req.params;
+
+    const entry = await findActiveEntry(id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'You are not on the waitlist of this ride.',
+      });
+    }
+
+    await releaseWaitlistEntry(entry, WaitlistStatus.LEFT);
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist.',
+    });
+  } catch (err) {
+    logError('Error leaving ride waitlist:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error leaving ride waitlist.' });
+  }
+}
+
+// @desc    Accept an offered spot from the waitlist
+// @route   POST /api/v1/rides/:id/waitlist/accept
+// @access  Private
+async function acceptOffer(req, res) {
+  try {
+    const { id } = req.params;
+
+    const entry = await RideWaitlist.findOne({
+      ride: id,
+      user: req.user.id,
+      status: WaitlistStatus.OFFERED,
+    });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'You have no pending spot offer for this ride.',
+      });
+    }
+
+    if (entry.offerExpiresAt && entry.offerExpiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This offer has expired.',
+      });
+    }
+
+    const ride = await acceptWaitlistOffer(entry);
+    if (!ride) {
+      return res.status(409).json({
+        success: false,
+        error: 'This ride no longer has room for you.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully joined the ride!',
+      data: ride,
+    });
+  } catch (err) {
+    logError('Error accepting waitlist offer:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error accepting waitlist offer.',
+    });
+  }
+}
+
+// @desc    Decline an offered spot, passing it to the next rider in line
+// @route   POST /api/v1/rides/:id/waitlist/decline
+// @access  Private
+async function declineOffer(req, res) {
+  try {
+    const { id } = req.params;
+
+    const entry = await RideWaitlist.findOne({
+      ride: id,
+      user: req.user.id,
+      status: WaitlistStatus.OFFERED,
+    });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'You have no pending spot offer for this ride.',
+      });
+    }
+
+    await releaseWaitlistEntry(entry, WaitlistStatus.DECLINED);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined.',
+    });
+  } catch (err) {
+    logError('Error declining waitlist offer:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid ride ID format' });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error declining waitlist offer.',
+    });
+  }
+}
+
+export { getWaitlist, leaveWaitlist, acceptOffer, declineOffer };
@@ -2,25 +2,82 @@ import mongoose, { Types } from 'mongoose';
 import { logInfo, logError } from '../utils/logger.js';
 
 import Ride from '../models/ride.js';
-import generateUniqueRideCode from '../utils/ride-code-generator.js';
+import generateUniqueRideCode, {
+  isRideCode,
+} from '../utils/ride-code-generator.js';
 import RideRequest from '../models/ride-requests.js';
 import RideTracking from '../models/ride-tracking.js';
+import RideWaitlist, {
+  ACTIVE_STATUSES as ACTIVE_WAITLIST_STATUSES,
+} from '../models/ride-waitlist.js';
 import UserDevice from '../models/user-device.js';
-import { RideVisibility, RideStatus } from '../utils/constants.js';
+import {
+  RideVisibility,
+  RideStatus,
+  RideParticipantRole,
+  RideEventType,
+} from '../utils/constants.js';
+import {
+  RidePermission,
+  hasRidePermission,
+  canRemoveParticipant,
+} from '../utils/ride-permissions.js';
 import { sendPushNotification } from '../utils/expo-push-manager.js';
 import { sendAndSaveNotification } from '../utils/notification-helper.js';
-import {
-  updateRideStats,
-  updateParticipantStats,
-} from '../utils/ride-stats-updater.js';
-import { calculateRideStats } from '../utils/ride-stats-calculator.js';
 import getDateRange from '../utils/date-filter.js';
 import calculateDistance from '../utils/distance-calculator.js';
+import { getCursorQuery, buildCursorPage } from '../utils/cursor-pagination.js';
 import {
   scheduleAllRemindersForRide,
   cancelAllRemindersForRide,
   rescheduleRemindersForRide,
 } from '../services/ride-notification.service.js';
+import {
+  validatePlannedRoute,
+  validateRideLocations,
+  hasRequiredRideFields,
+  formatLocation,
+  formatWaypoints,
+  getRideBlueprint,
+  canCopyRide,
+  resolveRideSchedule,
+} from '../utils/ride-helpers.js';
+import { createRideFromBlueprint } from '../services/ride.service.js';
+import { getViewerInteractions } from '../services/ride-interaction.service.js';
+import {
+  buildSearchFilter,
+  buildSearchHighlights,
+  buildSearchKeywords,
+} from '../utils/ride-search.js';
+import {
+  BulkRequestOutcome,
+  respondToRideRequests,
+} from '../services/ride-request.service.js';
+import { finalizeRideCompletion } from '../services/ride-lifecycle.service.js';
+import {
+  recordRideEvent,
+  statusChange,
+  diffRideFields,
+} from '../services/ride-event.service.js';
+import {
+  ARCHIVED_RIDE_STATUSES,
+  DELETABLE_RIDE_STATUSES,
+  archiveRide,
+  deleteRideCascade,
+} from '../services/ride-deletion.service.js';
+import {
+  shouldJoinWaitlist,
+  addToWaitlist,
+  addParticipantIfSpace,
+  countPendingOffers,
+  promoteNextFromWaitlist,
+} from '../services/ride-waitlist.service.js';
+import { evaluateAutoApproval } from '../utils/auto-approval.js';
+import { findScheduleConflicts } from '../services/ride-schedule.service.js';
+import {
+  recordTrackingPoints,
+  getTrackingPath,
+} from '../services/ride-tracking.service.js';
 // Redis caching temporarily disabled - will be implemented later
 // import {
 //   invalidateRidesCache,
@@ -29,9 +86,26 @@ import {
 //   invalidateRideRequestsCache,
 // } from '../utils/cache.js';
 
+/**
+ * Send the 409 response for a ride that overlaps the user's other rides
+ * Clients can retry with `allowConflicts: true` to go ahead anyway.
+ * @param {Object} res - Express response
+ * @param {Array<Object>} conflicts - Conflicting rides
+ * @returns {Object} Express response
+ */
+function sendScheduleConflict(res, conflicts) {
+  return res.status(409).json({
+    success: false,
+    code: 'SCHEDULE_CONFLICT',
+    error: `This ride overlaps ${conflicts.length} of your other rides. Send allowConflicts: true to continue anyway.`,
+    conflicts,
+  });
+}
+
 // Create a new ride
 // @route POST /api/rides
 // @access Private
+// @body {boolean} allowConflicts - Create the ride even if it overlaps your other rides
 async function createRide(req, res) {
   try {
     const {
@@ -44,94 +118,56 @@ async function createRide(req, res) {
       maxParticipants,
       visibility,
       route,
+      plannedRoute,
       difficulty,
       bannerImage,
       waypoints,
+      waitlistMode,
+      waitlistOfferMinutes,
+      autoApproval,
+      allowConflicts,
     } = req.body;
 
-    if (
-      !name ||
-      !startTime ||
-      !startLocation ||
-      !startLocation.coordinates ||
-      !Array.isArray(startLocation.coordinates) ||
-      startLocation.coordinates.length !== 2 ||
-      !startLocation.address ||
-      !startLocation.address.city ||
-      !startLocation.address.country
-    ) {
+    if (!hasRequiredRideFields({ name, startTime, startLocation })) {
       return res.status(400).json({
         success: false,
         error:
           'Please provide ride name, start time, start location coordinates as [longitude, latitude] array, city, and country.',
       });
     }
-    if (
-      typeof startLocation.coordinates[0] !== 'number' ||
-      typeof startLocation.coordinates[1] !== 'number'
-    ) {
+
+    const locationError = validateRideLocations({
+      startLocation,
+      endLocation,
+      waypoints,
+    });
+    if (locationError) {
       return res.status(400).json({
         success: false,
-        error:
-          'Start location coordinates must be valid numbers in [longitude, latitude] format.',
+        error: locationError,
       });
     }
 
-    // Add more detailed validation for endLocation if it's provided
-    if (endLocation) {
-      if (
-        !endLocation.coordinates ||
-        !Array.isArray(endLocation.coordinates) ||
-        endLocation.coordinates.length !== 2 ||
-        typeof endLocation.coordinates[0] !== 'number' ||
-        typeof endLocation.coordinates[1] !== 'number'
-      ) {
-        return res.status(400).json({
-          success: false,
-          error:
-            'End location coordinates must be provided as [longitude, latitude] array if endLocation is provided.',
-        });
-      }
-      if (
-        !endLocation.address ||
-        !endLocation.address.city ||
-        !endLocation.address.country
-      ) {
+    // Validate planned route if provided
+    if (plannedRoute) {
+      const plannedRouteError = await validatePlannedRoute(
+        plannedRoute,
+        req.user.id,
+      );
+      if (plannedRouteError) {
         return res.status(400).json({
           success: false,
-          error:
-            'End location address must include city and country if endLocation is provided.',
+          error: plannedRouteError,
         });
       }
     }
 
-    // Validate waypoints if provided
-    if (waypoints && Array.isArray(waypoints)) {
-      for (let i = 0; i < waypoints.length; i += 1) {
-        const waypoint = waypoints[i];
-        if (
-          !waypoint.coordinates ||
-          !Array.isArray(waypoint.coordinates) ||
-          waypoint.coordinates.length !== 2 ||
-          typeof waypoint.coordinates[0] !== 'number' ||
-          typeof waypoint.coordinates[1] !== 'number'
-        ) {
-          return res.status(400).json({
-            success: false,
-            error: `Waypoint ${i + 1} coordinates must be provided as [longitude, latitude] array.`,
-          });
-        }
-        if (
-          !waypoint.address ||
-          !waypoint.address.city ||
-          !waypoint.address.country
-        ) {
-          return res.status(400).json({
-            success: false,
-            error: `Waypoint ${i + 1} address must include city and country.`,
-          });
-        }
-      }
+    if (allowConflicts !== true) {
+      const conflicts = await findScheduleConflicts(req.user.id, {
+        startTime,
+        endTime,
+      });
+      if (conflicts.length > 0) return sendScheduleConflict(res, conflicts);
     }
 
     // Create a new Ride instance
@@ -141,56 +177,20 @@ async function createRide(req, res) {
       owner: req.user.id,
       startTime: new Date(startTime),
       endTime: endTime ? new Date(endTime) : undefined,
-      startLocation: {
-        type: 'Point',
-        coordinates: startLocation.coordinates, // Already in [longitude, latitude] format
-        address: {
-          addressLine1: startLocation.address.addressLine1,
-          addressLine2: startLocation.address.addressLine2,
-          city: startLocation.address.city,
-          stateProvince: startLocation.address.stateProvince,
-          country: startLocation.address.country,
-          postalCode: startLocation.address.postalCode,
-          landmark: startLocation.address.landmark,
-        },
-      },
-      endLocation: endLocation
-        ? {
-            type: 'Point',
-            coordinates: endLocation.coordinates, // Already in [longitude, latitude] format
-            address: {
-              addressLine1: endLocation.address.addressLine1,
-              addressLine2: endLocation.address.addressLine2,
-              city: endLocation.address.city,
-              stateProvince: endLocation.address.stateProvince,
-              country: endLocation.address.country,
-              postalCode: endLocation.address.postalCode,
-              landmark: endLocation.address.landmark,
-            },
-          }
-        : undefined,
+      startLocation: formatLocation(startLocation),
+      endLocation: formatLocation(endLocation),
       route,
+      plannedRoute: plannedRoute || undefined,
       maxParticipants: maxParticipants
         ? parseInt(maxParticipants, 10)
         : undefined,
       difficulty: difficulty || 'easy',
       visibility: visibility || RideVisibility.PUBLIC,
       bannerImage,
-      waypoints: waypoints
-        ? waypoints.map((waypoint) => ({
-            type: 'Point',
-            coordinates: waypoint.coordinates,
-            address: {
-              addressLine1: waypoint.address.addressLine1,
-              addressLine2: waypoint.address.addressLine2,
-              city: waypoint.address.city,
-              stateProvince: waypoint.address.stateProvince,
-              country: waypoint.address.country,
-              postalCode: waypoint.address.postalCode,
-              landmark: waypoint.address.landmark,
-            },
-          }))
-        : undefined,
+      waypoints: formatWaypoints(waypoints),
+      waitlistMode,
+      waitlistOfferMinutes,
+      autoApproval,
       status: 'planned',
     });
 
@@ -244,12 +244,16 @@ async function createRide(req, res) {
 // @query   {string} startTime - Sort rides: 'asc' (default) or 'desc' by startTime
 // @query   {number} page - Page number for pagination (default: 1)
 // @query   {number} limit - Number of rides per page (default: 10, max: 50)
+// @query   {string} after - Cursor of the next page (switches to cursor pagination)
+// @query   {string} before - Cursor of the previous page (switches to cursor pagination)
+// @query   {string} pagination - 'cursor' to get the first page in cursor mode
 // @query   {boolean} participant - Filter rides where user is owner or participant
-// @query   {string} search - Search rides by name, description, start location, or end location (case-insensitive)
+// @query   {string} search - Full-text search over name, description, owner handle and start/end city, with prefix matching; results are ranked by relevance unless startTime is given
 // @query   {string} status - Filter by status: 'planned', 'active', 'completed', 'cancelled' or comma-separated values (default: 'planned,active')
 // @query   {string} dateFilter - Filter by date: 'today', 'tomorrow', 'this_week', 'next_week', 'this_month', 'any' (default: 'any')
 // @query   {string} difficulty - Filter by difficulty: 'easy', 'medium', 'hard', 'extreme', 'any' (default: 'any')
 // @query   {string} participantCount - Filter by participant count: 'small', 'medium', 'large', 'spots_available', 'any' (default: 'any')
+// @query   {boolean} includeArchived - Include archived rides (default: false)
 async function getRides(req, res) {
   try {
     const {
@@ -263,6 +267,7 @@ async function getRides(req, res) {
       dateFilter = 'any',
       difficulty = 'any',
       participantCount = 'any',
+      includeArchived,
     } = req.query;
 
     const pageNum = Math.max(1, parseInt(page, 10) || 1);
@@ -296,6 +301,11 @@ async function getRides(req, res) {
       };
     }
 
+    // Archived rides only show up when asked for
+    if (includeArchived !== 'true') {
+      statusFilter.archivedAt = null;
+    }
+
     // Handle date filtering
     if (dateFilter && dateFilter !== 'any') {
       const dateRange = getDateRange(dateFilter);
@@ -396,37 +406,14 @@ async function getRides(req, res) {
       }
     }
 
-    // Add search filter if search parameter is provided
-    if (search && search.trim()) {
-      const searchRegex = new RegExp(search.trim(), 'i');
-      const searchConditions = [
-        { name: searchRegex },
-        { description: searchRegex },
-        { 'startLocation.address.city': searchRegex },
-        { 'startLocation.address.stateProvince': searchRegex },
-        { 'startLocation.address.country': searchRegex },
-        { 'endLocation.address.city': searchRegex },
-        { 'endLocation.address.stateProvince': searchRegex },
-        { 'endLocation.address.country': searchRegex },
-      ];
-
-      if (Object.keys(filterObj).length > 0) {
-        if (filterObj.$and) {
-          filterObj.$and.push({ $or: searchConditions });
-        } else if (filterObj.$or) {
-          const existingOrConditions = filterObj.$or;
-          delete filterObj.$or;
-          filterObj.$and = [existingOrConditions, { $or: searchConditions }];
-        } else {
-          const existingConditions = { ...filterObj };
-          filterObj.$and = [existingConditions, { $or: searchConditions }];
-          Object.keys(existingConditions).forEach((key) => {
-            delete filterObj[key];
-          });
-        }
-      } else {
-        filterObj.$or = searchConditions;
-      }
+    // Full-text search combines with every other filter
+    const searchQuery = search ? buildSearchFilter(search) : null;
+    if (searchQuery) {
+      const existingConditions = { ...filterObj };
+      Object.keys(existingConditions).forEach((key) => {
+        delete filterObj[key];
+      });
+      filterObj.$and = [existingConditions, searchQuery.filter];
     }
 
     let sortObj = { startTime: 1 };
@@ -436,10 +423,19 @@ async function getRides(req, res) {
       sortObj = { startTime: 1 };
     }
 
+    const cursorQuery = getCursorQuery(req.query, filterObj, sortObj);
+    if (cursorQuery?.error) {
+      return res.status(400).json({ success: false, error: cursorQuery.error });
+    }
+
     const totalRides = await Ride.countDocuments(filterObj);
     const totalPages = Math.ceil(totalRides / limitNum);
 
-    const rides = await Ride.find(filterObj)
+    // Searches are ranked by relevance unless a startTime order or cursor
+    // pagination was asked for
+    const rankByRelevance = Boolean(searchQuery) && !startTime && !cursorQuery;
+
+    let ridesQuery = Ride.find(cursorQuery ? cursorQuery.filter : filterObj)
       .populate({
         path: 'owner',
         select: 'name email image phoneNumber',
@@ -450,14 +446,38 @@ async function getRides(req, res) {
         select: 'name email image phoneNumber',
         populate: { path: 'profile', select: 'handle' },
       })
-      .lean() // Use lean() for read-only queries
-      .sort(sortObj)
-      .skip(skip)
-      .limit(limitNum);
+      .lean(); // Use lean() for read-only queries
+
+    if (rankByRelevance) {
+      ridesQuery = ridesQuery
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, ...sortObj });
+    } else {
+      ridesQuery = ridesQuery.sort(cursorQuery ? cursorQuery.sort : sortObj);
+    }
+
+    // Cursor pages fetch one extra ride to tell whether more follow
+    const cursorPage = cursorQuery
+      ? buildCursorPage(
+          await ridesQuery.limit(limitNum + 1),
+          cursorQuery,
+          limitNum,
+        )
+      : null;
+    const rides = cursorPage
+      ? cursorPage.items
+      : await ridesQuery.skip(skip).limit(limitNum);
 
     // Organize participants for each ride to match getRide structure
     const ridesWithOrganizedParticipants = rides.map((ride) => {
       const rideObj = ride; // lean() already returns plain objects
+
+      if (searchQuery) {
+        rideObj.searchHighlights = buildSearchHighlights(
+          rideObj,
+          searchQuery.terms,
+        );
+      }
       const approvedCount = rideObj.participants.filter(
         (p) => p.isApproved,
       ).length;
@@ -476,25 +496,38 @@ async function getRides(req, res) {
       return rideObj;
     });
 
+    // Flag the rides the viewer has hearted or bookmarked
+    const viewerFlags = await getViewerInteractions(
+      rides.map((ride) => ride._id), // eslint-disable-line no-underscore-dangle
+      req.user?.id,
+    );
+    ridesWithOrganizedParticipants.forEach((ride) => {
+      // eslint-disable-next-line no-underscore-dangle
+      Object.assign(ride, viewerFlags[ride._id.toString()]);
+    });
+
     res.status(200).json({
       success: true,
       count: ridesWithOrganizedParticipants.length,
       total: totalRides,
       data: ridesWithOrganizedParticipants,
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1,
-        nextPage: pageNum < totalPages ? pageNum + 1 : null,
-        prevPage: pageNum > 1 ? pageNum - 1 : null,
-        limit: limitNum,
-      },
+      pagination: cursorPage
+        ? cursorPage.pagination
+        : {
+            currentPage: pageNum,
+            totalPages,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            nextPage: pageNum < totalPages ? pageNum + 1 : null,
+            prevPage: pageNum > 1 ? pageNum - 1 : null,
+            limit: limitNum,
+          },
       filters: {
         owner: owner || 'all',
         startTime: startTime || 'asc',
         participant: participant || 'false',
         search: search || null,
+        rankedBy: rankByRelevance ? 'relevance' : 'startTime',
         status: status || 'planned,active',
         dateFilter: dateFilter || 'any',
         difficulty: difficulty || 'any',
@@ -509,12 +542,35 @@ async function getRides(req, res) {
   }
 }
 
+/**
+ * Format a ride for the details view, with participant counts in place
+ * of the participant list
+ * @param {Object} ride - Ride document
+ * @returns {Object} Ride details
+ */
+function formatRideDetails(ride) {
+  const approvedCount = ride.participants.filter((p) => p.isApproved).length;
+  const pendingCount = ride.participants.filter((p) => !p.isApproved).length;
+
+  const organizedParticipants = {
+    approved: approvedCount,
+    pending: pendingCount,
+    total: ride.maxParticipants || 0,
+    available: ride.maxParticipants ? ride.maxParticipants - approvedCount : 0,
+  };
+
+  return {
+    ...ride.toObject(),
+    participants: organizedParticipants,
+  };
+}
+
 // @desc    Get single ride by ID
 // @route   GET /api/v1/rides/:id
 // @access  Public
 async function getRide(req, res) {
   try {
-    const ride = await Ride.findById(req.params.id);
+    const ride = await Ride.findById(req.params.id).populate('plannedRoute');
 
     if (!ride) {
       return res.status(404).json({
@@ -523,27 +579,11 @@ async function getRide(req, res) {
       });
     }
 
-    const approvedCount = ride.participants.filter((p) => p.isApproved).length;
-    const pendingCount = ride.participants.filter((p) => !p.isApproved).length;
-
-    const organizedParticipants = {
-      approved: approvedCount,
-      pending: pendingCount,
-      total: ride.maxParticipants || 0,
-      available: ride.maxParticipants
-        ? ride.maxParticipants - approvedCount
-        : 0,
-    };
-
-    // Prepare response data
-    const responseData = {
-      ...ride.toObject(),
-      participants: organizedParticipants,
-    };
+    const viewerFlags = await getViewerInteractions([ride.id], req.user?.id);
 
     res.status(200).json({
       success: true,
-      data: responseData,
+      data: { ...formatRideDetails(ride), ...viewerFlags[ride.id] },
     });
   } catch (err) {
     logError('Error getting single ride:', err);
@@ -558,14 +598,56 @@ async function getRide(req, res) {
   }
 }
 
+// @desc    Look up a ride by its 6-character code before joining it
+// @route   GET /api/v1/rides/code/:code
+// @access  Private
+async function getRideByCode(req, res) {
+  try {
+    const { code } = req.params;
+
+    if (!isRideCode(code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ride codes are 6 letters or digits.',
+      });
+    }
+
+    const ride = await Ride.findOne({ rideId: code.toUpperCase() }).populate(
+      'plannedRoute',
+    );
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        error: `Ride not found with code ${code}`,
+      });
+    }
+
+    const viewerFlags = await getViewerInteractions([ride.id], req.user?.id);
+
+    res.status(200).json({
+      success: true,
+      data: { ...formatRideDetails(ride), ...viewerFlags[ride.id] },
+    });
+  } catch (err) {
+    logError('Error getting ride by code:', err);
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting ride.' });
+  }
+}
+
 // @desc    Join a ride by rideId (supports both MongoDB _id and 6-digit code)
 // @route   POST /api/v1/rides/join/:rideId
 // @access  Private
+// @body    {string} message - Optional note for the organizers
+// @body    {boolean} allowConflicts - Join even if the ride overlaps your other rides
 async function joinRide(req, res) {
   try {
     const { id } = req.params;
     const userId = req.user.id;
     const message = req.body?.message ?? '';
+    const allowConflicts = req.body?.allowConflicts === true;
 
     // Determine if the ID is a MongoDB ObjectId or a 6-digit ride code
     const isMongoId = mongoose.Types.ObjectId.isValid(id);
@@ -612,6 +694,20 @@ async function joinRide(req, res) {
       });
     }
 
+    // Check if user is already waiting for a spot
+    const existingWaitlistEntry = await RideWaitlist.exists({
+      ride: ride.id,
+      user: userId,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    });
+
+    if (existingWaitlistEntry) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already on the waitlist for this ride.',
+      });
+    }
+
     // Check if user already has an approved request (they're already in the ride)
     const existingApprovedRequest = await RideRequest.findOne({
       ride: ride.id,
@@ -626,6 +722,14 @@ async function joinRide(req, res) {
       });
     }
 
+    // Riders can't be on two overlapping rides unless they insist
+    if (!allowConflicts) {
+      const conflicts = await findScheduleConflicts(userId, ride, {
+        excludeRideId: ride.id,
+      });
+      if (conflicts.length > 0) return sendScheduleConflict(res, conflicts);
+    }
+
     // Clean up any rejected requests to allow new requests
     await RideRequest.deleteMany({
       ride: ride.id,
@@ -634,13 +738,20 @@ async function joinRide(req, res) {
     });
 
     if (ride.visibility === RideVisibility.PUBLIC) {
-      if (
-        ride.maxParticipants &&
-        ride.participants.length >= ride.maxParticipants
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: 'This ride has reached its maximum number of participants.',
+      // Full rides, or rides with riders already waiting, go to the waitlist
+      if (await shouldJoinWaitlist(ride)) {
+        const { entry, position } = await addToWaitlist(ride, userId, message);
+
+        return res.status(200).json({
+          success: true,
+          waitlisted: true,
+          message: `This ride is full. You are #${position} on the waitlist.`,
+          data: {
+            waitlistEntryId: entry.id,
+            position,
+            rideId: ride.rideId,
+            rideName: ride.name,
+          },
         });
       }
 
@@ -662,6 +773,71 @@ async function joinRide(req, res) {
       });
     }
 
+    // Requesters who meet the owner's rules skip manual review
+    const autoApprovalRule = await evaluateAutoApproval(ride, userId);
+    if (autoApprovalRule) {
+      const reservedSpots = await countPendingOffers(ride.id);
+      const joinedRide = await addParticipantIfSpace(
+        ride.id,
+        userId,
+        reservedSpots,
+      );
+
+      // A full ride leaves the decision to its organizers
+      if (joinedRide) {
+        await RideRequest.create({
+          ride: ride.id,
+          user: userId,
+          status: 'approved',
+          message: message || '',
+          respondedAt: new Date(),
+          responseMessage: 'Approved automatically',
+        });
+        // Redis caching temporarily disabled
+        // await invalidateRideCache(ride.id);
+
+        try {
+          await rescheduleRemindersForRide(joinedRide.id, {
+            rideName: joinedRide.name,
+            rideStartTime: joinedRide.startTime,
+            ownerId: joinedRide.owner.toString(),
+            participantIds: joinedRide.participants.map((p) =>
+              p.user.toString(),
+            ),
+          });
+        } catch (error) {
+          logError(
+            'Failed to reschedule reminders after participant join:',
+            error,
+          );
+          // Don't fail the request - reminders are non-critical
+        }
+
+        await sendAndSaveNotification({
+          userId: joinedRide.owner,
+          type: 'NOTIFICATION__RIDE_REQUEST_AUTO_APPROVED',
+          title: 'New Rider Joined',
+          body: `${req.user.name} joined "${joinedRide.name}"`,
+          subtitle: 'Their request matched your auto-approval rules.',
+          data: {
+            notificationType: 'NOTIFICATION__RIDE_REQUEST_AUTO_APPROVED',
+            rideId: joinedRide.id,
+            rideName: joinedRide.name,
+            requesterName: req.user.name,
+            requesterId: userId,
+            rule: autoApprovalRule,
+          },
+        });
+
+        return res.status(200).json({
+          success: true,
+          autoApproved: true,
+          message: 'Your request was approved automatically. Welcome aboard!',
+          data: joinedRide,
+        });
+      }
+    }
+
     // For private rides, create a join request
     const newRequest = new RideRequest({
       ride: ride.id,
@@ -756,6 +932,10 @@ async function leaveRide(req, res) {
     }
 
     ride.participants.splice(participantIndex, 1);
+    // A pending handover to the leaving rider lapses
+    if (ride.ownershipTransfer?.to.toString() === userId.toString()) {
+      ride.set('ownershipTransfer', undefined);
+    }
 
     await ride.save();
     // Redis caching temporarily disabled
@@ -776,6 +956,14 @@ async function leaveRide(req, res) {
       // Don't fail the request - reminders are non-critical
     }
 
+    // Hand the freed spot to the next rider on the waitlist
+    try {
+      await promoteNextFromWaitlist(ride.id);
+    } catch (error) {
+      logError('Failed to promote waitlisted riders:', error);
+      // Don't fail the request - the next freed spot retries promotion
+    }
+
     res.status(200).json({
       success: true,
       data: ride,
@@ -795,10 +983,21 @@ async function getPendingRequests(req, res) {
   try {
     const userId = req.user.id;
 
-    // Find all rides owned by the user
-    const userRides = await Ride.find({ owner: userId }).select(
-      '_id name rideId startTime',
-    );
+    // Find all rides the user owns or moderates
+    const userRides = await Ride.find({
+      $or: [
+        { owner: userId },
+        {
+          participants: {
+            $elemMatch: {
+              user: userId,
+              role: RideParticipantRole.MODERATOR,
+              isApproved: true,
+            },
+          },
+        },
+      ],
+    }).select('_id name rideId startTime');
     const rideIds = userRides.map((ride) => ride.id);
 
     // Find all pending requests for these rides
@@ -881,11 +1080,13 @@ async function approveRejectRequest(req, res) {
         .json({ success: false, error: 'Request not found' });
     }
 
-    // Verify the user owns the ride
-    if (request.ride.owner.toString() !== ownerId.toString()) {
+    // Verify the user organizes the ride
+    if (
+      !hasRidePermission(request.ride, ownerId, RidePermission.MANAGE_REQUESTS)
+    ) {
       return res.status(403).json({
         success: false,
-        error: 'Only the ride owner can approve/reject requests',
+        error: 'Only the ride owner or a moderator can approve/reject requests',
       });
     }
 
@@ -1068,102 +1269,282 @@ async function approveRejectRequest(req, res) {
   }
 }
 
-// @desc    Get user's ride requests categorized by status
-// @route   GET /api/v1/rides/requests/my-requests
-// @access  Private
-async function getMyRequests(req, res) {
-  try {
-    const userId = req.user.id;
-    const requests = await RideRequest.find({ user: userId })
-      .populate({
-        path: 'ride',
-        populate: {
-          path: 'owner',
-          select: 'name email image phoneNumber',
-          populate: { path: 'profile', select: 'handle' },
-        },
-      })
-      .populate({
-        path: 'respondedBy',
-        select: 'name email image phoneNumber',
-        populate: { path: 'profile', select: 'handle' },
-      })
-      .sort({ createdAt: -1 });
-
-    // Categorize requests by status
-    const categorizedRequests = {
-      pending: [],
-      accepted: [],
-      closed: [],
-    };
-
-    requests.forEach((request) => {
-      const requestData = {
-        id: request.id,
-        ride: request.ride,
-        message: request.message,
-        createdAt: request.createdAt,
-        respondedAt: request.respondedAt,
-        responseMessage: request.responseMessage,
-        respondedBy: request.respondedBy,
-      };
-
-      if (request.status === 'pending') {
-        categorizedRequests.pending.push(requestData);
-      } else if (request.status === 'approved') {
-        categorizedRequests.accepted.push(requestData);
-      } else if (request.status === 'rejected') {
-        categorizedRequests.closed.push(requestData);
-      }
-    });
-
-    res.status(200).json({
-      success: true,
-      count: requests.length,
-      data: categorizedRequests,
-    });
-  } catch (err) {
-    logError('Error getting user requests:', err);
-    res
-      .status(500)
-      .json({ success: false, error: 'Server Error getting user requests.' });
-  }
-}
-
-// @desc    Delete a ride request
-// @route   DELETE /api/v1/ride-requests/:requestId
-// @access  Private
-async function deleteRideRequest(req, res) {
+// Most join requests answered in a single bulk call
+const MAX_BULK_REQUESTS = 100;
+
+// @desc    Approve or reject many join requests of a ride at once
+// @route   POST /api/v1/ride-requests/bulk
+// @access  Private (ride owner or moderator)
+// @body    {string} rideId - Ride the requests belong to (required)
+// @body    {string} action - 'approve' or 'reject' (required)
+// @body    {string[]} requestIds - Requests to answer (required unless allPending is set)
+// @body    {boolean} allPending - Answer the ride's pending requests, oldest first (up to 100 per call)
+// @body    {string} responseMessage - Optional message for the requesters
+async function bulkRespondToRequests(req, res) {
   try {
-    const { requestId } = req.params;
-    const userId = req.user.id;
+    const { rideId, action, requestIds, allPending, responseMessage } =
+      req.body;
+    const ownerId = req.user.id;
 
-    // Find the request
-    const request = await RideRequest.findById(requestId)
-      .populate('ride', 'name rideId owner')
-      .populate({
-        path: 'user',
-        select: '_id name email image phoneNumber',
-        populate: { path: 'profile', select: 'handle' },
+    if (!action || !['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Action must be either "approve" or "reject"',
       });
+    }
 
-    if (!request) {
-      return res.status(404).json({
+    if (!rideId) {
+      return res.status(400).json({
         success: false,
-        error: 'Ride request not found',
+        error: 'Please provide the rideId of the requests',
       });
     }
 
-    // Check if user is the one who made the request or the ride owner
-    const requestUserId = request.user.id || request.user;
-    const isRequestOwner = requestUserId.toString() === userId.toString();
-    const isRideOwner = request.ride.owner.toString() === userId.toString();
+    if (
+      !allPending &&
+      (!Array.isArray(requestIds) || requestIds.length === 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide requestIds or set allPending to true',
+      });
+    }
 
-    if (!isRequestOwner && !isRideOwner) {
-      return res.status(403).json({
+    if (!allPending && requestIds.length > MAX_BULK_REQUESTS) {
+      return res.status(400).json({
         success: false,
-        error:
-          'You can only delete your own requests or requests for rides you own',
+        error: `Cannot process more than ${MAX_BULK_REQUESTS} requests at once`,
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${rideId}` });
+    }
+
+    if (!hasRidePermission(ride, ownerId, RidePermission.MANAGE_REQUESTS)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner or a moderator can approve/reject requests',
+      });
+    }
+
+    const uniqueIds = allPending ? [] : [...new Set(requestIds.map(String))];
+    const pendingRequests = await RideRequest.find({
+      ride: ride.id,
+      status: 'pending',
+      ...(!allPending && {
+        _id: { $in: uniqueIds.filter((rid) => mongoose.isValidObjectId(rid)) },
+      }),
+    })
+      .sort({ createdAt: 1 })
+      .limit(MAX_BULK_REQUESTS);
+
+    const { results, ride: updatedRide } = await respondToRideRequests(
+      ride,
+      pendingRequests,
+      { action, respondedBy: ownerId, responseMessage },
+    );
+
+    // Requests that are not pending requests of this ride are reported too
+    const foundIds = new Set(pendingRequests.map((r) => r.id));
+    uniqueIds
+      .filter((requestId) => !foundIds.has(requestId))
+      .forEach((requestId) => {
+        results.push({
+          requestId,
+          status: BulkRequestOutcome.SKIPPED,
+          reason: 'No pending request with this ID for this ride',
+        });
+      });
+
+    // Redis caching temporarily disabled
+    // await invalidateRideCache(ride.id);
+    // await invalidateRideRequestsCache(ownerId, ride.id);
+
+    const approvedUserIds = results
+      .filter((r) => r.status === BulkRequestOutcome.APPROVED)
+      .map((r) => r.userId);
+    const rejectedUserIds = results
+      .filter((r) => r.status === BulkRequestOutcome.REJECTED)
+      .map((r) => r.userId);
+
+    // One batched notification per outcome
+    if (approvedUserIds.length > 0) {
+      await sendAndSaveNotification({
+        userId: approvedUserIds,
+        type: 'USER_RIDE_REQUEST_APPROVED',
+        title: 'Ride Request Approved!',
+        body: `Your request to join "${ride.name}" has been approved!`,
+        subtitle: responseMessage || 'Welcome to the ride!',
+        data: {
+          notificationType: 'NOTIFICATION__USER_RIDE_REQUEST_APPROVED',
+          rideId: ride.id,
+          rideName: ride.name,
+          ownerName: req.user.name,
+          startTime: ride.startTime,
+        },
+      });
+
+      // Reschedule reminders once with the updated participant list
+      try {
+        await rescheduleRemindersForRide(ride.id, {
+          rideName: updatedRide.name,
+          rideStartTime: updatedRide.startTime,
+          ownerId: updatedRide.owner.toString(),
+          participantIds: updatedRide.participants.map((p) =>
+            p.user.toString(),
+          ),
+        });
+      } catch (error) {
+        logError('Failed to reschedule reminders after bulk approval:', error);
+        // Don't fail the request - reminders are non-critical
+      }
+    }
+
+    if (rejectedUserIds.length > 0) {
+      await sendAndSaveNotification({
+        userId: rejectedUserIds,
+        type: 'USER_RIDE_REQUEST_REJECTED',
+        title: 'Ride Request Rejected',
+        body: `Your request to join "${ride.name}" has been rejected`,
+        subtitle: responseMessage || 'Your request was not approved',
+        data: {
+          notificationType: 'NOTIFICATION__USER_RIDE_REQUEST_REJECTED',
+          rideId: ride.id,
+          rideName: ride.name,
+          ownerName: req.user.name,
+          startTime: ride.startTime,
+        },
+      });
+    }
+
+    const summary = Object.values(BulkRequestOutcome).reduce(
+      (acc, outcome) => ({
+        ...acc,
+        [outcome]: results.filter((r) => r.status === outcome).length,
+      }),
+      {},
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Processed ${results.length} join requests`,
+      summary,
+      data: results,
+    });
+  } catch (err) {
+    logError('Error bulk processing requests:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ride ID or request ID format',
+      });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error processing requests.' });
+  }
+}
+
+// @desc    Get user's ride requests categorized by status
+// @route   GET /api/v1/rides/requests/my-requests
+// @access  Private
+async function getMyRequests(req, res) {
+  try {
+    const userId = req.user.id;
+    const requests = await RideRequest.find({ user: userId })
+      .populate({
+        path: 'ride',
+        populate: {
+          path: 'owner',
+          select: 'name email image phoneNumber',
+          populate: { path: 'profile', select: 'handle' },
+        },
+      })
+      .populate({
+        path: 'respondedBy',
+        select: 'name email image phoneNumber',
+        populate: { path: 'profile', select: 'handle' },
+      })
+      .sort({ createdAt: -1 });
+
+    // Categorize requests by status
+    const categorizedRequests = {
+      pending: [],
+      accepted: [],
+      closed: [],
+    };
+
+    requests.forEach((request) => {
+      const requestData = {
+        id: request.id,
+        ride: request.ride,
+        message: request.message,
+        createdAt: request.createdAt,
+        respondedAt: request.respondedAt,
+        responseMessage: request.responseMessage,
+        respondedBy: request.respondedBy,
+      };
+
+      if (request.status === 'pending') {
+        categorizedRequests.pending.push(requestData);
+      } else if (request.status === 'approved') {
+        categorizedRequests.accepted.push(requestData);
+      } else if (request.status === 'rejected') {
+        categorizedRequests.closed.push(requestData);
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: categorizedRequests,
+    });
+  } catch (err) {
+    logError('Error getting user requests:', err);
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting user requests.' });
+  }
+}
+
+// @desc    Delete a ride request
+// @route   DELETE /api/v1/ride-requests/:requestId
+// @access  Private
+async function deleteRideRequest(req, res) {
+  try {
+    const { requestId } = req.params;
+    const userId = req.user.id;
+
+    // Find the request
+    const request = await RideRequest.findById(requestId)
+      .populate('ride', 'name rideId owner')
+      .populate({
+        path: 'user',
+        select: '_id name email image phoneNumber',
+        populate: { path: 'profile', select: 'handle' },
+      });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ride request not found',
+      });
+    }
+
+    // Check if user is the one who made the request or the ride owner
+    const requestUserId = request.user.id || request.user;
+    const isRequestOwner = requestUserId.toString() === userId.toString();
+    const isRideOwner = request.ride.owner.toString() === userId.toString();
+
+    if (!isRequestOwner && !isRideOwner) {
+      return res.status(403).json({
+        success: false,
+        error:
+          'You can only delete your own requests or requests for rides you own',
       });
     }
 
@@ -1300,11 +1681,11 @@ async function removeParticipant(req, res) {
         .json({ success: false, error: `Ride not found with ID ${rideId}` });
     }
 
-    // Check if the user is the owner of the ride
-    if (ride.owner.toString() !== ownerId.toString()) {
+    // Check if the user can remove participants at all
+    if (!hasRidePermission(ride, ownerId, RidePermission.REMOVE_PARTICIPANTS)) {
       return res.status(403).json({
         success: false,
-        error: 'Only the ride owner can remove participants',
+        error: 'Only the ride owner or a moderator can remove participants',
       });
     }
 
@@ -1323,15 +1704,27 @@ async function removeParticipant(req, res) {
     const participant = ride.participants[participantIndex];
 
     // Prevent removing the owner
-    if (participant.role === 'owner') {
+    if (participant.role === RideParticipantRole.OWNER) {
       return res.status(400).json({
         success: false,
         error: 'Cannot remove the ride owner',
       });
     }
 
+    // Moderators can only remove members
+    if (!canRemoveParticipant(ride, ownerId, participant.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can remove a moderator',
+      });
+    }
+
     // Remove the participant
     const removedParticipant = ride.participants.splice(participantIndex, 1)[0];
+    // A pending handover to the removed rider lapses
+    if (ride.ownershipTransfer?.to.toString() === participantId.toString()) {
+      ride.set('ownershipTransfer', undefined);
+    }
     await ride.save();
     // Redis caching temporarily disabled
     // await invalidateRideCache(ride.id);
@@ -1347,7 +1740,7 @@ async function removeParticipant(req, res) {
         userDevice.pushToken,
         'Removed from Ride',
         `You have been removed from the ride "${ride.name}"`,
-        `The ride owner has removed you from the ride scheduled for ${new Date(ride.startTime).toLocaleDateString()}`,
+        `A ride organizer has removed you from the ride scheduled for ${new Date(ride.startTime).toLocaleDateString()}`,
         {
           notificationType: 'NOTIFICATION__USER_REMOVED_FROM_RIDE',
           rideId: ride.id,
@@ -1357,6 +1750,14 @@ async function removeParticipant(req, res) {
       );
     }
 
+    // Hand the freed spot to the next rider on the waitlist
+    try {
+      await promoteNextFromWaitlist(ride.id);
+    } catch (error) {
+      logError('Failed to promote waitlisted riders:', error);
+      // Don't fail the request - the next freed spot retries promotion
+    }
+
     res.status(200).json({
       success: true,
       message: 'Participant removed successfully',
@@ -1384,12 +1785,131 @@ async function removeParticipant(req, res) {
   }
 }
 
+// @desc    Promote a participant to moderator or demote them to member
+// @route   PUT /api/v1/rides/:id/participants/:participantId/role
+// @access  Private (owner only)
+// @body    {string} role - 'moderator' or 'member'
+async function updateParticipantRole(req, res) {
+  try {
+    const { id: rideId, participantId } = req.params;
+    const { role } = req.body;
+    const userId = req.user.id;
+
+    if (
+      ![RideParticipantRole.MODERATOR, RideParticipantRole.MEMBER].includes(
+        role,
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role must be either "moderator" or "member"',
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${rideId}` });
+    }
+
+    if (!hasRidePermission(ride, userId, RidePermission.MANAGE_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can change participant roles',
+      });
+    }
+
+    const participant = ride.participants.find(
+      (p) => p.user.toString() === participantId.toString(),
+    );
+
+    if (!participant || !participant.isApproved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approved participant not found in this ride',
+      });
+    }
+
+    if (participant.role === RideParticipantRole.OWNER) {
+      return res.status(400).json({
+        success: false,
+        error: "Cannot change the ride owner's role",
+      });
+    }
+
+    if (participant.role === role) {
+      return res.status(400).json({
+        success: false,
+        error: `Participant is already a ${role}`,
+      });
+    }
+
+    participant.role = role;
+    await ride.save();
+    // Redis caching temporarily disabled
+    // await invalidateRideCache(ride.id);
+
+    const isPromotion = role === RideParticipantRole.MODERATOR;
+    await sendAndSaveNotification({
+      userId: participantId,
+      type: 'NOTIFICATION__RIDE_ROLE_CHANGED',
+      title: isPromotion ? 'You are now a co-organizer 🛡️' : 'Role Updated',
+      body: isPromotion
+        ? `You can now help organize "${ride.name}"`
+        : `You are no longer a moderator of "${ride.name}"`,
+      subtitle: isPromotion
+        ? 'You can approve requests, manage members and start the ride.'
+        : '',
+      data: {
+        notificationType: 'NOTIFICATION__RIDE_ROLE_CHANGED',
+        rideId: ride.id,
+        rideName: ride.name,
+        ownerName: req.user.name,
+        role,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: isPromotion
+        ? 'Participant promoted to moderator'
+        : 'Participant demoted to member',
+      data: {
+        participant,
+        ride: {
+          id: ride.id,
+          name: ride.name,
+        },
+      },
+    });
+  } catch (err) {
+    logError('Error updating participant role:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ride ID or participant ID format',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error updating participant role',
+    });
+  }
+}
+
 // @desc    Get nearby rides within specified radius
 // @route   GET /api/v1/rides/nearby
 // @access  Public
 // @query   {number} latitude - Latitude coordinate
 // @query   {number} longitude - Longitude coordinate
 // @query   {number} radius - Search radius in meters (default: 50000)
+// @query   {number} page - Page number for pagination (default: 1)
+// @query   {number} limit - Number of rides per page (default: 10, max: 50)
+// @query   {string} after - Cursor of the next page (switches to cursor pagination)
+// @query   {string} before - Cursor of the previous page (switches to cursor pagination)
+// @query   {string} pagination - 'cursor' to get the first page in cursor mode
 async function getNearbyRides(req, res) {
   try {
     const {
@@ -1467,8 +1987,8 @@ async function getNearbyRides(req, res) {
         $gte: longitude - lngDelta,
         $lte: longitude + lngDelta,
       },
-      // By default, exclude completed and cancelled rides
-      status: { $nin: ['completed', 'cancelled'] },
+      // Only rides that can still be joined
+      status: { $in: [RideStatus.PLANNED, RideStatus.ACTIVE] },
     };
 
     // Exclude rides where user is owner or participant
@@ -1479,12 +1999,18 @@ async function getNearbyRides(req, res) {
       ];
     }
 
+    const sortObj = { startTime: 1 };
+    const cursorQuery = getCursorQuery(req.query, filterObj, sortObj);
+    if (cursorQuery?.error) {
+      return res.status(400).json({ success: false, error: cursorQuery.error });
+    }
+
     // Get total count for pagination
     const totalRides = await Ride.countDocuments(filterObj);
     const totalPages = Math.ceil(totalRides / limitNum);
 
     // Find nearby rides with pagination
-    const rides = await Ride.find(filterObj)
+    const ridesQuery = Ride.find(cursorQuery ? cursorQuery.filter : filterObj)
       .populate({
         path: 'owner',
         select: 'name email image phoneNumber',
@@ -1496,9 +2022,19 @@ async function getNearbyRides(req, res) {
         populate: { path: 'profile', select: 'handle' },
       })
       .lean() // Use lean() for read-only queries
-      .sort({ startTime: 1 })
-      .skip(skip)
-      .limit(limitNum);
+      .sort(cursorQuery ? cursorQuery.sort : sortObj);
+
+    // Cursor pages fetch one extra ride to tell whether more follow
+    const cursorPage = cursorQuery
+      ? buildCursorPage(
+          await ridesQuery.limit(limitNum + 1),
+          cursorQuery,
+          limitNum,
+        )
+      : null;
+    const rides = cursorPage
+      ? cursorPage.items
+      : await ridesQuery.skip(skip).limit(limitNum);
 
     // Organize participants for each ride and calculate distance
     const ridesWithOrganizedParticipants = rides.map((ride) => {
@@ -1535,20 +2071,32 @@ async function getNearbyRides(req, res) {
       return rideObj;
     });
 
+    // Flag the rides the viewer has hearted or bookmarked
+    const viewerFlags = await getViewerInteractions(
+      rides.map((ride) => ride._id), // eslint-disable-line no-underscore-dangle
+      req.user?.id,
+    );
+    ridesWithOrganizedParticipants.forEach((ride) => {
+      // eslint-disable-next-line no-underscore-dangle
+      Object.assign(ride, viewerFlags[ride._id.toString()]);
+    });
+
     res.status(200).json({
       success: true,
       count: ridesWithOrganizedParticipants.length,
       total: totalRides,
       data: ridesWithOrganizedParticipants,
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1,
-        nextPage: pageNum < totalPages ? pageNum + 1 : null,
-        prevPage: pageNum > 1 ? pageNum - 1 : null,
-        limit: limitNum,
-      },
+      pagination: cursorPage
+        ? cursorPage.pagination
+        : {
+            currentPage: pageNum,
+            totalPages,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            nextPage: pageNum < totalPages ? pageNum + 1 : null,
+            prevPage: pageNum > 1 ? pageNum - 1 : null,
+            limit: limitNum,
+          },
       search: {
         latitude,
         longitude,
@@ -1581,11 +2129,11 @@ async function startRide(req, res) {
         .json({ success: false, error: `Ride not found with ID ${id}` });
     }
 
-    // Check if the user is the owner of the ride
-    if (ride.owner.toString() !== userId) {
+    // Check if the user can start the ride
+    if (!hasRidePermission(ride, userId, RidePermission.START_RIDE)) {
       return res.status(403).json({
         success: false,
-        error: 'Only the ride owner can start the ride',
+        error: 'Only the ride owner or a moderator can start the ride',
       });
     }
 
@@ -1615,6 +2163,13 @@ async function startRide(req, res) {
     // Redis caching temporarily disabled
     // await invalidateRideCache(ride.id);
 
+    await recordRideEvent({
+      ride: ride.id,
+      type: RideEventType.STARTED,
+      actor: userId,
+      changes: [statusChange(RideStatus.PLANNED, RideStatus.ACTIVE)],
+    });
+
     // Send push notification to all participants
     const participantIds = ride.participants
       .filter((p) => p.isApproved && p.user.toString() !== userId.toString())
@@ -1679,11 +2234,11 @@ async function completeRide(req, res) {
         .json({ success: false, error: `Ride not found with ID ${id}` });
     }
 
-    // Check if the user is the owner of the ride
-    if (ride.owner.toString() !== userId) {
+    // Check if the user can complete the ride
+    if (!hasRidePermission(ride, userId, RidePermission.COMPLETE_RIDE)) {
       return res.status(403).json({
         success: false,
-        error: 'Only the ride owner can complete the ride',
+        error: 'Only the ride owner or a moderator can complete the ride',
       });
     }
 
@@ -1696,57 +2251,27 @@ async function completeRide(req, res) {
     }
 
     // Update ride status to 'completed' and set end time
+    const previousEndTime = ride.endTime;
     ride.status = 'completed';
     ride.endTime = new Date();
     await ride.save();
     // Redis caching temporarily disabled
     // await invalidateRideCache(ride.id);
 
-    // Calculate and update statistics for all participants
-    const allTrackingData = await RideTracking.find({
-      ride: id,
+    await recordRideEvent({
+      ride: ride.id,
+      type: RideEventType.COMPLETED,
+      actor: userId,
+      changes: [
+        statusChange(RideStatus.ACTIVE, RideStatus.COMPLETED),
+        { field: 'endTime', from: previousEndTime, to: ride.endTime },
+      ],
     });
 
-    // Calculate stats for each participant and update their records
-    await Promise.all(
-      allTrackingData
-        .filter((trackingData) => trackingData.path.length > 0)
-        .map(async (trackingData) => {
-          const stats = calculateRideStats(trackingData.path);
-
-          // Update calculated stats in tracking document
-          await RideTracking.findByIdAndUpdate(trackingData.id, {
-            $set: {
-              calculatedStats: stats,
-            },
-          });
-
-          // Update participant stats in the ride
-          await updateParticipantStats(id, trackingData.user, stats);
-        }),
-    );
-
-    // Update aggregated ride statistics
-    await updateRideStats(id);
-
-    // Send push notification to all participants and save to database
-    const participantIds = ride.participants
-      .filter((p) => p.isApproved && p.user.toString() !== userId.toString())
-      .map((p) => p.user);
-
-    await sendAndSaveNotification({
-      userId: participantIds,
-      type: 'NOTIFICATION__RIDE_COMPLETED',
-      title: 'Ride Completed! 🎉',
-      body: `The ride "${ride.name}" has been completed!`,
-      subtitle: `Great job completing the ride! Hope you had a wonderful time.`,
-      data: {
-        notificationType: 'NOTIFICATION__RIDE_COMPLETED',
-        rideId: ride.id,
-        rideName: ride.name,
-        ownerName: req.user.name,
-        endTime: ride.endTime,
-      },
+    // Finalize participant statistics and notify participants
+    await finalizeRideCompletion(ride, {
+      completedBy: userId,
+      completedByName: req.user.name,
     });
 
     res.status(200).json({
@@ -1779,10 +2304,20 @@ async function completeRide(req, res) {
 // @desc    Cancel a ride (change status to 'cancelled')
 // @route   POST /api/v1/rides/:id/cancel
 // @access  Private
+// @body    {string} reason - Optional cancellation reason shown to participants
 async function cancelRide(req, res) {
   try {
     const { id } = req.params;
     const userId = req.user.id;
+    const reason =
+      typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason cannot exceed 500 characters',
+      });
+    }
 
     const ride = await Ride.findById(id);
 
@@ -1792,8 +2327,8 @@ async function cancelRide(req, res) {
         .json({ success: false, error: `Ride not found with ID ${id}` });
     }
 
-    // Check if the user is the owner of the ride
-    if (ride.owner.toString() !== userId) {
+    // Check if the user can cancel the ride
+    if (!hasRidePermission(ride, userId, RidePermission.CANCEL_RIDE)) {
       return res.status(403).json({
         success: false,
         error: 'Only the ride owner can cancel the ride',
@@ -1814,6 +2349,14 @@ async function cancelRide(req, res) {
     // Redis caching temporarily disabled
     // await invalidateRideCache(ride.id);
 
+    await recordRideEvent({
+      ride: ride.id,
+      type: RideEventType.CANCELLED,
+      actor: userId,
+      changes: [statusChange(RideStatus.PLANNED, RideStatus.CANCELLED)],
+      reason,
+    });
+
     // Cancel all scheduled reminder notifications
     try {
       // eslint-disable-next-line no-underscore-dangle
@@ -1836,13 +2379,14 @@ async function cancelRide(req, res) {
       type: 'NOTIFICATION__RIDE_CANCELLED',
       title: 'Ride Cancelled ❌',
       body: `The ride "${ride.name}" has been cancelled`,
-      subtitle: `The ride owner has cancelled this ride.`,
+      subtitle: reason || `The ride owner has cancelled this ride.`,
       data: {
         notificationType: 'NOTIFICATION__RIDE_CANCELLED',
         rideId: ride.id,
         rideName: ride.name,
         ownerName: req.user.name,
         startTime: ride.startTime,
+        reason: reason || undefined,
       },
     });
 
@@ -1855,6 +2399,7 @@ async function cancelRide(req, res) {
           name: ride.name,
           status: ride.status,
           cancelledAt: new Date(),
+          reason: reason || null,
         },
       },
     });
@@ -1959,51 +2504,21 @@ async function updateLocationTracking(req, res) {
     // Parse timestamp if provided, otherwise use current time
     const trackingTimestamp = timestamp ? new Date(timestamp) : new Date();
 
-    // Update or create tracking data
-    const updatedTracking = await RideTracking.findOneAndUpdate(
-      { ride: rideId, user: userId },
-      {
-        $push: {
-          path: {
-            timestamp: trackingTimestamp,
-            coordinates: {
-              type: 'Point',
-              coordinates: [longitude, latitude], // GeoJSON order: [longitude, latitude]
-            },
-          },
-        },
-        $set: {
-          lastKnownPosition: {
+    // Store the point and update statistics
+    const { tracking: updatedTracking } = await recordTrackingPoints(
+      rideId,
+      userId,
+      [
+        {
+          timestamp: trackingTimestamp,
+          coordinates: {
             type: 'Point',
-            coordinates: [Number(longitude), Number(latitude)],
-            timestamp: trackingTimestamp,
+            coordinates: [longitude, latitude], // GeoJSON order: [longitude, latitude]
           },
         },
-        $setOnInsert: {
-          ride: rideId,
-          user: userId,
-          trackingStatus: 'active',
-          startTime: trackingTimestamp,
-        },
-      },
-      {
-        upsert: true, // Create the document if it doesn't exist
-        new: true, // Return the updated document
-        setDefaultsOnInsert: true, // Apply default values if upserting a new document
-        runValidators: true, // Run schema validators
-      },
+      ],
     );
 
-    // Calculate and update statistics if we have path data
-    if (updatedTracking && updatedTracking.path.length > 0) {
-      const stats = calculateRideStats(updatedTracking.path);
-      await RideTracking.findByIdAndUpdate(updatedTracking.id, {
-        $set: {
-          calculatedStats: stats,
-        },
-      });
-    }
-
     res.status(200).json({
       success: true,
       message: 'Location updated successfully',
@@ -2013,7 +2528,7 @@ async function updateLocationTracking(req, res) {
         coordinates: [longitude, latitude],
         timestamp: trackingTimestamp,
         trackingStatus: updatedTracking.trackingStatus,
-        totalPoints: updatedTracking.path.length,
+        totalPoints: updatedTracking.pointCount,
       },
     });
   } catch (err) {
@@ -2082,6 +2597,8 @@ async function getRideTracking(req, res) {
       });
     }
 
+    const path = await getTrackingPath(id, userId);
+
     // Prepare response data
     const responseData = {
       ride: {
@@ -2099,8 +2616,8 @@ async function getRideTracking(req, res) {
         endTime: trackingData.endTime,
         lastKnownPosition: trackingData.lastKnownPosition,
         calculatedStats: trackingData.calculatedStats,
-        path: trackingData.path,
-        totalPoints: trackingData.path.length,
+        path,
+        totalPoints: path.length,
         lastUpdated: trackingData.updatedAt,
       },
     };
@@ -2124,6 +2641,26 @@ async function getRideTracking(req, res) {
   }
 }
 
+// Fields of an edited ride whose previous values are kept in its history
+const HISTORY_FIELDS = [
+  'name',
+  'description',
+  'startTime',
+  'endTime',
+  'startLocation',
+  'endLocation',
+  'waypoints',
+  'route',
+  'plannedRoute',
+  'maxParticipants',
+  'visibility',
+  'difficulty',
+  'bannerImage',
+  'waitlistMode',
+  'waitlistOfferMinutes',
+  'autoApproval',
+];
+
 // @desc    Update a ride
 // @route   PUT /api/v1/rides/:id
 // @access  Private
@@ -2141,9 +2678,13 @@ async function updateRide(req, res) {
       maxParticipants,
       visibility,
       route,
+      plannedRoute,
       difficulty,
       bannerImage,
       waypoints,
+      waitlistMode,
+      waitlistOfferMinutes,
+      autoApproval,
     } = req.body;
 
     // Find the ride
@@ -2156,8 +2697,8 @@ async function updateRide(req, res) {
       });
     }
 
-    // Check if the user is the owner of the ride
-    if (ride.owner.toString() !== userId.toString()) {
+    // Check if the user can edit the ride
+    if (!hasRidePermission(ride, userId, RidePermission.EDIT_RIDE)) {
       return res.status(403).json({
         success: false,
         error: 'Only the ride owner can edit the ride',
@@ -2173,17 +2714,7 @@ async function updateRide(req, res) {
     }
 
     // Validate required fields
-    if (
-      !name ||
-      !startTime ||
-      !startLocation ||
-      !startLocation.coordinates ||
-      !Array.isArray(startLocation.coordinates) ||
-      startLocation.coordinates.length !== 2 ||
-      !startLocation.address ||
-      !startLocation.address.city ||
-      !startLocation.address.country
-    ) {
+    if (!hasRequiredRideFields({ name, startTime, startLocation })) {
       return res.status(400).json({
         success: false,
         error:
@@ -2191,74 +2722,33 @@ async function updateRide(req, res) {
       });
     }
 
-    if (
-      typeof startLocation.coordinates[0] !== 'number' ||
-      typeof startLocation.coordinates[1] !== 'number'
-    ) {
+    const locationError = validateRideLocations({
+      startLocation,
+      endLocation,
+      waypoints,
+    });
+    if (locationError) {
       return res.status(400).json({
         success: false,
-        error:
-          'Start location coordinates must be valid numbers in [longitude, latitude] format.',
+        error: locationError,
       });
     }
 
-    // Add more detailed validation for endLocation if it's provided
-    if (endLocation) {
-      if (
-        !endLocation.coordinates ||
-        !Array.isArray(endLocation.coordinates) ||
-        endLocation.coordinates.length !== 2 ||
-        typeof endLocation.coordinates[0] !== 'number' ||
-        typeof endLocation.coordinates[1] !== 'number'
-      ) {
-        return res.status(400).json({
-          success: false,
-          error:
-            'End location coordinates must be provided as [longitude, latitude] array if endLocation is provided.',
-        });
-      }
-      if (
-        !endLocation.address ||
-        !endLocation.address.city ||
-        !endLocation.address.country
-      ) {
+    // Validate planned route if provided (null detaches the current route)
+    if (plannedRoute) {
+      const plannedRouteError = await validatePlannedRoute(
+        plannedRoute,
+        req.user.id,
+        { current: ride.plannedRoute },
+      );
+      if (plannedRouteError) {
         return res.status(400).json({
           success: false,
-          error:
-            'End location address must include city and country if endLocation is provided.',
+          error: plannedRouteError,
         });
       }
     }
 
-    // Validate waypoints if provided
-    if (waypoints && Array.isArray(waypoints)) {
-      for (let i = 0; i < waypoints.length; i += 1) {
-        const waypoint = waypoints[i];
-        if (
-          !waypoint.coordinates ||
-          !Array.isArray(waypoint.coordinates) ||
-          waypoint.coordinates.length !== 2 ||
-          typeof waypoint.coordinates[0] !== 'number' ||
-          typeof waypoint.coordinates[1] !== 'number'
-        ) {
-          return res.status(400).json({
-            success: false,
-            error: `Waypoint ${i + 1} coordinates must be provided as [longitude, latitude] array.`,
-          });
-        }
-        if (
-          !waypoint.address ||
-          !waypoint.address.city ||
-          !waypoint.address.country
-        ) {
-          return res.status(400).json({
-            success: false,
-            error: `Waypoint ${i + 1} address must include city and country.`,
-          });
-        }
-      }
-    }
-
     // Store original values to detect changes
     const originalRide = {
       startTime: ride.startTime,
@@ -2267,6 +2757,7 @@ async function updateRide(req, res) {
       endLocation: ride.endLocation,
       waypoints: ride.waypoints,
       route: ride.route,
+      plannedRoute: ride.plannedRoute,
     };
 
     // Prepare update data
@@ -2275,34 +2766,8 @@ async function updateRide(req, res) {
       description,
       startTime: new Date(startTime),
       endTime: endTime ? new Date(endTime) : undefined,
-      startLocation: {
-        type: 'Point',
-        coordinates: startLocation.coordinates,
-        address: {
-          addressLine1: startLocation.address.addressLine1,
-          addressLine2: startLocation.address.addressLine2,
-          city: startLocation.address.city,
-          stateProvince: startLocation.address.stateProvince,
-          country: startLocation.address.country,
-          postalCode: startLocation.address.postalCode,
-          landmark: startLocation.address.landmark,
-        },
-      },
-      endLocation: endLocation
-        ? {
-            type: 'Point',
-            coordinates: endLocation.coordinates,
-            address: {
-              addressLine1: endLocation.address.addressLine1,
-              addressLine2: endLocation.address.addressLine2,
-              city: endLocation.address.city,
-              stateProvince: endLocation.address.stateProvince,
-              country: endLocation.address.country,
-              postalCode: endLocation.address.postalCode,
-              landmark: endLocation.address.landmark,
-            },
-          }
-        : undefined,
+      startLocation: formatLocation(startLocation),
+      endLocation: formatLocation(endLocation),
       route,
       maxParticipants: maxParticipants
         ? parseInt(maxParticipants, 10)
@@ -2310,23 +2775,34 @@ async function updateRide(req, res) {
       difficulty: difficulty || 'easy',
       visibility: visibility || RideVisibility.PUBLIC,
       bannerImage,
-      waypoints: waypoints
-        ? waypoints.map((waypoint) => ({
-            type: 'Point',
-            coordinates: waypoint.coordinates,
-            address: {
-              addressLine1: waypoint.address.addressLine1,
-              addressLine2: waypoint.address.addressLine2,
-              city: waypoint.address.city,
-              stateProvince: waypoint.address.stateProvince,
-              country: waypoint.address.country,
-              postalCode: waypoint.address.postalCode,
-              landmark: waypoint.address.landmark,
-            },
-          }))
-        : undefined,
+      waypoints: formatWaypoints(waypoints),
     };
 
+    // Waitlist settings keep their current value unless sent
+    if (waitlistMode !== undefined) updateData.waitlistMode = waitlistMode;
+    if (waitlistOfferMinutes !== undefined) {
+      updateData.waitlistOfferMinutes = waitlistOfferMinutes;
+    }
+
+    // Auto-approval rules are replaced as a whole when sent
+    if (autoApproval !== undefined) updateData.autoApproval = autoApproval;
+
+    // Only touch the planned route when the client sends it
+    if (plannedRoute !== undefined) {
+      updateData.plannedRoute = plannedRoute || null;
+    }
+
+    // findByIdAndUpdate skips the save hook that keeps search keywords fresh
+    updateData.searchKeywords = buildSearchKeywords({
+      ...updateData,
+      ownerHandle: ride.ownerHandle,
+    });
+
+    // A ride edited on its own no longer follows its series template
+    if (ride.series) {
+      updateData.seriesException = true;
+    }
+
     // Update the ride
     const updatedRide = await Ride.findByIdAndUpdate(id, updateData, {
       new: true,
@@ -2336,6 +2812,26 @@ async function updateRide(req, res) {
     // Redis caching temporarily disabled
     // await invalidateRideCache(id);
 
+    const editedFields = diffRideFields(ride, updatedRide, HISTORY_FIELDS);
+    if (editedFields.length > 0) {
+      await recordRideEvent({
+        ride: updatedRide.id,
+        type: RideEventType.UPDATED,
+        actor: userId,
+        changes: editedFields,
+      });
+    }
+
+    // A raised or removed limit frees spots for the waitlist
+    if (ride.maxParticipants !== updatedRide.maxParticipants) {
+      try {
+        await promoteNextFromWaitlist(updatedRide.id);
+      } catch (error) {
+        logError('Failed to promote waitlisted riders:', error);
+        // Don't fail the request - the next freed spot retries promotion
+      }
+    }
+
     // Detect changes to key fields
     const keyFieldsChanged = [];
     const changes = [];
@@ -2391,6 +2887,15 @@ async function updateRide(req, res) {
       changes.push('route');
     }
 
+    // Check planned route
+    if (
+      plannedRoute !== undefined &&
+      (originalRide.plannedRoute?.toString() || null) !== (plannedRoute || null)
+    ) {
+      keyFieldsChanged.push('plannedRoute');
+      changes.push('planned route');
+    }
+
     // Send notifications if key fields changed
     if (keyFieldsChanged.length > 0) {
       const participantIds = ride.participants
@@ -2462,19 +2967,210 @@ async function updateRide(req, res) {
   }
 }
 
+// @desc    Delete a ride, or archive it once it has been completed
+// @route   DELETE /api/v1/rides/:id
+// @access  Private (ride owner only)
+async function deleteRide(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const ride = await Ride.findById(id);
+    if (!ride) {
+      return res
+        .status(404)
+        .json({ success: false, error: `Ride not found with ID ${id}` });
+    }
+
+    if (!hasRidePermission(ride, userId, RidePermission.DELETE_RIDE)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can delete the ride',
+      });
+    }
+
+    // Completed rides keep their history for everyone who took part
+    if (ARCHIVED_RIDE_STATUSES.includes(ride.status)) {
+      if (ride.archivedAt) {
+        return res.status(400).json({
+          success: false,
+          error: 'This ride is already archived',
+        });
+      }
+
+      await archiveRide(ride, userId);
+      await recordRideEvent({
+        ride: ride.id,
+        type: RideEventType.ARCHIVED,
+        actor: userId,
+        changes: [{ field: 'archivedAt', from: null, to: ride.archivedAt }],
+      });
+
+      return res.status(200).json({
+        success: true,
+        archived: true,
+        message: 'Ride archived successfully',
+        data: {
+          ride: {
+            id: ride.id,
+            name: ride.name,
+            status: ride.status,
+            archivedAt: ride.archivedAt,
+          },
+        },
+      });
+    }
+
+    if (!DELETABLE_RIDE_STATUSES.includes(ride.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete ride. Current status is '${ride.status}'. Complete or cancel the ride first.`,
+      });
+    }
+
+    const participantIds = ride.participants
+      .filter((p) => p.isApproved && p.user.toString() !== userId.toString())
+      .map((p) => p.user);
+
+    const deleted = await deleteRideCascade(ride);
+
+    // Only participants of an upcoming ride still need to hear about it
+    if (ride.status === RideStatus.PLANNED && participantIds.length > 0) {
+      await sendAndSaveNotification({
+        userId: participantIds,
+        type: 'NOTIFICATION__RIDE_DELETED',
+        title: 'Ride Deleted 🗑️',
+        body: `The ride "${ride.name}" has been deleted`,
+        subtitle: 'The ride owner has deleted this ride.',
+        data: {
+          notificationType: 'NOTIFICATION__RIDE_DELETED',
+          rideName: ride.name,
+          ownerName: req.user.name,
+          startTime: ride.startTime,
+        },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      archived: false,
+      message: 'Ride deleted successfully',
+      data: {
+        rideId: ride.id,
+        deleted,
+      },
+    });
+  } catch (err) {
+    logError('Error deleting ride:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ride ID format',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error deleting ride',
+    });
+  }
+}
+
+// @desc    Clone a ride into a new planned ride
+// @route   POST /api/v1/rides/:id/clone
+// @access  Private (owner, participants, or anyone for public rides)
+// @body    {string} startTime - Start time of the new ride (required)
+// @body    {string} endTime - End time (default: keeps the original duration)
+// @body    {string} name - Name of the new ride (default: original name)
+async function cloneRide(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { name } = req.body;
+
+    const ride = await Ride.findById(id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        error: `Ride not found with ID ${id}`,
+      });
+    }
+
+    if (!canCopyRide(ride, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this ride',
+      });
+    }
+
+    const duration = ride.endTime
+      ? Math.round((ride.endTime - ride.startTime) / 1000)
+      : undefined;
+    const schedule = resolveRideSchedule(req.body, duration);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: schedule.error,
+      });
+    }
+
+    // Participants, tracking and expenses are never part of the blueprint
+    const blueprint = getRideBlueprint(ride);
+    if (name) blueprint.name = name;
+
+    const newRide = await createRideFromBlueprint(blueprint, {
+      owner: userId,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+    });
+
+    // Redis caching temporarily disabled
+    // await invalidateRidesCache();
+
+    res.status(201).json({
+      success: true,
+      data: newRide,
+    });
+  } catch (err) {
+    logError('Error cloning ride:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ride ID format',
+      });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error cloning ride',
+    });
+  }
+}
+
 export {
   createRide,
   getRides,
   getRide,
+  getRideByCode,
   updateRide,
+  deleteRide,
+  cloneRide,
   joinRide,
   leaveRide,
   getPendingRequests,
   approveRejectRequest,
+  bulkRespondToRequests,
   getMyRequests,
   getRideParticipants,
   deleteRideRequest,
   removeParticipant,
+  updateParticipantRole,
   getNearbyRides,
   startRide,
   completeRide,
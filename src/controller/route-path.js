@@ -0,0 +1,550 @@
+import RoutePath from '../models/route-path.js';
+import Ride from '../models/ride.js';
+import RideSeries from '../models/ride-series.js';
+import RideTemplate from '../models/ride-template.js';
+import { logError } from '../utils/logger.js';
+import {
+  computeRouteMetrics,
+  buildRouteWaypoints,
+  validateRouteData,
+} from '../utils/route-helpers.js';
+import { parseRouteFile } from '../utils/route-file-parser.js';
+
+/**
+ * Build RoutePath document data with computed metrics
+ * @param {Object} data - Route data
+ * @returns {Object} Data ready for RoutePath.create
+ */
+function buildRoutePathData({
+  name,
+  description,
+  owner,
+  coordinates,
+  waypoints,
+  averageSpeed,
+}) {
+  const metrics = computeRouteMetrics(coordinates, averageSpeed);
+
+  return {
+    name: name.trim(),
+    description,
+    owner,
+    geometry: {
+      type: 'LineString',
+      coordinates,
+    },
+    waypoints: buildRouteWaypoints(waypoints, coordinates),
+    distance: metrics.distance,
+    estimatedDuration: metrics.estimatedDuration,
+    averageSpeed,
+  };
+}
+
+// @desc    Create a planned route
+// @route   POST /api/v1/routes
+// @access  Private
+async function createRoute(req, res) {
+  try {
+    const { name, description, coordinates, waypoints, averageSpeed } =
+      req.body;
+
+    const validation = validateRouteData({
+      name,
+      coordinates,
+      waypoints,
+      averageSpeed,
+    });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(validation.errors).join(', '),
+      });
+    }
+
+    const route = await RoutePath.create(
+      buildRoutePathData({
+        name,
+        description,
+        owner: req.user.id,
+        coordinates,
+        waypoints,
+        averageSpeed,
+      }),
+    );
+
+    res.status(201).json({
+      success: true,
+      data: route,
+    });
+  } catch (err) {
+    logError('Error creating route:', err);
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error creating route.' });
+  }
+}
+
+// @desc    Get planned routes created by the logged-in user
+// @route   GET /api/v1/routes
+// @access  Private
+// @query   {number} page - Page number for pagination (default: 1)
+// @query   {number} limit - Number of routes per page (default: 10, max: 50)
+async function getRoutes(req, res) {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filterObj = { owner: req.user.id };
+
+    const totalRoutes = await RoutePath.countDocuments(filterObj);
+    const totalPages = Math.ceil(totalRoutes / limitNum);
+
+    const routes = await RoutePath.find(filterObj)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: routes.length,
+      total: totalRoutes,
+      data: routes,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        nextPage: pageNum < totalPages ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null,
+        limit: limitNum,
+      },
+    });
+  } catch (err) {
+    logError('Error getting routes:', err);
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting routes.' });
+  }
+}
+
+// @desc    Get a single planned route
+// @route   GET /api/v1/routes/:id
+// @access  Private (route owner, or owner or approved participant of a ride
+//          that uses the route)
+async function getRoute(req, res) {
+  try {
+    const userId = req.user.id;
+    const route = await RoutePath.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: `Route not found with id of ${req.params.id}`,
+      });
+    }
+
+    const isOwner = route.owner.toString() === userId.toString();
+    const ridesOnRoute =
+      !isOwner &&
+      (await Ride.exists({
+        plannedRoute: route.id,
+        $or: [
+          { owner: userId },
+          { participants: { $elemMatch: { user: userId, isApproved: true } } },
+        ],
+      }));
+
+    if (!isOwner && !ridesOnRoute) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this route',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: route,
+    });
+  } catch (err) {
+    logError('Error getting route:', err);
+    if (err.name === 'CastError') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid route ID format.' });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error getting route.' });
+  }
+}
+
+// @desc    Update a planned route
+// @route   PUT /api/v1/routes/:id
+// @access  Private
+async function updateRoute(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { name, description, coordinates, waypoints, averageSpeed } =
+      req.body;
+
+    const route = await RoutePath.findById(id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: `Route not found with ID ${id}`,
+      });
+    }
+
+    if (route.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the route owner can edit the route',
+      });
+    }
+
+    const validation = validateRouteData(
+      { name, coordinates, waypoints, averageSpeed },
+      true,
+    );
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(validation.errors).join(', '),
+      });
+    }
+
+    if (name !== undefined) route.name = name.trim();
+    if (description !== undefined) route.description = description;
+    if (averageSpeed !== undefined) route.averageSpeed = averageSpeed;
+    if (coordinates !== undefined) {
+      route.geometry = { type: 'LineString', coordinates };
+    }
+
+    const routeCoordinates = route.geometry.coordinates;
+
+    // Waypoint distances depend on the geometry, so rebuild them when either changes
+    if (waypoints !== undefined) {
+      route.waypoints = buildRouteWaypoints(waypoints, routeCoordinates);
+    } else if (coordinates !== undefined) {
+      route.waypoints = buildRouteWaypoints(
+        route.waypoints.map((waypoint) => ({
+          order: waypoint.order,
+          name: waypoint.name,
+          coordinates: waypoint.location.coordinates,
+        })),
+        routeCoordinates,
+      );
+    }
+
+    const metrics = computeRouteMetrics(routeCoordinates, route.averageSpeed);
+    route.distance = metrics.distance;
+    route.estimatedDuration = metrics.estimatedDuration;
+
+    await route.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Route updated successfully',
+      data: route,
+    });
+  } catch (err) {
+    logError('Error updating route:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route ID format',
+      });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error updating route',
+    });
+  }
+}
+
+// @desc    Delete a planned route and detach it from rides
+// @route   DELETE /api/v1/routes/:id
+// @access  Private
+async function deleteRoute(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const route = await RoutePath.findById(id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: `Route not found with ID ${id}`,
+      });
+    }
+
+    if (route.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the route owner can delete the route',
+      });
+    }
+
+    // Detach the route from everything that references it
+    await Promise.all(
+      [Ride, RideSeries, RideTemplate].map((Model) =>
+        Model.updateMany({ plannedRoute: id }, { $unset: { plannedRoute: 1 } }),
+      ),
+    );
+    await RoutePath.findByIdAndDelete(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Route deleted successfully',
+    });
+  } catch (err) {
+    logError('Error deleting route:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route ID format',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error deleting route',
+    });
+  }
+}
+
+// @desc    Import a planned route from a GPX or KML file
+// @route   POST /api/v1/routes/import
+// @access  Private
+// @body    {string} content - Raw GPX/KML file content
+// @body    {string} format - 'gpx' or 'kml' (detected from content if omitted)
+async function importRoute(req, res) {
+  try {
+    const { content, format, name, description, averageSpeed } = req.body;
+
+    const parsed = parseRouteFile(content, format);
+    if (!parsed.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${parsed.format?.toUpperCase() || 'route'} file`,
+        details: parsed.errors,
+      });
+    }
+
+    const routeName = name || parsed.route.name || 'Imported route';
+    const validation = validateRouteData({
+      name: routeName,
+      coordinates: parsed.route.coordinates,
+      averageSpeed,
+    });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(validation.errors).join(', '),
+      });
+    }
+
+    const route = await RoutePath.create(
+      buildRoutePathData({
+        name: routeName,
+        description: description || parsed.route.description,
+        owner: req.user.id,
+        coordinates: parsed.route.coordinates,
+        waypoints: parsed.route.waypoints,
+        averageSpeed,
+      }),
+    );
+
+    res.status(201).json({
+      success: true,
+      data: route,
+      imported: {
+        format: parsed.format,
+        points: parsed.route.coordinates.length,
+        waypoints: parsed.route.waypoints.length,
+      },
+    });
+  } catch (err) {
+    logError('Error importing route:', err);
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res
+        .status(400)
+        .json({ success: false, error: messages.join(', ') });
+    }
+    res
+      .status(500)
+      .json({ success: false, error: 'Server Error importing route.' });
+  }
+}
+
+// @desc    Import a GPX or KML file as the planned route and waypoints of a ride
+//          (importing again replaces the route imported earlier for the ride)
+// @route   POST /api/v1/rides/:id/planned-route/import
+// @access  Private
+// @body    {string} content - Raw GPX/KML file content
+// @body    {string} format - 'gpx' or 'kml' (detected from content if omitted)
+// @body    {Object} waypointAddress - Address (city, country, ...) used for imported
+//          waypoints, since GPX/KML files carry no postal address (default: ride start address)
+async function importRideRoute(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { content, format, averageSpeed, waypointAddress } = req.body;
+
+    const ride = await Ride.findById(id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        error: `Ride not found with ID ${id}`,
+      });
+    }
+
+    if (ride.owner.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the ride owner can edit the ride',
+      });
+    }
+
+    if (ride.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot edit ride. Current status is '${ride.status}'. Only planned rides can be edited.`,
+      });
+    }
+
+    if (
+      waypointAddress &&
+      (!waypointAddress.city || !waypointAddress.country)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'Waypoint address must include city and country.',
+      });
+    }
+
+    const parsed = parseRouteFile(content, format);
+    if (!parsed.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${parsed.format?.toUpperCase() || 'route'} file`,
+        details: parsed.errors,
+      });
+    }
+
+    const routeData = {
+      ...buildRoutePathData({
+        name: parsed.route.name || ride.name,
+        description: parsed.route.description,
+        owner: userId,
+        coordinates: parsed.route.coordinates,
+        waypoints: parsed.route.waypoints,
+        averageSpeed,
+      }),
+      importedFor: ride.id,
+    };
+
+    // A route imported earlier for this ride is replaced, not left behind
+    const previousImport = ride.plannedRoute
+      ? await RoutePath.findOne({
+          _id: ride.plannedRoute,
+          owner: userId,
+          importedFor: ride.id,
+        })
+      : null;
+
+    let route;
+    if (previousImport) {
+      previousImport.set(routeData);
+      route = await previousImport.save();
+    } else {
+      route = await RoutePath.create(routeData);
+    }
+
+    const baseAddress = waypointAddress || ride.startLocation.address;
+
+    ride.plannedRoute = route.id;
+    if (parsed.route.waypoints.length > 0) {
+      ride.waypoints = parsed.route.waypoints.map((waypoint, index) => ({
+        type: 'Point',
+        coordinates: waypoint.coordinates,
+        address: {
+          addressLine1: waypoint.name || `Waypoint ${index + 1}`,
+          city: baseAddress.city,
+          stateProvince: baseAddress.stateProvince,
+          country: baseAddress.country,
+          postalCode: baseAddress.postalCode,
+          landmark: waypoint.description,
+        },
+      }));
+    }
+
+    await ride.save();
+    // Redis caching temporarily disabled
+    // await invalidateRideCache(ride.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Route imported successfully',
+      data: {
+        ride,
+        plannedRoute: route,
+      },
+      imported: {
+        format: parsed.format,
+        points: parsed.route.coordinates.length,
+        waypoints: parsed.route.waypoints.length,
+      },
+    });
+  } catch (err) {
+    logError('Error importing ride route:', err);
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ride ID format',
+      });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', '),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error importing ride route',
+    });
+  }
+}
+
+export {
+  createRoute,
+  getRoutes,
+  getRoute,
+  updateRoute,
+  deleteRoute,
+  importRoute,
+  importRideRoute,
+};
@@ -1,6 +1,7 @@
 import { User, UserProfile } from '../models/user.js';
 import { logInfo, logError } from '../utils/logger.js';
 import LegalAcceptance from '../models/legal-acceptance.js';
+import { syncOwnerHandle } from '../services/ride-search.service.js';
 
 // @desc Get current user
 // @route GET /api/v1/users/me
@@ -169,6 +170,16 @@ async function updateUser(req, res) {
       updatedUserProfile = userProfile;
     }
 
+    // Rides are searchable by their owner's handle
+    if (profileUpdates.handle !== undefined) {
+      try {
+        await syncOwnerHandle(req.user.id);
+      } catch (error) {
+        logError('Failed to update owner handle on rides:', error);
+        // Don't fail the request - search picks it up on the next backfill
+      }
+    }
+
     const combinedUser = {
       ...updatedAuthUser.toObject(),
       ...updatedUserProfile.toObject(),
@@ -124,6 +124,15 @@ async function startServer() {
       await connectToRedis();
       // Import worker after Redis is connected
       await import('./workers/ride-reminders.worker.js');
+      await import('./workers/ride-series.worker.js');
+      await import('./workers/ride-waitlist.worker.js');
+      await import('./workers/ride-lifecycle.worker.js');
+      const { scheduleSeriesGeneration } =
+        await import('./queues/ride-series.queue.js');
+      await scheduleSeriesGeneration();
+      const { scheduleRideLifecycle } =
+        await import('./queues/ride-lifecycle.queue.js');
+      await scheduleRideLifecycle();
     } catch (error) {
       logWarn(
         '⚠️  Redis connection failed - notification reminders disabled:',
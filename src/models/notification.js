@@ -19,9 +19,19 @@ const NotificationSchema = new mongoose.Schema(
         'NOTIFICATION__RIDE_CANCELLED',
         'NOTIFICATION__RIDE_COMPLETED',
         'NOTIFICATION__RIDE_UPDATED',
+        'NOTIFICATION__RIDE_EXPIRED',
+        'NOTIFICATION__RIDE_DELETED',
         'NOTIFICATION__RIDE_REMINDER_24H',
         'NOTIFICATION__RIDE_REMINDER_1H',
         'NOTIFICATION__RIDE_REMINDER_5MIN',
+        'NOTIFICATION__RIDE_ROLE_CHANGED',
+        'NOTIFICATION__RIDE_WAITLIST_PROMOTED',
+        'NOTIFICATION__RIDE_WAITLIST_OFFER',
+        'NOTIFICATION__RIDE_WAITLIST_OFFER_EXPIRED',
+        'NOTIFICATION__RIDE_OWNERSHIP_TRANSFER_REQUEST',
+        'NOTIFICATION__RIDE_OWNERSHIP_TRANSFER_DECLINED',
+        'NOTIFICATION__RIDE_OWNERSHIP_TRANSFERRED',
+        'NOTIFICATION__RIDE_REQUEST_AUTO_APPROVED',
       ],
     },
     title: {
@@ -69,6 +69,16 @@ const RideChatMessageSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Pinned messages are shown at the top of the chat
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    pinnedAt: Date,
   },
   {
     toJSON: { virtuals: true },
@@ -80,5 +90,6 @@ const RideChatMessageSchema = new mongoose.Schema(
 // Indexes for efficient querying
 RideChatMessageSchema.index({ ride: 1, createdAt: -1 });
 RideChatMessageSchema.index({ 'user._id': 1 });
+RideChatMessageSchema.index({ ride: 1, pinned: 1, pinnedAt: -1 });
 
 export default mongoose.model('RideChatMessage', RideChatMessageSchema);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { RideEventType } from '../utils/constants.js';
+
+const RideEventChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false },
+);
+
+const RideEventSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+      required: [true, 'Ride ID is required'],
+    },
+    type: {
+      type: String,
+      enum: Object.values(RideEventType),
+      required: [true, 'Event type is required'],
+    },
+    // Unset for changes made automatically by the system
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changes: [RideEventChangeSchema],
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+RideEventSchema.index({ ride: 1, createdAt: -1 });
+
+// The event log is append-only
+function rejectEventChanges(next) {
+  next(new Error('Ride events are append-only and cannot be modified'));
+}
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+].forEach((operation) => {
+  RideEventSchema.pre(operation, rejectEventChanges);
+});
+RideEventSchema.pre('save', function rejectEventEdits(next) {
+  if (!this.isNew) return rejectEventChanges(next);
+  return next();
+});
+
+export default mongoose.model('RideEvent', RideEventSchema);
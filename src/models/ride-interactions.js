@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { RideInteractionType } from '../utils/constants.js';
 
 const RideInteractionSchema = new mongoose.Schema(
   {
@@ -16,7 +17,7 @@ const RideInteractionSchema = new mongoose.Schema(
     },
     interactionType: {
       type: String,
-      enum: ['heart', 'bookmark'],
+      enum: Object.values(RideInteractionType),
       required: true,
     },
   },
@@ -31,5 +32,7 @@ RideInteractionSchema.index(
   { ride: 1, user: 1, interactionType: 1 },
   { unique: true },
 );
+// Lists a user's bookmarks, newest first
+RideInteractionSchema.index({ user: 1, interactionType: 1, createdAt: -1 });
 
 export default mongoose.model('RideInteraction', RideInteractionSchema);
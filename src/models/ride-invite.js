@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const RideInviteSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+      required: [true, 'Ride ID is required'],
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Token ID embedded in the signed invite link
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    maxUses: {
+      type: Number,
+      min: [1, 'An invite must allow at least one use'],
+    },
+    uses: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Invite expiry is required'],
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    timestamps: true,
+  },
+);
+
+RideInviteSchema.virtual('isActive').get(function isActive() {
+  return (
+    !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    (!this.maxUses || this.uses < this.maxUses)
+  );
+});
+
+export default mongoose.model('RideInvite', RideInviteSchema);
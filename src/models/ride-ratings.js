@@ -14,12 +14,24 @@ const RideRatingSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Owner of the ride when it was completed, credited with the rating even
+    // if ownership moves later
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
     rating: {
       type: Number,
       required: [true, 'Rating is required'],
       min: [1, 'Rating must be at least 1'],
       max: [5, 'Rating cannot be more than 5'],
     },
+    review: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review cannot exceed 1000 characters'],
+    },
   },
   {
     toJSON: { virtuals: true },
@@ -29,5 +41,6 @@ const RideRatingSchema = new mongoose.Schema(
 );
 
 RideRatingSchema.index({ ride: 1, user: 1 }, { unique: true });
+RideRatingSchema.index({ ride: 1, createdAt: -1 });
 
 export default mongoose.model('RideRating', RideRatingSchema);
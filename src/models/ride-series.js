@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import { LocationSchema } from './ride.js';
+import {
+  RideVisibility,
+  RecurrenceFrequency,
+  RideSeriesStatus,
+} from '../utils/constants.js';
+
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: Object.values(RecurrenceFrequency),
+      required: [true, 'Recurrence frequency is required'],
+    },
+    // Start of the first occurrence; day of week and time of day come from it
+    startsAt: {
+      type: Date,
+      required: [true, 'Recurrence start is required'],
+    },
+    // Monthly only: 1-4 for the nth weekday of the month, -1 for the last one
+    weekOfMonth: {
+      type: Number,
+      enum: [1, 2, 3, 4, -1],
+    },
+    // IANA time zone the ride time is anchored to (keeps 7am at 7am across DST)
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+    until: Date,
+    count: {
+      type: Number,
+      min: [1, 'Occurrence count must be at least 1'],
+    },
+  },
+  { _id: false },
+);
+
+const RideSeriesSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(RideSeriesStatus),
+      default: RideSeriesStatus.ACTIVE,
+    },
+    recurrence: {
+      type: RecurrenceSchema,
+      required: true,
+    },
+    // Number of upcoming occurrences kept materialized as rides
+    occurrencesAhead: {
+      type: Number,
+      default: 4,
+      min: [1, 'At least 1 upcoming occurrence must be created'],
+      max: [12, 'At most 12 upcoming occurrences can be created'],
+    },
+    // Scheduled start of the latest materialized occurrence
+    lastOccurrenceAt: Date,
+    generatedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Template copied onto every generated ride
+    name: {
+      type: String,
+      required: [true, 'Please add a ride name'],
+      trim: true,
+      maxlength: [100, 'Name can not be more than 100 characters'],
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description can not be more than 500 characters'],
+    },
+    duration: {
+      type: Number, // in seconds, used to derive each ride's endTime
+      min: 0,
+    },
+    startLocation: {
+      type: LocationSchema,
+      required: [true, 'Please add a start location'],
+    },
+    endLocation: LocationSchema,
+    waypoints: [LocationSchema],
+    plannedRoute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoutePath',
+    },
+    maxParticipants: {
+      type: Number,
+      min: [2, 'Minimum 2 participants for a group ride'],
+    },
+    visibility: {
+      type: String,
+      enum: Object.values(RideVisibility),
+      default: RideVisibility.PUBLIC,
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard', 'extreme'],
+      default: 'easy',
+    },
+    bannerImage: {
+      type: String,
+      trim: true,
+    },
+    endedAt: Date,
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    timestamps: true,
+  },
+);
+
+RideSeriesSchema.index({ owner: 1 });
+RideSeriesSchema.index({ status: 1 });
+
+export default mongoose.model('RideSeries', RideSeriesSchema);
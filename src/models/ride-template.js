@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { LocationSchema } from './ride.js';
+import { RideVisibility } from '../utils/constants.js';
+
+const RideTemplateSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Ride the template was saved from, if any
+    sourceRide: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+    },
+    name: {
+      type: String,
+      required: [true, 'Please add a ride name'],
+      trim: true,
+      maxlength: [100, 'Name can not be more than 100 characters'],
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description can not be more than 500 characters'],
+    },
+    duration: {
+      type: Number, // in seconds, used to derive the endTime of new rides
+      min: 0,
+    },
+    startLocation: {
+      type: LocationSchema,
+      required: [true, 'Please add a start location'],
+    },
+    endLocation: LocationSchema,
+    waypoints: [LocationSchema],
+    plannedRoute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoutePath',
+    },
+    maxParticipants: {
+      type: Number,
+      min: [2, 'Minimum 2 participants for a group ride'],
+    },
+    visibility: {
+      type: String,
+      enum: Object.values(RideVisibility),
+      default: RideVisibility.PUBLIC,
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard', 'extreme'],
+      default: 'easy',
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastUsedAt: Date,
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    timestamps: true,
+  },
+);
+
+RideTemplateSchema.index({ owner: 1, createdAt: -1 });
+
+export default mongoose.model('RideTemplate', RideTemplateSchema);
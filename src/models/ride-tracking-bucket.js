@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import { GpsPointFlag } from '../utils/constants.js';
+
+const TrackingPointSchema = new mongoose.Schema(
+  {
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    coordinates: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+        required: true,
+      },
+      coordinates: {
+        type: [Number],
+        required: [true, 'Coordinates are required'],
+        validate: {
+          validator: function validator(v) {
+            return v.length === 2;
+          },
+          message: 'Coordinates must be an array of [longitude, latitude].',
+        },
+      },
+    },
+    // Basic GPS data
+    speed: {
+      type: Number, // in m/s
+      min: 0,
+    },
+    heading: {
+      type: Number, // in degrees (0-360)
+      min: 0,
+      max: 360,
+    },
+    accuracy: {
+      type: Number, // horizontal accuracy radius in meters
+      min: 0,
+    },
+    altitude: {
+      type: Number, // in meters above sea level
+    },
+    // Distance from previous point
+    distanceFromPrevious: {
+      type: Number, // in meters
+      min: 0,
+    },
+    // Set when the point is left out of distance and speed
+    flag: {
+      type: String,
+      enum: Object.values(GpsPointFlag),
+    },
+  },
+  { _id: false },
+);
+
+// Tracking points of one rider on one ride within a fixed time window.
+// Points live here instead of on RideTracking so tracking documents stay
+// small however long the ride.
+const RideTrackingBucketSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Start of the time window (inclusive) and its end (exclusive)
+    bucketStart: {
+      type: Date,
+      required: true,
+    },
+    bucketEnd: {
+      type: Date,
+      required: true,
+    },
+    // Sorted by timestamp
+    points: [TrackingPointSchema],
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+RideTrackingBucketSchema.index(
+  { ride: 1, user: 1, bucketStart: 1 },
+  { unique: true },
+);
+
+export default mongoose.model('RideTrackingBucket', RideTrackingBucketSchema);
@@ -1,5 +1,29 @@
 import mongoose from 'mongoose';
 
+// Running totals of utils/ride-stats-calculator.js accumulateRideStats
+const StatsAccumulatorSchema = new mongoose.Schema(
+  {
+    pointCount: Number,
+    totalDistance: Number,
+    speedSum: Number,
+    speedCount: Number,
+    maxSpeed: Number,
+    firstTimestamp: Date,
+    lastTimestamp: Date,
+    lastCoordinates: {
+      type: [Number],
+      default: undefined,
+    },
+    anchorTimestamp: Date,
+    anchorCoordinates: {
+      type: [Number],
+      default: undefined,
+    },
+    outliersInRow: Number,
+  },
+  { _id: false },
+);
+
 const RideTrackingSchema = new mongoose.Schema(
   {
     ride: {
@@ -14,48 +38,12 @@ const RideTrackingSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
-    path: [
-      {
-        timestamp: {
-          type: Date,
-          default: Date.now,
-          required: true,
-        },
-        coordinates: {
-          type: {
-            type: String,
-            enum: ['Point'],
-            default: 'Point',
-            required: true,
-          },
-          coordinates: {
-            type: [Number],
-            required: [true, 'Coordinates are required'],
-            validate: {
-              validator: function validator(v) {
-                return v.length === 2;
-              },
-              message: 'Coordinates must be an array of [longitude, latitude].',
-            },
-          },
-        },
-        // Basic GPS data
-        speed: {
-          type: Number, // in m/s
-          min: 0,
-        },
-        heading: {
-          type: Number, // in degrees (0-360)
-          min: 0,
-          max: 360,
-        },
-        // Distance from previous point
-        distanceFromPrevious: {
-          type: Number, // in meters
-          min: 0,
-        },
-      },
-    ],
+    // Points are stored in RideTrackingBucket, see services/ride-tracking.service.js
+    pointCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     trackingStatus: {
       type: String,
       enum: ['active', 'paused', 'completed', 'stopped'],
@@ -93,6 +81,11 @@ const RideTrackingSchema = new mongoose.Schema(
         min: 0,
       },
     },
+    // Running totals behind calculatedStats, updated as points arrive
+    statsAccumulator: {
+      type: StatsAccumulatorSchema,
+      select: false,
+    },
     // Last known position for quick access
     lastKnownPosition: {
       type: {
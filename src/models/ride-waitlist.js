@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { WaitlistStatus } from '../utils/constants.js';
+
+const ACTIVE_STATUSES = [WaitlistStatus.WAITING, WaitlistStatus.OFFERED];
+
+const RideWaitlistSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+      required: [true, 'Ride ID is required'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(WaitlistStatus),
+      default: WaitlistStatus.WAITING,
+      required: true,
+    },
+    message: {
+      type: String,
+      maxlength: [200, 'Message cannot exceed 200 characters'],
+      trim: true,
+    },
+    // Entries are served in the order they joined
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    respondedAt: Date,
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    timestamps: true,
+  },
+);
+
+RideWaitlistSchema.index({ ride: 1, status: 1, joinedAt: 1 });
+// A rider can only hold one active place per ride
+RideWaitlistSchema.index(
+  { ride: 1, user: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_STATUSES } },
+  },
+);
+
+export { ACTIVE_STATUSES };
+
+export default mongoose.model('RideWaitlist', RideWaitlistSchema);
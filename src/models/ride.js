@@ -1,5 +1,11 @@
 import mongoose from 'mongoose';
-import { RideVisibility, RideStatus } from '../utils/constants.js';
+import {
+  RideVisibility,
+  RideStatus,
+  WaitlistMode,
+} from '../utils/constants.js';
+import { buildSearchKeywords } from '../utils/ride-search.js';
+import { UserProfile } from './user.js';
 
 const AddressSchema = new mongoose.Schema(
   {
@@ -99,6 +105,69 @@ const RideParticipantSchema = new mongoose.Schema(
   { _id: false },
 );
 
+const OwnershipTransferSchema = new mongoose.Schema(
+  {
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    message: {
+      type: String,
+      maxlength: [200, 'Message cannot exceed 200 characters'],
+      trim: true,
+    },
+  },
+  { _id: false },
+);
+
+// A join request is approved on its own when any enabled rule matches
+const AutoApprovalSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Users who were approved participants of a completed ride of the owner
+    riddenWithOwner: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedPhone: {
+      type: Boolean,
+      default: false,
+    },
+    allowlist: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      validate: [
+        (list) => list.length <= 200,
+        'Allowlist cannot have more than 200 users',
+      ],
+    },
+    // 0 turns the rule off
+    minCompletedRides: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum completed rides cannot be negative'],
+    },
+  },
+  { _id: false },
+);
+
 const RideSchema = new mongoose.Schema(
   {
     name: {
@@ -135,6 +204,24 @@ const RideSchema = new mongoose.Schema(
       type: Number,
       min: [2, 'Minimum 2 participants for a group ride'],
     },
+    // How a freed spot is handed to the next waitlisted rider
+    waitlistMode: {
+      type: String,
+      enum: Object.values(WaitlistMode),
+      default: WaitlistMode.AUTO,
+    },
+    // Time a rider has to accept an offered spot
+    waitlistOfferMinutes: {
+      type: Number,
+      default: 60,
+      min: [5, 'Waitlist offers must last at least 5 minutes'],
+      max: [1440, 'Waitlist offers can last at most 24 hours'],
+    },
+    // Only private rides review join requests
+    autoApproval: {
+      type: AutoApprovalSchema,
+      default: () => ({}),
+    },
     visibility: {
       type: String,
       enum: Object.values(RideVisibility),
@@ -165,6 +252,39 @@ const RideSchema = new mongoose.Schema(
       trim: true,
     },
     waypoints: [LocationSchema],
+    // Pending handover of the ride to another participant
+    ownershipTransfer: {
+      type: OwnershipTransferSchema,
+      default: undefined,
+    },
+    // Owner's handle, copied here so rides can be searched by it
+    ownerHandle: {
+      type: String,
+      trim: true,
+    },
+    // Word prefixes for partial-word search, see utils/ride-search.js
+    searchKeywords: {
+      type: [String],
+      select: false,
+    },
+    // Archived rides are hidden from ride lists but keep their history
+    archivedAt: Date,
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Recurring series this ride was generated from
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RideSeries',
+    },
+    // Scheduled start of the occurrence, kept even if the ride is rescheduled
+    seriesOccurrence: Date,
+    // Set when this occurrence was edited on its own
+    seriesException: {
+      type: Boolean,
+      default: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -204,6 +324,26 @@ const RideSchema = new mongoose.Schema(
         min: 0,
       },
     },
+    // Number of riders who hearted the ride
+    heartCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Rating summary, refreshed whenever a participant rates the ride
+    ratingStats: {
+      average: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5,
+      },
+      count: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
   },
   {
     toJSON: { virtuals: true },
@@ -230,12 +370,65 @@ RideSchema.pre('save', function addOwnerAsParticipant(next) {
   next();
 });
 
+// Fields that feed the search keywords
+const SEARCH_SOURCE_FIELDS = [
+  'name',
+  'ownerHandle',
+  'startLocation.address.city',
+  'endLocation.address.city',
+];
+
+RideSchema.pre('save', async function syncSearchFields() {
+  if (this.isNew || this.isModified('owner')) {
+    const profile = await UserProfile.findOne({
+      authId: this.owner.toString(),
+    })
+      .select('handle')
+      .lean();
+    this.ownerHandle = profile?.handle;
+  }
+
+  if (
+    this.isNew ||
+    SEARCH_SOURCE_FIELDS.some((field) => this.isModified(field))
+  ) {
+    this.searchKeywords = buildSearchKeywords(this);
+  }
+});
+
 // Add geospatial indexes for efficient coordinate-based queries
 RideSchema.index({ 'startLocation.coordinates': '2dsphere' });
 RideSchema.index({ 'endLocation.coordinates': '2dsphere' });
+RideSchema.index({ 'waypoints.coordinates': '2dsphere' });
 RideSchema.index({ startTime: 1 });
 RideSchema.index({ owner: 1 });
 RideSchema.index({ plannedRoute: 1 });
 RideSchema.index({ 'participants.user': 1 });
+RideSchema.index({ searchKeywords: 1 });
+RideSchema.index(
+  {
+    name: 'text',
+    ownerHandle: 'text',
+    'startLocation.address.city': 'text',
+    'endLocation.address.city': 'text',
+    description: 'text',
+  },
+  {
+    name: 'ride_search_text',
+    weights: {
+      name: 10,
+      ownerHandle: 6,
+      'startLocation.address.city': 4,
+      'endLocation.address.city': 4,
+      description: 1,
+    },
+  },
+);
+RideSchema.index(
+  { series: 1, seriesOccurrence: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } },
+);
+
+export { LocationSchema };
 
 export default mongoose.model('Ride', RideSchema);
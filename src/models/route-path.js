@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+const RouteWaypointSchema = new mongoose.Schema(
+  {
+    order: {
+      type: Number,
+      required: [true, 'Waypoint order is required'],
+      min: 0,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Waypoint name can not be more than 100 characters'],
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+        required: true,
+      },
+      coordinates: {
+        type: [Number],
+        required: [true, 'Coordinates are required'],
+        validate: {
+          validator: function validator(v) {
+            return v.length === 2;
+          },
+          message: 'Coordinates must be an array of [longitude, latitude].',
+        },
+      },
+    },
+    // Distance along the route from the first point to this waypoint
+    distanceFromStart: {
+      type: Number, // in meters
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
+const RoutePathSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a route name'],
+      trim: true,
+      maxlength: [100, 'Name can not be more than 100 characters'],
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description can not be more than 500 characters'],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Ride the route was imported for; importing a file for that ride again
+    // replaces this route instead of creating another one
+    importedFor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+    },
+    // Polyline geometry of the planned road
+    geometry: {
+      type: {
+        type: String,
+        enum: ['LineString'],
+        default: 'LineString',
+        required: true,
+      },
+      coordinates: {
+        type: [[Number]],
+        required: [true, 'Route coordinates are required'],
+        validate: {
+          validator: function validator(v) {
+            return (
+              v.length >= 2 &&
+              v.every((point) => Array.isArray(point) && point.length === 2)
+            );
+          },
+          message:
+            'Route geometry must contain at least 2 points as [longitude, latitude] arrays.',
+        },
+      },
+    },
+    waypoints: [RouteWaypointSchema],
+    // Computed route metrics
+    distance: {
+      type: Number, // in meters
+      default: 0,
+      min: 0,
+    },
+    estimatedDuration: {
+      type: Number, // in seconds
+      default: 0,
+      min: 0,
+    },
+    averageSpeed: {
+      type: Number, // in m/s, used to estimate duration
+      min: [1, 'Average speed must be at least 1 m/s'],
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    timestamps: true,
+  },
+);
+
+RoutePathSchema.index({ geometry: '2dsphere' });
+
+export default mongoose.model('RoutePath', RoutePathSchema);
@@ -0,0 +1,79 @@
+/**
+ * BullMQ Queue for Ride Lifecycle Transitions
+ *
+ * A repeatable job periodically completes active rides that are over or
+ * have gone quiet, and expires planned rides that never started.
+ */
+
+import { Queue } from 'bullmq';
+import { logInfo, logError } from '../utils/logger.js';
+import { getBullMQConnection } from '../config/redis.js';
+
+// How often stale rides are checked
+const LIFECYCLE_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+const LIFECYCLE_SCHEDULER_ID = 'ride-lifecycle-transitions';
+
+/**
+ * Lazy-loaded queue instance
+ */
+let queueInstance = null;
+
+/**
+ * Get or create the ride lifecycle queue
+ * @returns {Queue} BullMQ queue instance
+ */
+function getRideLifecycleQueue() {
+  if (!queueInstance) {
+    queueInstance = new Queue('ride-lifecycle', {
+      connection: getBullMQConnection(),
+      defaultJobOptions: {
+        removeOnComplete: {
+          count: 20,
+          age: 24 * 60 * 60, // Keep for 24 hours
+        },
+        removeOnFail: {
+          count: 100,
+          age: 7 * 24 * 60 * 60, // Keep for 7 days
+        },
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 30000,
+        },
+      },
+    });
+  }
+  return queueInstance;
+}
+
+/**
+ * Ride Lifecycle Queue (lazy-loaded)
+ */
+export const rideLifecycleQueue = getRideLifecycleQueue;
+
+/**
+ * Register the repeatable lifecycle job
+ * Upserting keeps a single schedule no matter how many instances start.
+ * @returns {Promise<Object>} BullMQ job
+ */
+export async function scheduleRideLifecycle() {
+  try {
+    const job = await getRideLifecycleQueue().upsertJobScheduler(
+      LIFECYCLE_SCHEDULER_ID,
+      { every: LIFECYCLE_INTERVAL },
+      { name: 'run-lifecycle' },
+    );
+
+    logInfo(
+      `✅ Scheduled ride lifecycle checks every ${LIFECYCLE_INTERVAL / 1000 / 60} minutes`,
+    );
+
+    return job;
+  } catch (error) {
+    logError('❌ Failed to schedule ride lifecycle checks:', error.message);
+    throw error;
+  }
+}
+
+export default rideLifecycleQueue;
@@ -11,28 +11,7 @@
 
 import { Queue } from 'bullmq';
 import { logInfo, logError } from '../utils/logger.js';
-import { getRedisClient } from '../config/redis.js';
-
-/**
- * Create BullMQ connection options from Redis client
- * @returns {Object} BullMQ connection config
- */
-function getQueueConnection() {
-  const redisClient = getRedisClient();
-
-  if (!redisClient) {
-    throw new Error('Redis client not initialized. Cannot create queue.');
-  }
-
-  // BullMQ requires connection options, not the client instance
-  return {
-    host: redisClient.options.host,
-    port: redisClient.options.port,
-    password: redisClient.options.password,
-    username: redisClient.options.username,
-    db: redisClient.options.db,
-  };
-}
+import { getBullMQConnection } from '../config/redis.js';
 
 /**
  * Lazy-loaded queue instance
@@ -46,7 +25,7 @@ let queueInstance = null;
 function getRideRemindersQueue() {
   if (!queueInstance) {
     queueInstance = new Queue('ride-reminders', {
-      connection: getQueueConnection(),
+      connection: getBullMQConnection(),
       defaultJobOptions: {
         removeOnComplete: {
           count: 100, // Keep last 100 completed jobs for debugging
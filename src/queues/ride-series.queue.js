@@ -0,0 +1,79 @@
+/**
+ * BullMQ Queue for Recurring Ride Series
+ *
+ * A repeatable job periodically materializes the upcoming occurrences of
+ * every active ride series, so riders can see and join them ahead of time.
+ */
+
+import { Queue } from 'bullmq';
+import { logInfo, logError } from '../utils/logger.js';
+import { getBullMQConnection } from '../config/redis.js';
+
+// How often upcoming series occurrences are topped up
+const GENERATION_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+const GENERATION_SCHEDULER_ID = 'generate-series-occurrences';
+
+/**
+ * Lazy-loaded queue instance
+ */
+let queueInstance = null;
+
+/**
+ * Get or create the ride series queue
+ * @returns {Queue} BullMQ queue instance
+ */
+function getRideSeriesQueue() {
+  if (!queueInstance) {
+    queueInstance = new Queue('ride-series', {
+      connection: getBullMQConnection(),
+      defaultJobOptions: {
+        removeOnComplete: {
+          count: 20,
+          age: 24 * 60 * 60, // Keep for 24 hours
+        },
+        removeOnFail: {
+          count: 100,
+          age: 7 * 24 * 60 * 60, // Keep for 7 days
+        },
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 30000,
+        },
+      },
+    });
+  }
+  return queueInstance;
+}
+
+/**
+ * Ride Series Queue (lazy-loaded)
+ */
+export const rideSeriesQueue = getRideSeriesQueue;
+
+/**
+ * Register the repeatable occurrence generation job
+ * Upserting keeps a single schedule no matter how many instances start.
+ * @returns {Promise<Object>} BullMQ job
+ */
+export async function scheduleSeriesGeneration() {
+  try {
+    const job = await getRideSeriesQueue().upsertJobScheduler(
+      GENERATION_SCHEDULER_ID,
+      { every: GENERATION_INTERVAL },
+      { name: 'generate-occurrences' },
+    );
+
+    logInfo(
+      `✅ Scheduled ride series generation every ${GENERATION_INTERVAL / 1000 / 60} minutes`,
+    );
+
+    return job;
+  } catch (error) {
+    logError('❌ Failed to schedule ride series generation:', error.message);
+    throw error;
+  }
+}
+
+export default rideSeriesQueue;
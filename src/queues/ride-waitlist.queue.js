@@ -0,0 +1,113 @@
+/**
+ * BullMQ Queue for Ride Waitlist Offers
+ *
+ * When a ride offers a freed spot to the next waitlisted rider, a delayed
+ * job enforces the response deadline: if the rider has not accepted by
+ * then, the offer expires and the spot moves down the waitlist.
+ */
+
+import { Queue } from 'bullmq';
+import { logInfo, logError } from '../utils/logger.js';
+import { getBullMQConnection } from '../config/redis.js';
+
+/**
+ * Lazy-loaded queue instance
+ */
+let queueInstance = null;
+
+/**
+ * Get or create the ride waitlist queue
+ * @returns {Queue} BullMQ queue instance
+ */
+function getRideWaitlistQueue() {
+  if (!queueInstance) {
+    queueInstance = new Queue('ride-waitlist', {
+      connection: getBullMQConnection(),
+      defaultJobOptions: {
+        removeOnComplete: {
+          count: 100,
+          age: 24 * 60 * 60, // Keep for 24 hours
+        },
+        removeOnFail: {
+          count: 500,
+          age: 7 * 24 * 60 * 60, // Keep for 7 days
+        },
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 5000,
+        },
+      },
+    });
+  }
+  return queueInstance;
+}
+
+/**
+ * Ride Waitlist Queue (lazy-loaded)
+ */
+export const rideWaitlistQueue = getRideWaitlistQueue;
+
+/**
+ * Job ID for the expiry job of a waitlist offer
+ * @param {string} entryId - RideWaitlist entry ID
+ * @returns {string} Job ID
+ */
+function getOfferExpiryJobId(entryId) {
+  return `${entryId}-offer-expiry`;
+}
+
+/**
+ * Schedule the expiry of a waitlist offer
+ * @param {string} entryId - RideWaitlist entry ID
+ * @param {Date} expiresAt - Offer deadline
+ * @returns {Promise<Object>} BullMQ job
+ */
+export async function scheduleWaitlistOfferExpiry(entryId, expiresAt) {
+  const delay = Math.max(0, new Date(expiresAt).getTime() - Date.now());
+
+  try {
+    const job = await getRideWaitlistQueue().add(
+      'expire-offer',
+      { entryId },
+      { delay, jobId: getOfferExpiryJobId(entryId) },
+    );
+
+    logInfo(
+      `✅ Scheduled waitlist offer expiry for entry ${entryId} in ${Math.round(delay / 1000 / 60)} minutes`,
+    );
+
+    return job;
+  } catch (error) {
+    logError(
+      `❌ Failed to schedule waitlist offer expiry for entry ${entryId}:`,
+      error.message,
+    );
+    throw error;
+  }
+}
+
+/**
+ * Cancel the expiry job of a waitlist offer (after accept or decline)
+ * @param {string} entryId - RideWaitlist entry ID
+ * @returns {Promise<void>}
+ */
+export async function cancelWaitlistOfferExpiry(entryId) {
+  try {
+    const job = await getRideWaitlistQueue().getJob(
+      getOfferExpiryJobId(entryId),
+    );
+    if (job) {
+      await job.remove();
+      logInfo(`✅ Cancelled waitlist offer expiry for entry ${entryId}`);
+    }
+  } catch (error) {
+    logError(
+      `❌ Failed to cancel waitlist offer expiry for entry ${entryId}:`,
+      error.message,
+    );
+    throw error;
+  }
+}
+
+export default rideWaitlistQueue;
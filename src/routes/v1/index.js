@@ -10,6 +10,9 @@ import privacyPolicyRoutes from './privacy-policy.js';
 import termsOfServiceRoutes from './terms-of-service.js';
 import dataProcessingConsentRoutes from './data-processing-consent.js';
 import expenseRoutes from './expense.js';
+import routePathRoutes from './route-paths.js';
+import rideSeriesRoutes from './ride-series.js';
+import rideTemplateRoutes from './ride-templates.js';
 
 const router = express.Router();
 router.use('/users', userRoutes);
@@ -22,6 +25,9 @@ router.use('/privacy-policy', privacyPolicyRoutes);
 router.use('/terms-of-service', termsOfServiceRoutes);
 router.use('/data-processing-consent', dataProcessingConsentRoutes);
 router.use('/expenses', expenseRoutes);
+router.use('/routes', routePathRoutes);
+router.use('/ride-series', rideSeriesRoutes);
+router.use('/ride-templates', rideTemplateRoutes);
 
 router.get('/', (req, res) => {
   res.send('Roadmate API - Version 1');
@@ -3,6 +3,7 @@ import protect from '../../middleware/auth.js';
 import {
   getPendingRequests,
   approveRejectRequest,
+  bulkRespondToRequests,
   getMyRequests,
   deleteRideRequest,
 } from '../../controller/ride.js';
@@ -13,6 +14,7 @@ router.use(protect);
 
 router.get('/pending', getPendingRequests);
 router.get('/my-requests', getMyRequests);
+router.post('/bulk', bulkRespondToRequests);
 router
   .route('/:requestId')
   .post(approveRejectRequest)
@@ -0,0 +1,19 @@
+import express from 'express';
+import protect from '../../middleware/auth.js';
+import {
+  createSeries,
+  getSeriesList,
+  getSeries,
+  updateSeriesOccurrence,
+  endSeries,
+} from '../../controller/ride-series.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/').get(getSeriesList).post(createSeries);
+router.route('/:id').get(getSeries).delete(endSeries);
+router.put('/:id/occurrences/:rideId', updateSeriesOccurrence);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import protect from '../../middleware/auth.js';
+import {
+  createTemplate,
+  getTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createRideFromTemplate,
+} from '../../controller/ride-template.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/').get(getTemplates).post(createTemplate);
+router
+  .route('/:id')
+  .get(getTemplate)
+  .put(updateTemplate)
+  .delete(deleteTemplate);
+router.post('/:id/rides', createRideFromTemplate);
+
+export default router;
@@ -13,11 +13,15 @@ import {
   createRide,
   getRides,
   getRide,
+  getRideByCode,
   updateRide,
+  deleteRide,
+  cloneRide,
   joinRide,
   leaveRide,
   getRideParticipants,
   removeParticipant,
+  updateParticipantRole,
   getNearbyRides,
   startRide,
   completeRide,
@@ -26,6 +30,47 @@ import {
   updateLocationTracking,
 } from '../../controller/ride.js';
 
+import {
+  getWaitlist,
+  leaveWaitlist,
+  acceptOffer,
+  declineOffer,
+} from '../../controller/ride-waitlist.js';
+
+import {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  getInvitePreview,
+  joinByInvite,
+} from '../../controller/ride-invite.js';
+
+import {
+  rateRide,
+  getRideRatings,
+  deleteRideRating,
+} from '../../controller/ride-rating.js';
+
+import {
+  toggleHeart,
+  toggleBookmark,
+} from '../../controller/ride-interaction.js';
+
+import {
+  requestOwnershipTransfer,
+  cancelOwnershipTransfer,
+  acceptOwnershipTransfer,
+  declineOwnershipTransfer,
+} from '../../controller/ride-ownership.js';
+
+import getRideHistory from '../../controller/ride-history.js';
+
+import getMapRides from '../../controller/ride-map.js';
+
+import getCorridorRides from '../../controller/ride-corridor.js';
+
+import { importRideRoute } from '../../controller/route-path.js';
+
 import {
   uploadRideImage,
   getRideImages,
@@ -38,11 +83,14 @@ import {
   updateComment,
   deleteComment,
   getComment,
+  pinComment,
+  unpinComment,
 } from '../../controller/ride-comments.js';
 
 import {
   getTravelledRoute,
   getAllTrackingData,
+  batchUpdateLocationTracking,
 } from '../../controller/ride-tracking.js';
 
 import {
@@ -60,19 +108,47 @@ router.use(protect);
 
 // High-priority endpoints (caching temporarily disabled)
 router.get('/nearby', getNearbyRides);
+router.get('/map', getMapRides);
+router.get('/corridor', getCorridorRides);
 router.route('/').get(getRides).post(createRide);
-router.route('/:id').get(getRide).put(updateRide);
+router.get('/code/:code', getRideByCode);
+router.get('/invites/:token', getInvitePreview);
+router.post('/invites/:token/join', joinByInvite);
+router.route('/:id').get(getRide).put(updateRide).delete(deleteRide);
 router.post('/join/:id', joinRide);
 router.post('/leave/:id', leaveRide);
 router.post('/:id/start', startRide);
 router.post('/:id/complete', completeRide);
 router.post('/:id/cancel', cancelRide);
+router.post('/:id/clone', cloneRide);
+router.get('/:id/history', getRideHistory);
+router
+  .route('/:id/transfer')
+  .post(requestOwnershipTransfer)
+  .delete(cancelOwnershipTransfer);
+router.post('/:id/transfer/accept', acceptOwnershipTransfer);
+router.post('/:id/transfer/decline', declineOwnershipTransfer);
 router.get('/:id/participants', getRideParticipants);
+router.route('/:id/waitlist').get(getWaitlist).delete(leaveWaitlist);
+router.post('/:id/waitlist/accept', acceptOffer);
+router.post('/:id/waitlist/decline', declineOffer);
+router.route('/:id/invites').get(getInvites).post(createInvite);
+router.delete('/:id/invites/:inviteId', revokeInvite);
+router.post('/:id/heart', toggleHeart);
+router.post('/:id/bookmark', toggleBookmark);
+router
+  .route('/:id/ratings')
+  .get(getRideRatings)
+  .put(rateRide)
+  .delete(deleteRideRating);
 router.delete('/:id/participants/:participantId', removeParticipant);
+router.put('/:id/participants/:participantId/role', updateParticipantRole);
 router.get('/:id/tracking', getRideTracking); // No cache - real-time data
 router.get('/:id/route', getTravelledRoute); // No cache - real-time data
 router.get('/:id/tracking/all', getAllTrackingData); // No cache - real-time data
 router.post('/:id/ping', updateLocationTracking);
+router.post('/:id/ping/batch', batchUpdateLocationTracking);
+router.post('/:id/planned-route/import', importRideRoute);
 
 router.route('/:id/images').get(getRideImages).post(uploadRideImage);
 router.delete('/:id/images/:imageId', deleteRideImage);
@@ -84,6 +160,10 @@ router
   .get(getComment)
   .put(updateComment)
   .delete(deleteComment);
+router
+  .route('/:rideId/comments/:commentId/pin')
+  .post(pinComment)
+  .delete(unpinComment);
 
 // Expense routes (caching temporarily disabled)
 router.route('/:rideId/expenses').get(listRideExpenses).post(createExpense);
@@ -0,0 +1,20 @@
+import express from 'express';
+import protect from '../../middleware/auth.js';
+import {
+  createRoute,
+  getRoutes,
+  getRoute,
+  updateRoute,
+  deleteRoute,
+  importRoute,
+} from '../../controller/route-path.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.post('/import', importRoute);
+router.route('/').get(getRoutes).post(createRoute);
+router.route('/:id').get(getRoute).put(updateRoute).delete(deleteRoute);
+
+export default router;
@@ -7,14 +7,18 @@ import {
   acceptTerms,
   getLegalStatus,
 } from '../../controller/user.js';
+import { getUserReputation } from '../../controller/ride-rating.js';
+import { getMyBookmarks } from '../../controller/ride-interaction.js';
 
 const router = express.Router();
 
 router.use(protect);
 
 router.route('/me').get(getUser).put(updateUser);
+router.get('/me/bookmarks', getMyBookmarks);
 router.route('/accept-terms').post(acceptTerms);
 router.route('/legal-status').get(getLegalStatus);
 router.route('/:id').get(getUserById);
+router.get('/:id/reputation', getUserReputation);
 
 export default router;
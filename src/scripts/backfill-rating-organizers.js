@@ -0,0 +1,55 @@
+/**
+ * Backfill rating organizers
+ *
+ * Credits ratings given before organizers were stored on them to the
+ * current owner of the rated ride. Ratings that already have an organizer
+ * are left alone, so the script is safe to run again.
+ *
+ * Usage: npm run backfill:rating-organizers
+ */
+
+import 'dotenv/config';
+import { connectDB, disconnectDB } from '../config/db.js';
+import Ride from '../models/ride.js';
+import RideRating from '../models/ride-ratings.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+async function backfillRatingOrganizers() {
+  try {
+    await connectDB();
+    await RideRating.createIndexes();
+
+    const rideIds = await RideRating.distinct('ride', {
+      organizer: { $exists: false },
+    });
+    const rides = await Ride.find({ _id: { $in: rideIds } })
+      .select('owner')
+      .lean();
+
+    let updatedCount = 0;
+    if (rides.length > 0) {
+      const { modifiedCount } = await RideRating.bulkWrite(
+        rides.map((ride) => ({
+          updateMany: {
+            // eslint-disable-next-line no-underscore-dangle
+            filter: { ride: ride._id, organizer: { $exists: false } },
+            update: { $set: { organizer: ride.owner } },
+          },
+        })),
+        { ordered: false },
+      );
+      updatedCount = modifiedCount;
+    }
+
+    logInfo(`Set the organizer of ${updatedCount} ratings`);
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    logError('Rating organizer backfill failed:', error);
+    await disconnectDB();
+    process.exit(1);
+  }
+}
+
+backfillRatingOrganizers();
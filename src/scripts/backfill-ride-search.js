@@ -0,0 +1,35 @@
+/**
+ * Backfill ride search fields
+ *
+ * Fills in the owner handle and search keywords of rides created before
+ * ride search existed, and builds the search indexes. Safe to run again.
+ *
+ * Usage: npm run backfill:ride-search
+ */
+
+import 'dotenv/config';
+import { connectDB, disconnectDB } from '../config/db.js';
+import Ride from '../models/ride.js';
+import { syncRideSearchFields } from '../services/ride-search.service.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+async function backfillRideSearch() {
+  try {
+    await connectDB();
+
+    await Ride.createIndexes();
+    logInfo('Ride search indexes are built');
+
+    const updatedCount = await syncRideSearchFields();
+    logInfo(`Updated search fields of ${updatedCount} rides`);
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    logError('Ride search backfill failed:', error);
+    await disconnectDB();
+    process.exit(1);
+  }
+}
+
+backfillRideSearch();
@@ -0,0 +1,90 @@
+/**
+ * Migrate tracking paths to buckets
+ *
+ * Moves the points of the embedded `path` array of RideTracking documents
+ * into RideTrackingBucket documents, recounts each rider's statistics and
+ * removes the embedded array. Points already in a bucket (sent after the
+ * deploy, or by an earlier interrupted run) are skipped, so the script is
+ * safe to run again.
+ *
+ * Usage: npm run migrate:tracking-buckets
+ */
+
+import 'dotenv/config';
+import { connectDB, disconnectDB } from '../config/db.js';
+import RideTracking from '../models/ride-tracking.js';
+import RideTrackingBucket from '../models/ride-tracking-bucket.js';
+import { recordTrackingPoints } from '../services/ride-tracking.service.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+/**
+ * Copy the fields a bucket point keeps from an embedded path point
+ * @param {Object} point - Raw embedded point
+ * @returns {Object} Path entry
+ */
+function toPathEntry(point) {
+  const { timestamp, coordinates, speed, heading, accuracy, altitude } = point;
+  return {
+    timestamp,
+    coordinates: { type: 'Point', coordinates: coordinates.coordinates },
+    ...(speed != null && { speed }),
+    ...(heading != null && { heading }),
+    ...(accuracy != null && { accuracy }),
+    ...(altitude != null && { altitude }),
+  };
+}
+
+async function migrateTrackingBuckets() {
+  try {
+    await connectDB();
+    await RideTrackingBucket.createIndexes();
+
+    // The path field is no longer in the schema, so read it raw
+    const cursor = RideTracking.collection.find(
+      { path: { $exists: true } },
+      { projection: { ride: 1, user: 1, path: 1 } },
+    );
+
+    let migratedCount = 0;
+    let pointCount = 0;
+
+    // eslint-disable-next-line no-await-in-loop
+    while (await cursor.hasNext()) {
+      // eslint-disable-next-line no-await-in-loop
+      const tracking = await cursor.next();
+      const entries = (tracking.path || [])
+        .filter((point) => point.timestamp && point.coordinates?.coordinates)
+        .map(toPathEntry);
+
+      if (entries.length > 0) {
+        // eslint-disable-next-line no-await-in-loop
+        const { accepted } = await recordTrackingPoints(
+          tracking.ride,
+          tracking.user,
+          entries,
+        );
+        pointCount += accepted;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      await RideTracking.collection.updateOne(
+        { _id: tracking._id }, // eslint-disable-line no-underscore-dangle
+        { $unset: { path: '' } },
+      );
+      migratedCount += 1;
+    }
+
+    logInfo(
+      `Moved ${pointCount} points of ${migratedCount} tracking documents to buckets`,
+    );
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    logError('Tracking bucket migration failed:', error);
+    await disconnectDB();
+    process.exit(1);
+  }
+}
+
+migrateTrackingBuckets();
@@ -0,0 +1,226 @@
+/**
+ * Ride Corridor Service
+ *
+ * Finds rides that pass along a rider's way: rides whose planned route,
+ * waypoints, start or end come within a distance of a point or path, and
+ * where along the ride that closest approach happens.
+ *
+ * Candidates are found with the 2dsphere indexes, using circles around
+ * points sampled along the rider's path. Circles are grown by half the
+ * sample spacing so they cover the whole corridor; exact distances are
+ * then measured in memory on a light projection of every candidate, and
+ * only the nearest rides are loaded in full.
+ *
+ * Used by the ride corridor controller.
+ */
+
+import Ride from '../models/ride.js';
+import RoutePath from '../models/route-path.js';
+import { RideStatus } from '../utils/constants.js';
+import {
+  samplePath,
+  circleToPolygon,
+  findClosestApproach,
+} from '../utils/geo.js';
+import { getCumulativeDistances } from '../utils/route-helpers.js';
+
+/**
+ * Most circles used to cover the rider's path
+ */
+const MAX_CORRIDOR_SAMPLES = 50;
+
+/**
+ * Most candidate rides measured per search
+ */
+const MAX_CORRIDOR_CANDIDATES = 5000;
+
+/**
+ * Most rides returned per search, nearest first
+ */
+export const MAX_CORRIDOR_RIDES = 200;
+
+/**
+ * Where a ride comes closest to the searched point or path
+ */
+export const ClosestApproachSource = Object.freeze({
+  ROUTE: 'route',
+  START: 'start',
+  WAYPOINT: 'waypoint',
+  END: 'end',
+});
+
+/**
+ * Measure how far along a route a closest approach lies
+ * @param {Array<Array<number>>} coordinates - Route geometry
+ * @param {Object} approach - Result of findClosestApproach on the route
+ * @returns {number} Distance from the route start in meters
+ */
+function getDistanceAlongRoute(coordinates, approach) {
+  const cumulative = getCumulativeDistances(coordinates);
+  const start = cumulative[approach.segmentIndex];
+  const end = cumulative[approach.segmentIndex + 1] ?? start;
+  return Math.round(start + (end - start) * approach.fraction);
+}
+
+/**
+ * Find where a ride comes closest to the searched path
+ * @param {Object} ride - Lean ride
+ * @param {Object} [route] - Lean RoutePath of the ride's planned route
+ * @param {Array<Array<number>>} path - Searched point or path
+ * @param {number} radius - Corridor half-width in meters
+ * @returns {Object|null} Closest approach, or null if the ride stays outside
+ */
+function measureRide(ride, route, path, radius) {
+  const approaches = [];
+
+  if (route) {
+    const { coordinates } = route.geometry;
+    const approach = findClosestApproach(coordinates, path, radius);
+    if (approach) {
+      approaches.push({
+        source: ClosestApproachSource.ROUTE,
+        coordinates: approach.coordinates,
+        distance: approach.distance,
+        distanceAlongRoute: getDistanceAlongRoute(coordinates, approach),
+      });
+    }
+  }
+
+  const points = [
+    [ClosestApproachSource.START, ride.startLocation],
+    ...(ride.waypoints || []).map((waypoint, index) => [
+      ClosestApproachSource.WAYPOINT,
+      waypoint,
+      index,
+    ]),
+    [ClosestApproachSource.END, ride.endLocation],
+  ];
+  points.forEach(([source, location, waypointIndex]) => {
+    if (!location?.coordinates) return;
+    const approach = findClosestApproach([location.coordinates], path, radius);
+    if (approach) {
+      approaches.push({
+        source,
+        coordinates: location.coordinates,
+        distance: approach.distance,
+        ...(waypointIndex !== undefined && { waypointIndex }),
+      });
+    }
+  });
+
+  return approaches.reduce(
+    (closest, approach) =>
+      !closest || approach.distance < closest.distance ? approach : closest,
+    null,
+  );
+}
+
+/**
+ * Find rides passing within a distance of a point or path
+ * @param {Array<Array<number>>} path - Searched point or path as [lng, lat] points
+ * @param {number} radius - Corridor half-width in meters
+ * @param {Object} [filter] - Extra ride filter (status, visibility, ...)
+ * @returns {Promise<{rides: Array<Object>, total: number, truncated: boolean}>}
+ *   The nearest MAX_CORRIDOR_RIDES lean rides with a closestApproach, the
+ *   number of matching rides, and whether matches or candidates were capped
+ */
+export async function findRidesAlongCorridor(path, radius, filter = {}) {
+  const { samples, spacing } = samplePath(path, radius, MAX_CORRIDOR_SAMPLES);
+  const circles = samples.map((sample) =>
+    circleToPolygon(sample, radius + spacing / 2),
+  );
+  const within = (field) =>
+    circles.map((circle) => ({
+      [field]: { $geoWithin: { $geometry: circle } },
+    }));
+
+  const baseFilter = {
+    status: { $in: [RideStatus.PLANNED, RideStatus.ACTIVE] },
+    archivedAt: null,
+    ...filter,
+  };
+
+  // Only planned routes of rides that could match are checked
+  const routeIds = await Ride.distinct('plannedRoute', {
+    ...baseFilter,
+    plannedRoute: { $ne: null },
+  });
+  const routes =
+    routeIds.length > 0
+      ? await RoutePath.find({
+          _id: { $in: routeIds },
+          $or: circles.map((circle) => ({
+            geometry: { $geoIntersects: { $geometry: circle } },
+          })),
+        })
+          .select('geometry')
+          .lean()
+      : [];
+  const routesById = new Map(
+    routes.map((route) => [route._id.toString(), route]), // eslint-disable-line no-underscore-dangle
+  );
+
+  // Only the fields needed to measure, so every candidate can be ranked
+  const candidates = await Ride.find({
+    ...baseFilter,
+    $or: [
+      { plannedRoute: { $in: [...routesById.keys()] } },
+      ...within('startLocation.coordinates'),
+      ...within('endLocation.coordinates'),
+      ...within('waypoints.coordinates'),
+    ],
+  })
+    .select('startTime startLocation endLocation waypoints plannedRoute')
+    .sort({ startTime: 1 })
+    .limit(MAX_CORRIDOR_CANDIDATES + 1)
+    .lean();
+
+  const matches = candidates
+    .slice(0, MAX_CORRIDOR_CANDIDATES)
+    .map((ride) => ({
+      id: ride._id.toString(), // eslint-disable-line no-underscore-dangle
+      startTime: ride.startTime,
+      closestApproach: measureRide(
+        ride,
+        routesById.get(ride.plannedRoute?.toString()),
+        path,
+        radius,
+      ),
+    }))
+    .filter((match) => match.closestApproach)
+    .sort(
+      (a, b) =>
+        a.closestApproach.distance - b.closestApproach.distance ||
+        a.startTime - b.startTime,
+    );
+
+  const nearest = matches.slice(0, MAX_CORRIDOR_RIDES);
+  const fullRides = await Ride.find({
+    _id: { $in: nearest.map((match) => match.id) },
+  }).lean();
+  const ridesById = new Map(
+    fullRides.map((ride) => [ride._id.toString(), ride]), // eslint-disable-line no-underscore-dangle
+  );
+
+  // Rides deleted since they were measured are left out
+  const rides = nearest
+    .filter((match) => ridesById.has(match.id))
+    .map((match) => ({
+      ...ridesById.get(match.id),
+      closestApproach: match.closestApproach,
+    }));
+
+  return {
+    rides,
+    total: matches.length,
+    truncated:
+      candidates.length > MAX_CORRIDOR_CANDIDATES ||
+      matches.length > MAX_CORRIDOR_RIDES,
+  };
+}
+
+export default {
+  MAX_CORRIDOR_RIDES,
+  ClosestApproachSource,
+  findRidesAlongCorridor,
+};
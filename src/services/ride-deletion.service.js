@@ -0,0 +1,175 @@
+/**
+ * Ride Deletion Service
+ *
+ * Removes rides an owner no longer wants. Completed rides are archived so
+ * participants keep their history and stats; rides that never took place
+ * are deleted together with everything that references them.
+ *
+ * Used by the ride controller.
+ */
+
+import mongoose from 'mongoose';
+import Ride from '../models/ride.js';
+import RideRequest from '../models/ride-requests.js';
+import RideTracking from '../models/ride-tracking.js';
+import RideChatMessage from '../models/ride-comments.js';
+import RideImage from '../models/ride-images.js';
+import RideWaitlist from '../models/ride-waitlist.js';
+import RideInvite from '../models/ride-invite.js';
+import RideRating from '../models/ride-ratings.js';
+import RideInteraction from '../models/ride-interactions.js';
+import RideEvent from '../models/ride-event.js';
+import RideTemplate from '../models/ride-template.js';
+import Expense from '../models/expense.js';
+import Notification from '../models/notification.js';
+import { RideStatus, WaitlistStatus } from '../utils/constants.js';
+import { invalidateRideCache } from '../utils/cache.js';
+import { cancelAllRemindersForRide } from './ride-notification.service.js';
+import { deleteRideTrackingPoints } from './ride-tracking.service.js';
+import { cancelWaitlistOfferExpiry } from '../queues/ride-waitlist.queue.js';
+import { logError } from '../utils/logger.js';
+
+/**
+ * Statuses of rides that are archived instead of deleted
+ */
+export const ARCHIVED_RIDE_STATUSES = [RideStatus.COMPLETED];
+
+/**
+ * Statuses of rides that can be deleted outright
+ */
+export const DELETABLE_RIDE_STATUSES = [
+  RideStatus.PLANNED,
+  RideStatus.CANCELLED,
+  RideStatus.EXPIRED,
+];
+
+/**
+ * Cancel every background job scheduled for a ride
+ * Jobs are non-critical: failures are logged and the ride is removed anyway.
+ * @param {string} rideId - Ride ID
+ */
+async function cancelRideJobs(rideId) {
+  try {
+    await cancelAllRemindersForRide(rideId);
+  } catch (error) {
+    logError(`Failed to cancel reminders of ride ${rideId}:`, error);
+  }
+
+  const offers = await RideWaitlist.find({
+    ride: rideId,
+    status: WaitlistStatus.OFFERED,
+  }).select('_id');
+
+  await Promise.all(
+    offers.map(async (offer) => {
+      try {
+        await cancelWaitlistOfferExpiry(offer.id);
+      } catch (error) {
+        logError(`Failed to cancel waitlist offer ${offer.id}:`, error);
+      }
+    }),
+  );
+}
+
+/**
+ * Remove what only matters while a ride can still be joined
+ * @param {string} rideId - Ride ID
+ */
+async function removeJoinState(rideId) {
+  await Promise.all([
+    RideRequest.deleteMany({ ride: rideId, status: 'pending' }),
+    RideWaitlist.deleteMany({ ride: rideId }),
+    RideInvite.deleteMany({ ride: rideId }),
+  ]);
+}
+
+/**
+ * Archive a completed ride
+ * Tracking, stats, chat, images, expenses and ratings are kept; the ride
+ * just stops showing up in ride lists.
+ * @param {Object} ride - Ride document
+ * @param {string} userId - User archiving the ride
+ * @returns {Promise<Object>} Archived ride
+ */
+export async function archiveRide(ride, userId) {
+  await cancelRideJobs(ride.id);
+  await removeJoinState(ride.id);
+
+  ride.set({ archivedAt: new Date(), archivedBy: userId });
+  await ride.save();
+  await invalidateRideCache(ride.id);
+
+  return ride;
+}
+
+/**
+ * Delete a ride and every record that references it
+ * @param {Object} ride - Ride document
+ * @returns {Promise<Object>} Number of deleted records per collection
+ */
+export async function deleteRideCascade(ride) {
+  const rideId = ride.id;
+  await cancelRideJobs(rideId);
+
+  const [
+    requests,
+    tracking,
+    trackingBuckets,
+    messages,
+    images,
+    expenses,
+    notifications,
+    waitlist,
+    invites,
+    ratings,
+    interactions,
+    events,
+  ] = await Promise.all([
+    RideRequest.deleteMany({ ride: rideId }),
+    RideTracking.deleteMany({ ride: rideId }),
+    deleteRideTrackingPoints(rideId),
+    RideChatMessage.deleteMany({ ride: rideId }),
+    RideImage.deleteMany({ ride: rideId }),
+    Expense.deleteMany({ ride: rideId }),
+    // Notifications keep the ride ID in their data
+    Notification.deleteMany({
+      'data.rideId': { $in: [rideId, new mongoose.Types.ObjectId(rideId)] },
+    }),
+    RideWaitlist.deleteMany({ ride: rideId }),
+    RideInvite.deleteMany({ ride: rideId }),
+    RideRating.deleteMany({ ride: rideId }),
+    RideInteraction.deleteMany({ ride: rideId }),
+    RideEvent.deleteMany({ ride: rideId }),
+  ]);
+
+  // Templates saved from the ride stay usable on their own
+  await RideTemplate.updateMany(
+    { sourceRide: rideId },
+    { $unset: { sourceRide: 1 } },
+  );
+
+  await Ride.deleteOne({ _id: rideId });
+  await invalidateRideCache(rideId);
+
+  return {
+    requests: requests.deletedCount,
+    tracking: tracking.deletedCount,
+    trackingBuckets,
+    messages: messages.deletedCount,
+    images: images.deletedCount,
+    expenses: expenses.deletedCount,
+    notifications: notifications.deletedCount,
+    waitlist: waitlist.deletedCount,
+    invites: invites.deletedCount,
+    ratings: ratings.deletedCount,
+    interactions: interactions.deletedCount,
+    events: events.deletedCount,
+  };
+}
+
+export default {
+  ARCHIVED_RIDE_STATUSES,
+  DELETABLE_RIDE_STATUSES,
+  archiveRide,
+  deleteRideCascade,
+};
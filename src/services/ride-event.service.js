@@ -0,0 +1,78 @@
+/**
+ * Ride Event Service
+ *
+ * Appends entries to a ride's history: who changed the ride, when, what
+ * the previous and new values were, and why.
+ *
+ * Used by the ride controllers and the lifecycle service.
+ */
+
+import RideEvent from '../models/ride-event.js';
+import { logError } from '../utils/logger.js';
+
+/**
+ * Record a ride event
+ * History is non-critical: a failure is logged and never fails the
+ * change that triggered it.
+ * @param {Object} event
+ * @param {string} event.ride - Ride ID
+ * @param {string} event.type - One of RideEventType
+ * @param {string} [event.actor] - User who made the change (unset for system changes)
+ * @param {Array<{field: string, from: *, to: *}>} [event.changes] - Changed values
+ * @param {string} [event.reason] - Why the change was made
+ * @returns {Promise<Object|null>} Saved event, or null if it could not be saved
+ */
+export async function recordRideEvent({ ride, type, actor, changes, reason }) {
+  try {
+    return await RideEvent.create({
+      ride,
+      type,
+      actor,
+      changes: changes || [],
+      reason: reason || undefined,
+    });
+  } catch (error) {
+    logError(`Failed to record ${type} event for ride ${ride}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Build the change entry of a status transition
+ * @param {string} from - Previous status
+ * @param {string} to - New status
+ * @returns {{field: string, from: string, to: string}}
+ */
+export function statusChange(from, to) {
+  return { field: 'status', from, to };
+}
+
+/**
+ * Collect the fields whose values differ between two versions of a ride
+ * @param {Object} before - Ride before the change
+ * @param {Object} after - Ride after the change
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<{field: string, from: *, to: *}>} Changed values
+ */
+export function diffRideFields(before, after, fields) {
+  const previous = before.toObject({ virtuals: false });
+  const current = after.toObject({ virtuals: false });
+
+  return fields
+    .filter(
+      (field) =>
+        JSON.stringify(previous[field] ?? null) !==
+        JSON.stringify(current[field] ?? null),
+    )
+    .map((field) => ({
+      field,
+      from: previous[field] ?? null,
+      to: current[field] ?? null,
+    }));
+}
+
+export default {
+  recordRideEvent,
+  statusChange,
+  diffRideFields,
+};
@@ -0,0 +1,81 @@
+/**
+ * Ride Interaction Service
+ *
+ * Hearts and bookmarks on rides. Heart counts are kept on the ride so
+ * lists can show them without counting interactions per request.
+ *
+ * Used by the ride and ride interaction controllers.
+ */
+
+import mongoose from 'mongoose';
+import Ride from '../models/ride.js';
+import RideInteraction from '../models/ride-interactions.js';
+import { RideInteractionType } from '../utils/constants.js';
+
+/**
+ * Add or remove a heart or bookmark for a user
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - User ID
+ * @param {string} interactionType - One of RideInteractionType
+ * @returns {Promise<{active: boolean, heartCount: number}>} New state
+ */
+export async function toggleRideInteraction(rideId, userId, interactionType) {
+  const filter = { ride: rideId, user: userId, interactionType };
+
+  const removed = await RideInteraction.findOneAndDelete(filter);
+  let heartDelta = removed ? -1 : 0;
+
+  if (!removed) {
+    try {
+      await RideInteraction.create(filter);
+      heartDelta = 1;
+    } catch (error) {
+      // A concurrent request already added it
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (interactionType === RideInteractionType.HEART && heartDelta !== 0) {
+    await Ride.updateOne({ _id: rideId }, { $inc: { heartCount: heartDelta } });
+  }
+
+  const ride = await Ride.findById(rideId).select('heartCount').lean();
+  return { active: !removed, heartCount: ride?.heartCount ?? 0 };
+}
+
+/**
+ * Get which of the given rides a user has hearted or bookmarked
+ * @param {Array<string>} rideIds - Ride IDs
+ * @param {string} userId - Viewer's user ID
+ * @returns {Promise<Object>} Map of ride ID to { isHearted, isBookmarked }
+ */
+export async function getViewerInteractions(rideIds, userId) {
+  const flags = {};
+  rideIds.forEach((id) => {
+    flags[id.toString()] = { isHearted: false, isBookmarked: false };
+  });
+  if (!userId || rideIds.length === 0) return flags;
+
+  const interactions = await RideInteraction.find({
+    ride: { $in: rideIds.map((id) => new mongoose.Types.ObjectId(id)) },
+    user: userId,
+  })
+    .select('ride interactionType')
+    .lean();
+
+  interactions.forEach(({ ride, interactionType }) => {
+    const entry = flags[ride.toString()];
+    if (!entry) return;
+    if (interactionType === RideInteractionType.HEART) entry.isHearted = true;
+    if (interactionType === RideInteractionType.BOOKMARK) {
+      entry.isBookmarked = true;
+    }
+  });
+
+  return flags;
+}
+
+export default {
+  toggleRideInteraction,
+  getViewerInteractions,
+};
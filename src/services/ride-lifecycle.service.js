@@ -0,0 +1,280 @@
+/**
+ * Ride Lifecycle Service
+ *
+ * Finalizes completed rides and moves stale rides along on their own:
+ * active rides are completed once they are past their end time or have
+ * gone quiet, and planned rides that never started are expired.
+ *
+ * Used by the ride controller and the periodic lifecycle worker.
+ */
+
+import Ride from '../models/ride.js';
+import RideTracking from '../models/ride-tracking.js';
+import { RideStatus, RideEventType } from '../utils/constants.js';
+import {
+  updateRideStats,
+  updateParticipantStats,
+} from '../utils/ride-stats-updater.js';
+import { sendAndSaveNotification } from '../utils/notification-helper.js';
+import { cancelAllRemindersForRide } from './ride-notification.service.js';
+import { recordRideEvent, statusChange } from './ride-event.service.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+/**
+ * Hours without tracking pings before an active ride is completed
+ */
+const INACTIVITY_HOURS = Number(process.env.RIDE_INACTIVITY_HOURS) || 6;
+
+/**
+ * Hours past the start time before a planned ride that never started expires
+ */
+const PLANNED_EXPIRY_HOURS =
+  Number(process.env.RIDE_PLANNED_EXPIRY_HOURS) || 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get approved participants to notify, leaving out the user who acted
+ * @param {Object} ride - Ride document
+ * @param {string} [exceptUserId] - User who triggered the change
+ * @returns {Array} User IDs
+ */
+function getParticipantsToNotify(ride, exceptUserId) {
+  return ride.participants
+    .filter(
+      (p) =>
+        p.isApproved &&
+        (!exceptUserId || p.user.toString() !== exceptUserId.toString()),
+    )
+    .map((p) => p.user);
+}
+
+/**
+ * Calculate the final statistics of a completed ride and notify participants
+ * Shared by manual completion and automatic completion.
+ * @param {Object} ride - Ride document, already saved as completed
+ * @param {Object} [options]
+ * @param {string} [options.completedBy] - User who completed the ride (not notified)
+ * @param {string} [options.completedByName] - Name shown in the notification
+ * @param {boolean} [options.automatic=false] - Whether the ride was completed automatically
+ */
+export async function finalizeRideCompletion(
+  ride,
+  { completedBy, completedByName, automatic = false } = {},
+) {
+  // Statistics are kept up to date as points arrive
+  const allTrackingData = await RideTracking.find({
+    ride: ride.id,
+    pointCount: { $gt: 0 },
+  })
+    .select('user calculatedStats')
+    .lean();
+
+  await Promise.all(
+    allTrackingData.map((trackingData) =>
+      updateParticipantStats(
+        ride.id,
+        trackingData.user,
+        trackingData.calculatedStats,
+      ),
+    ),
+  );
+
+  // Update aggregated ride statistics
+  await updateRideStats(ride.id);
+
+  // Send push notification to all participants and save to database
+  await sendAndSaveNotification({
+    userId: getParticipantsToNotify(ride, completedBy),
+    type: 'NOTIFICATION__RIDE_COMPLETED',
+    title: 'Ride Completed! 🎉',
+    body: `The ride "${ride.name}" has been completed!`,
+    subtitle: `Great job completing the ride! Hope you had a wonderful time.`,
+    data: {
+      notificationType: 'NOTIFICATION__RIDE_COMPLETED',
+      rideId: ride.id,
+      rideName: ride.name,
+      ownerName: completedByName,
+      endTime: ride.endTime,
+      automatic,
+    },
+  });
+}
+
+/**
+ * Find when a ride last received a tracking ping
+ * Uses the time the latest point was recorded rather than when it was
+ * uploaded, so a late offline batch does not keep a quiet ride going.
+ * @param {string} rideId - Ride ID
+ * @returns {Promise<Date|null>} Time of the latest ping, or null if none
+ */
+async function getLastTrackingActivity(rideId) {
+  const latest = await RideTracking.findOne({
+    ride: rideId,
+    'statsAccumulator.lastTimestamp': { $ne: null },
+  })
+    .sort({ 'statsAccumulator.lastTimestamp': -1 })
+    .select('+statsAccumulator')
+    .lean();
+  return latest?.statsAccumulator.lastTimestamp ?? null;
+}
+
+/**
+ * Complete active rides that are past their end time or have gone quiet
+ * A ride goes quiet when nobody has sent a tracking ping for
+ * INACTIVITY_HOURS (counted from the start time if nobody ever did).
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of rides completed
+ */
+export async function autoCompleteStaleRides(now = new Date()) {
+  const inactiveSince = new Date(now.getTime() - INACTIVITY_HOURS * HOUR_MS);
+
+  // Rides that cannot have been active for long are skipped up front
+  const candidates = await Ride.find({
+    status: RideStatus.ACTIVE,
+    $or: [{ endTime: { $lte: now } }, { startTime: { $lte: inactiveSince } }],
+  });
+
+  let completedCount = 0;
+
+  for (let i = 0; i < candidates.length; i += 1) {
+    const candidate = candidates[i];
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const lastActivity = await getLastTrackingActivity(candidate.id);
+      const isPastEnd = candidate.endTime && candidate.endTime <= now;
+      const isInactive = (lastActivity ?? candidate.startTime) <= inactiveSince;
+
+      if (isPastEnd || isInactive) {
+        // A ride that went quiet ends at its last sign of activity
+        const endTime = isPastEnd
+          ? candidate.endTime
+          : lastActivity || candidate.startTime;
+
+        // Only complete it if nobody completed it in the meantime
+        // eslint-disable-next-line no-await-in-loop
+        const ride = await Ride.findOneAndUpdate(
+          { _id: candidate.id, status: RideStatus.ACTIVE },
+          { $set: { status: RideStatus.COMPLETED, endTime } },
+          { new: true },
+        );
+
+        if (ride) {
+          // eslint-disable-next-line no-await-in-loop
+          await recordRideEvent({
+            ride: ride.id,
+            type: RideEventType.COMPLETED,
+            changes: [
+              statusChange(RideStatus.ACTIVE, RideStatus.COMPLETED),
+              { field: 'endTime', from: candidate.endTime, to: endTime },
+            ],
+            reason: isPastEnd
+              ? 'Completed automatically after its end time'
+              : `Completed automatically after ${INACTIVITY_HOURS} hours without activity`,
+          });
+
+          // eslint-disable-next-line no-await-in-loop
+          await finalizeRideCompletion(ride, { automatic: true });
+          completedCount += 1;
+          logInfo(
+            `[RIDE LIFECYCLE] Auto-completed ride ${ride.id} (${isPastEnd ? 'past end time' : 'inactive'})`,
+          );
+        }
+      }
+    } catch (error) {
+      logError(
+        `[RIDE LIFECYCLE] Failed to auto-complete ride ${candidate.id}:`,
+        error,
+      );
+    }
+  }
+
+  return completedCount;
+}
+
+/**
+ * Expire planned rides that were never started
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of rides expired
+ */
+export async function expireStalePlannedRides(now = new Date()) {
+  const startedBefore = new Date(
+    now.getTime() - PLANNED_EXPIRY_HOURS * HOUR_MS,
+  );
+
+  const candidates = await Ride.find({
+    status: RideStatus.PLANNED,
+    startTime: { $lte: startedBefore },
+  }).select('_id');
+
+  let expiredCount = 0;
+
+  for (let i = 0; i < candidates.length; i += 1) {
+    const { id } = candidates[i];
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const ride = await Ride.findOneAndUpdate(
+        { _id: id, status: RideStatus.PLANNED },
+        { $set: { status: RideStatus.EXPIRED } },
+        { new: true },
+      );
+
+      if (ride) {
+        // eslint-disable-next-line no-await-in-loop
+        await recordRideEvent({
+          ride: ride.id,
+          type: RideEventType.EXPIRED,
+          changes: [statusChange(RideStatus.PLANNED, RideStatus.EXPIRED)],
+          reason: `Not started within ${PLANNED_EXPIRY_HOURS} hours of its start time`,
+        });
+
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await cancelAllRemindersForRide(ride.id);
+        } catch (error) {
+          logError('Failed to cancel reminders of expired ride:', error);
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        await sendAndSaveNotification({
+          userId: getParticipantsToNotify(ride),
+          type: 'NOTIFICATION__RIDE_EXPIRED',
+          title: 'Ride Expired',
+          body: `The ride "${ride.name}" was never started and has expired`,
+          subtitle: `It was scheduled for ${ride.startTime.toLocaleString()}`,
+          data: {
+            notificationType: 'NOTIFICATION__RIDE_EXPIRED',
+            rideId: ride.id,
+            rideName: ride.name,
+            startTime: ride.startTime,
+          },
+        });
+
+        expiredCount += 1;
+        logInfo(`[RIDE LIFECYCLE] Expired planned ride ${ride.id}`);
+      }
+    } catch (error) {
+      logError(`[RIDE LIFECYCLE] Failed to expire ride ${id}:`, error);
+    }
+  }
+
+  return expiredCount;
+}
+
+/**
+ * Run every lifecycle transition once
+ * @returns {Promise<{completedCount: number, expiredCount: number}>}
+ */
+export async function runRideLifecycle() {
+  const now = new Date();
+  const completedCount = await autoCompleteStaleRides(now);
+  const expiredCount = await expireStalePlannedRides(now);
+  return { completedCount, expiredCount };
+}
+
+export default {
+  finalizeRideCompletion,
+  autoCompleteStaleRides,
+  expireStalePlannedRides,
+  runRideLifecycle,
+};
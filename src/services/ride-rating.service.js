@@ -0,0 +1,124 @@
+/**
+ * Ride Rating Service
+ *
+ * Keeps the rating summary stored on each ride in sync with its ratings
+ * and derives an organizer reputation from the ratings credited to a user
+ * as the organizer of the rated ride.
+ *
+ * Used by the ride rating controller.
+ */
+
+import mongoose from 'mongoose';
+import Ride from '../models/ride.js';
+import RideRating from '../models/ride-ratings.js';
+import { RideStatus } from '../utils/constants.js';
+
+/**
+ * Reputation starts from this rating and moves towards the organizer's
+ * real average as ratings come in
+ */
+const REPUTATION_PRIOR_RATING = 3;
+const REPUTATION_PRIOR_WEIGHT = 5;
+
+/**
+ * Round a rating to two decimals
+ * @param {number} value - Rating
+ * @returns {number} Rounded rating
+ */
+function roundRating(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Recalculate and store the rating summary of a ride
+ * @param {string} rideId - Ride ID
+ * @returns {Promise<{average: number, count: number}>} Updated summary
+ */
+export async function refreshRideRatingStats(rideId) {
+  const [summary] = await RideRating.aggregate([
+    { $match: { ride: new mongoose.Types.ObjectId(rideId) } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const ratingStats = {
+    average: summary ? roundRating(summary.average) : 0,
+    count: summary ? summary.count : 0,
+  };
+
+  await Ride.updateOne({ _id: rideId }, { $set: { ratingStats } });
+
+  return ratingStats;
+}
+
+/**
+ * Count ratings per star value for a ride
+ * @param {string} rideId - Ride ID
+ * @returns {Promise<Object>} Map of star value (1-5) to number of ratings
+ */
+export async function getRatingDistribution(rideId) {
+  const groups = await RideRating.aggregate([
+    { $match: { ride: new mongoose.Types.ObjectId(rideId) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  groups.forEach((group) => {
+    // eslint-disable-next-line no-underscore-dangle
+    distribution[group._id] = group.count;
+  });
+  return distribution;
+}
+
+/**
+ * Build the organizer reputation of a user
+ * The score is a weighted average of every rating credited to the user as
+ * organizer, pulled towards a neutral prior so a single rating cannot
+ * dominate it. Ratings stay with whoever owned the ride when it was
+ * completed, so an ownership transfer does not move them.
+ * @param {string} userId - Organizer's user ID
+ * @returns {Promise<Object>} Reputation summary
+ */
+export async function getOrganizerReputation(userId) {
+  const [[summary], completedRides] = await Promise.all([
+    RideRating.aggregate([
+      { $match: { organizer: new mongoose.Types.ObjectId(userId) } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          sum: { $sum: '$rating' },
+          rides: { $addToSet: '$ride' },
+        },
+      },
+    ]),
+    Ride.countDocuments({ owner: userId, status: RideStatus.COMPLETED }),
+  ]);
+
+  const ratingCount = summary ? summary.count : 0;
+  const ratingSum = summary ? summary.sum : 0;
+
+  const score =
+    (REPUTATION_PRIOR_RATING * REPUTATION_PRIOR_WEIGHT + ratingSum) /
+    (REPUTATION_PRIOR_WEIGHT + ratingCount);
+
+  return {
+    score: ratingCount > 0 ? roundRating(score) : null,
+    averageRating:
+      ratingCount > 0 ? roundRating(ratingSum / ratingCount) : null,
+    ratingCount,
+    ratedRides: summary ? summary.rides.length : 0,
+    completedRides,
+  };
+}
+
+export default {
+  refreshRideRatingStats,
+  getRatingDistribution,
+  getOrganizerReputation,
+};
@@ -0,0 +1,187 @@
+/**
+ * Ride Request Service
+ *
+ * Answers many join requests of a ride in one go. Each approval claims
+ * a spot atomically, so concurrent approvals never push a ride past its
+ * participant limit.
+ *
+ * Used by the ride controller's bulk request endpoint.
+ */
+
+import RideRequest from '../models/ride-requests.js';
+import {
+  addParticipantIfSpace,
+  countPendingOffers,
+} from './ride-waitlist.service.js';
+import { logError } from '../utils/logger.js';
+
+/**
+ * Outcomes reported for each request of a bulk response
+ */
+export const BulkRequestOutcome = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+};
+
+/**
+ * Approve a single pending request by claiming a spot on the ride
+ * @param {Object} ride - Ride document
+ * @param {Object} request - Pending RideRequest
+ * @param {Object} response
+ * @param {string} response.respondedBy - User answering the request
+ * @param {string} [response.responseMessage] - Message for the requester
+ * @param {number} response.reservedSpots - Spots held by waitlist offers
+ * @returns {Promise<Object>} Outcome of the request
+ */
+async function approveRequest(
+  ride,
+  request,
+  { respondedBy, responseMessage, reservedSpots },
+) {
+  const updatedRide = await addParticipantIfSpace(
+    ride.id,
+    request.user,
+    reservedSpots,
+  );
+
+  if (!updatedRide) {
+    const isParticipant = ride.participants.some(
+      (p) => p.user.toString() === request.user.toString(),
+    );
+    return isParticipant
+      ? {
+          outcome: BulkRequestOutcome.SKIPPED,
+          reason: 'User is already a participant of this ride',
+        }
+      : {
+          outcome: BulkRequestOutcome.FAILED,
+          reason: 'Ride has reached maximum participants',
+          isFull: true,
+        };
+  }
+
+  // Approved requests cannot coexist with the user's other requests
+  // because of the unique index, so they are replaced
+  await RideRequest.deleteMany({ ride: ride.id, user: request.user });
+  await RideRequest.create({
+    ride: ride.id,
+    user: request.user,
+    status: 'approved',
+    message: request.message,
+    respondedAt: new Date(),
+    respondedBy,
+    responseMessage: responseMessage || '',
+  });
+
+  return { outcome: BulkRequestOutcome.APPROVED, ride: updatedRide };
+}
+
+/**
+ * Reject a single pending request
+ * @param {Object} request - Pending RideRequest
+ * @param {Object} response
+ * @param {string} response.respondedBy - User answering the request
+ * @param {string} [response.responseMessage] - Message for the requester
+ * @returns {Promise<Object>} Outcome of the request
+ */
+async function rejectRequest(request, { respondedBy, responseMessage }) {
+  const rejected = await RideRequest.findOneAndUpdate(
+    { _id: request.id, status: 'pending' },
+    {
+      status: 'rejected',
+      respondedAt: new Date(),
+      respondedBy,
+      responseMessage: responseMessage || '',
+    },
+    { new: true, runValidators: true },
+  );
+
+  return rejected
+    ? { outcome: BulkRequestOutcome.REJECTED }
+    : {
+        outcome: BulkRequestOutcome.SKIPPED,
+        reason: 'This request has already been processed',
+      };
+}
+
+/**
+ * Approve or reject pending requests of a ride, oldest first
+ * Once the ride is full, the remaining approvals fail without
+ * touching the database.
+ * @param {Object} ride - Ride document
+ * @param {Array<Object>} requests - Pending RideRequest documents of the ride
+ * @param {Object} response
+ * @param {string} response.action - 'approve' or 'reject'
+ * @param {string} response.respondedBy - User answering the requests
+ * @param {string} [response.responseMessage] - Message for the requesters
+ * @returns {Promise<{results: Array<Object>, ride: Object}>} Per-request
+ *   outcomes and the ride as it stands after the approvals
+ */
+export async function respondToRideRequests(
+  ride,
+  requests,
+  { action, respondedBy, responseMessage },
+) {
+  const ordered = [...requests].sort((a, b) => a.createdAt - b.createdAt);
+  const reservedSpots =
+    action === 'approve' ? await countPendingOffers(ride.id) : 0;
+
+  const results = [];
+  let currentRide = ride;
+  let isFull = false;
+
+  for (let i = 0; i < ordered.length; i += 1) {
+    const request = ordered[i];
+    const result = { requestId: request.id, userId: request.user.toString() };
+
+    try {
+      let outcome;
+      if (action === 'reject') {
+        // eslint-disable-next-line no-await-in-loop
+        outcome = await rejectRequest(request, {
+          respondedBy,
+          responseMessage,
+        });
+      } else if (isFull) {
+        outcome = {
+          outcome: BulkRequestOutcome.FAILED,
+          reason: 'Ride has reached maximum participants',
+        };
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        outcome = await approveRequest(currentRide, request, {
+          respondedBy,
+          responseMessage,
+          reservedSpots,
+        });
+        if (outcome.ride) currentRide = outcome.ride;
+        if (outcome.isFull) isFull = true;
+      }
+
+      results.push({
+        ...result,
+        status: outcome.outcome,
+        ...(outcome.reason && { reason: outcome.reason }),
+      });
+    } catch (error) {
+      logError(`Failed to ${action} ride request ${request.id}:`, error);
+      results.push({
+        ...result,
+        status: BulkRequestOutcome.FAILED,
+        reason:
+          error.code === 11000
+            ? 'This request has already been processed or there is a duplicate request'
+            : 'Server Error processing request',
+      });
+    }
+  }
+
+  return { results, ride: currentRide };
+}
+
+export default {
+  BulkRequestOutcome,
+  respondToRideRequests,
+};
@@ -0,0 +1,92 @@
+/**
+ * Ride Schedule Service
+ *
+ * Finds a user's planned or active rides whose time windows overlap a
+ * new ride, so riders are not booked on two rides at once. Rides without
+ * an end time are assumed to last DEFAULT_DURATION_HOURS.
+ *
+ * Used by the ride controller when creating and joining rides.
+ */
+
+import Ride from '../models/ride.js';
+import { RideStatus } from '../utils/constants.js';
+
+/**
+ * Assumed length of a ride that has no end time
+ */
+const DEFAULT_DURATION_HOURS =
+  Number(process.env.RIDE_DEFAULT_DURATION_HOURS) || 4;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the time window a ride occupies
+ * @param {Object} ride - Ride or { startTime, endTime }
+ * @returns {{start: Date, end: Date, isEstimated: boolean}}
+ */
+export function getRideWindow({ startTime, endTime }) {
+  const start = new Date(startTime);
+  if (endTime) {
+    return { start, end: new Date(endTime), isEstimated: false };
+  }
+  return {
+    start,
+    end: new Date(start.getTime() + DEFAULT_DURATION_HOURS * HOUR_MS),
+    isEstimated: true,
+  };
+}
+
+/**
+ * Find the user's planned or active rides that overlap a time window
+ * @param {string} userId - User ID
+ * @param {Object} schedule - { startTime, endTime } of the new ride
+ * @param {Object} [options]
+ * @param {string} [options.excludeRideId] - Ride to leave out (the one being joined)
+ * @returns {Promise<Array<Object>>} Conflicting rides, earliest first
+ */
+export async function findScheduleConflicts(
+  userId,
+  schedule,
+  { excludeRideId } = {},
+) {
+  const { start, end } = getRideWindow(schedule);
+  // Invalid times are left to the ride validation
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return [];
+
+  const estimatedStartCutoff = new Date(
+    start.getTime() - DEFAULT_DURATION_HOURS * HOUR_MS,
+  );
+
+  const rides = await Ride.find({
+    status: { $in: [RideStatus.PLANNED, RideStatus.ACTIVE] },
+    participants: { $elemMatch: { user: userId, isApproved: true } },
+    ...(excludeRideId && { _id: { $ne: excludeRideId } }),
+    startTime: { $lt: end },
+    $or: [
+      { endTime: { $gt: start } },
+      { endTime: null, startTime: { $gt: estimatedStartCutoff } },
+    ],
+  })
+    .select('name rideId status startTime endTime')
+    .sort({ startTime: 1 })
+    .lean();
+
+  return rides.map((ride) => {
+    const window = getRideWindow(ride);
+    return {
+      // eslint-disable-next-line no-underscore-dangle
+      rideId: ride._id,
+      rideCode: ride.rideId,
+      name: ride.name,
+      status: ride.status,
+      startTime: window.start,
+      endTime: window.end,
+      isEndTimeEstimated: window.isEstimated,
+    };
+  });
+}
+
+export default {
+  getRideWindow,
+  findScheduleConflicts,
+};
@@ -0,0 +1,88 @@
+/**
+ * Ride Search Service
+ *
+ * Keeps the denormalized search fields of rides (owner handle and keyword
+ * prefixes) up to date for rides changed outside of a document save:
+ * owner handle changes and the one-off backfill of existing rides.
+ *
+ * Used by the user controller and the ride search backfill script.
+ */
+
+import Ride from '../models/ride.js';
+import { UserProfile } from '../models/user.js';
+import { buildSearchKeywords } from '../utils/ride-search.js';
+
+/**
+ * Rides updated per database round trip
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Recompute the owner handle and search keywords of rides
+ * @param {Object} [filter] - Rides to refresh (all rides by default)
+ * @returns {Promise<number>} Number of rides updated
+ */
+export async function syncRideSearchFields(filter = {}) {
+  let updatedCount = 0;
+  let lastId = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    // eslint-disable-next-line no-await-in-loop
+    const rides = await Ride.find({
+      ...filter,
+      ...(lastId && { _id: { $gt: lastId } }),
+    })
+      .select('name owner startLocation.address endLocation.address')
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (rides.length > 0) {
+      const ownerIds = [...new Set(rides.map((ride) => ride.owner.toString()))];
+      // eslint-disable-next-line no-await-in-loop
+      const profiles = await UserProfile.find({ authId: { $in: ownerIds } })
+        .select('authId handle')
+        .lean();
+      const handles = new Map(profiles.map((p) => [p.authId, p.handle]));
+
+      const operations = rides.map((ride) => {
+        const ownerHandle = handles.get(ride.owner.toString());
+        return {
+          updateOne: {
+            filter: { _id: ride._id }, // eslint-disable-line no-underscore-dangle
+            update: {
+              $set: {
+                ownerHandle,
+                searchKeywords: buildSearchKeywords({ ...ride, ownerHandle }),
+              },
+            },
+          },
+        };
+      });
+
+      // eslint-disable-next-line no-await-in-loop
+      const result = await Ride.bulkWrite(operations, { ordered: false });
+      updatedCount += result.modifiedCount;
+      lastId = rides[rides.length - 1]._id; // eslint-disable-line no-underscore-dangle
+    }
+
+    hasMore = rides.length === BATCH_SIZE;
+  }
+
+  return updatedCount;
+}
+
+/**
+ * Refresh the search fields of a user's rides after their handle changed
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<number>} Number of rides updated
+ */
+export async function syncOwnerHandle(userId) {
+  return syncRideSearchFields({ owner: userId });
+}
+
+export default {
+  syncRideSearchFields,
+  syncOwnerHandle,
+};
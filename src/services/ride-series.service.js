@@ -0,0 +1,207 @@
+/**
+ * Ride Series Service
+ *
+ * Materializes upcoming occurrences of recurring ride series as regular
+ * rides and keeps their reminders scheduled.
+ *
+ * Used by the ride series controller and the periodic generation worker.
+ */
+
+import Ride from '../models/ride.js';
+import RideSeries from '../models/ride-series.js';
+import generateUniqueRideCode from '../utils/ride-code-generator.js';
+import { getOccurrences } from '../utils/recurrence.js';
+import { getRideBlueprint } from '../utils/ride-helpers.js';
+import { RideStatus, RideSeriesStatus } from '../utils/constants.js';
+import { sendAndSaveNotification } from '../utils/notification-helper.js';
+import {
+  scheduleAllRemindersForRide,
+  cancelAllRemindersForRide,
+} from './ride-notification.service.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+/**
+ * Build an unsaved ride for one occurrence of a series
+ * @param {Object} series - RideSeries document
+ * @param {Date} occurrence - Scheduled start of the occurrence
+ * @returns {Promise<Object>} Ride document
+ */
+export async function buildRideFromSeries(series, occurrence) {
+  return new Ride({
+    ...getRideBlueprint(series),
+    bannerImage: series.bannerImage,
+    owner: series.owner,
+    startTime: occurrence,
+    endTime: series.duration
+      ? new Date(occurrence.getTime() + series.duration * 1000)
+      : undefined,
+    status: RideStatus.PLANNED,
+    rideId: await generateUniqueRideCode(),
+    series: series.id,
+    seriesOccurrence: occurrence,
+  });
+}
+
+/**
+ * Create the missing upcoming rides of a series
+ * Keeps `occurrencesAhead` planned rides in the future. Safe to run
+ * repeatedly: an occurrence is never created twice.
+ * @param {Object} series - RideSeries document
+ * @returns {Promise<Array>} Newly created rides
+ */
+export async function generateSeriesOccurrences(series) {
+  if (series.status !== RideSeriesStatus.ACTIVE) return [];
+
+  const now = new Date();
+  const upcomingCount = await Ride.countDocuments({
+    series: series.id,
+    status: RideStatus.PLANNED,
+    startTime: { $gt: now },
+  });
+  const needed = series.occurrencesAhead - upcomingCount;
+  if (needed <= 0) return [];
+
+  const after =
+    series.lastOccurrenceAt && series.lastOccurrenceAt > now
+      ? series.lastOccurrenceAt
+      : now;
+  const occurrences = getOccurrences(series.recurrence, {
+    after,
+    limit: needed,
+  });
+
+  const createdRides = [];
+  for (let i = 0; i < occurrences.length; i += 1) {
+    try {
+      // Ride codes are checked against the database, so create one at a time
+      // eslint-disable-next-line no-await-in-loop
+      const ride = await buildRideFromSeries(series, occurrences[i]);
+      // eslint-disable-next-line no-await-in-loop
+      await ride.save();
+      createdRides.push(ride);
+    } catch (error) {
+      // Another run already created this occurrence
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (occurrences.length > 0) {
+    series.set({
+      lastOccurrenceAt: occurrences[occurrences.length - 1],
+      generatedCount: series.generatedCount + createdRides.length,
+    });
+    await series.save();
+  }
+
+  await Promise.all(
+    createdRides.map(async (ride) => {
+      try {
+        await scheduleAllRemindersForRide(
+          ride.id,
+          ride.name,
+          ride.startTime,
+          ride.owner.toString(),
+          ride.participants.map((p) => p.user.toString()),
+        );
+      } catch (error) {
+        logError('Failed to schedule series ride reminders:', error);
+        // Don't fail generation - reminders are non-critical
+      }
+    }),
+  );
+
+  if (createdRides.length > 0) {
+    logInfo(
+      `[RIDE SERIES] Created ${createdRides.length} occurrence(s) for series ${series.id}`,
+    );
+  }
+
+  return createdRides;
+}
+
+/**
+ * Create missing upcoming rides for every active series
+ * @returns {Promise<Object>} { seriesCount, createdCount, failedCount }
+ */
+export async function generateAllSeriesOccurrences() {
+  const seriesList = await RideSeries.find({
+    status: RideSeriesStatus.ACTIVE,
+  });
+
+  const results = await Promise.allSettled(
+    seriesList.map((series) => generateSeriesOccurrences(series)),
+  );
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => {
+      logError('[RIDE SERIES] Failed to generate occurrences:', result.reason);
+    });
+
+  return {
+    seriesCount: seriesList.length,
+    createdCount: results
+      .filter((result) => result.status === 'fulfilled')
+      .reduce((sum, result) => sum + result.value.length, 0),
+    failedCount: results.filter((result) => result.status === 'rejected')
+      .length,
+  };
+}
+
+/**
+ * Cancel the upcoming planned rides of a series and notify participants
+ * @param {Object} series - RideSeries document
+ * @param {Object} owner - { id, name } of the user ending the series
+ * @returns {Promise<Array>} Cancelled rides
+ */
+export async function cancelUpcomingSeriesRides(series, owner) {
+  const rides = await Ride.find({
+    series: series.id,
+    status: RideStatus.PLANNED,
+    startTime: { $gt: new Date() },
+  });
+
+  await Promise.all(
+    rides.map(async (ride) => {
+      ride.set({ status: RideStatus.CANCELLED });
+      await ride.save();
+
+      try {
+        await cancelAllRemindersForRide(ride.id);
+      } catch (error) {
+        logError('Failed to cancel series ride reminders:', error);
+        // Reminders will just fire and be ignored
+      }
+
+      const participantIds = ride.participants
+        .filter((p) => p.isApproved && p.user.toString() !== owner.id)
+        .map((p) => p.user);
+
+      if (participantIds.length > 0) {
+        await sendAndSaveNotification({
+          userId: participantIds,
+          type: 'NOTIFICATION__RIDE_CANCELLED',
+          title: 'Ride Cancelled ❌',
+          body: `The ride "${ride.name}" has been cancelled`,
+          subtitle: 'The ride owner has ended this ride series.',
+          data: {
+            notificationType: 'NOTIFICATION__RIDE_CANCELLED',
+            rideId: ride.id,
+            rideName: ride.name,
+            ownerName: owner.name,
+            startTime: ride.startTime,
+          },
+        });
+      }
+    }),
+  );
+
+  return rides;
+}
+
+export default {
+  buildRideFromSeries,
+  generateSeriesOccurrences,
+  generateAllSeriesOccurrences,
+  cancelUpcomingSeriesRides,
+};
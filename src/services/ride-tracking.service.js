@@ -0,0 +1,563 @@
+/**
+ * Ride Tracking Service
+ *
+ * Stores the GPS points of riders. Points live in RideTrackingBucket
+ * documents, one per rider and TRACKING_BUCKET_MINUTES time window, so a
+ * RideTracking document only keeps the rider's summary: last known
+ * position, point count and statistics.
+ *
+ * Statistics are updated from the new points alone when they arrive after
+ * the last stored point. Points that arrive late (offline buffers) are
+ * slotted in by time and the statistics are recounted over the stored path.
+ * Points the GPS filter does not trust are stored with a flag and left out
+ * of distance and speed.
+ *
+ * Simplified routes of completed rides are cached, since their points no
+ * longer change.
+ *
+ * Used by the ride and ride tracking controllers, the realtime webhook, the
+ * ride lifecycle service and the tracking bucket migration.
+ */
+
+import RideTracking from '../models/ride-tracking.js';
+import RideTrackingBucket from '../models/ride-tracking-bucket.js';
+import { RideStatus } from '../utils/constants.js';
+import {
+  CachePrefix,
+  CacheTTL,
+  generateCacheKey,
+  getCacheOrFetch,
+} from '../utils/cache.js';
+import { simplifyPath } from '../utils/geo.js';
+import { smoothPath } from '../utils/gps-filter.js';
+import {
+  calculateDistance,
+  accumulateRideStats,
+  flagTrackingPoints,
+  summarizeRideStats,
+} from '../utils/ride-stats-calculator.js';
+
+/**
+ * Length of the time window covered by one bucket
+ */
+const TRACKING_BUCKET_MINUTES = 10;
+const TRACKING_BUCKET_MS = TRACKING_BUCKET_MINUTES * 60 * 1000;
+
+/**
+ * Most points accepted in one batch
+ */
+export const MAX_TRACKING_BATCH_SIZE = 1000;
+
+/**
+ * Hours after a ride is completed during which riders can still upload
+ * points they buffered offline before it ended
+ */
+export const LATE_BATCH_GRACE_HOURS =
+  Number(process.env.RIDE_LATE_BATCH_GRACE_HOURS) || 24;
+
+/**
+ * How far ahead of the server clock a point may be, to allow for clock drift
+ */
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Check that an optional value is a number within a range
+ * @param {*} value - Value from the request
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {boolean} True if missing or valid
+ */
+function isOptionalNumberInRange(value, min, max) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === 'number' && value >= min && value <= max)
+  );
+}
+
+/**
+ * Validate a point of a batch and convert it to a path entry
+ * @param {Object} point - { latitude, longitude, timestamp, speed, heading,
+ *   accuracy, altitude }
+ * @param {Date} [until] - Latest timestamp accepted (the ride's end)
+ * @returns {{entry: Object}|{error: string}} Path entry or error
+ */
+function toPathEntry(point, until) {
+  const { latitude, longitude, timestamp, speed, heading, accuracy, altitude } =
+    point || {};
+
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return { error: 'latitude and longitude must be numbers' };
+  }
+  if (latitude < -90 || latitude > 90) {
+    return { error: 'latitude must be between -90 and 90' };
+  }
+  if (longitude < -180 || longitude > 180) {
+    return { error: 'longitude must be between -180 and 180' };
+  }
+
+  const time = new Date(timestamp);
+  if (timestamp === undefined || Number.isNaN(time.getTime())) {
+    return { error: 'timestamp must be a valid date' };
+  }
+  if (time.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return { error: 'timestamp cannot be in the future' };
+  }
+  if (until && time > until) {
+    return { error: 'timestamp is after the ride ended' };
+  }
+
+  if (!isOptionalNumberInRange(speed, 0, Infinity)) {
+    return { error: 'speed must be a non-negative number' };
+  }
+  if (!isOptionalNumberInRange(heading, 0, 360)) {
+    return { error: 'heading must be between 0 and 360' };
+  }
+  if (!isOptionalNumberInRange(accuracy, 0, Infinity)) {
+    return { error: 'accuracy must be a non-negative number' };
+  }
+  if (!isOptionalNumberInRange(altitude, -Infinity, Infinity)) {
+    return { error: 'altitude must be a number' };
+  }
+
+  return {
+    entry: {
+      timestamp: time,
+      coordinates: {
+        type: 'Point',
+        coordinates: [longitude, latitude], // GeoJSON order: [longitude, latitude]
+      },
+      ...(speed != null && { speed }),
+      ...(heading != null && { heading }),
+      ...(accuracy != null && { accuracy }),
+      ...(altitude != null && { altitude }),
+    },
+  };
+}
+
+/**
+ * Get the start of the bucket window a point falls in
+ * @param {Date} timestamp - Point time
+ * @returns {number} Window start in milliseconds
+ */
+function getBucketStart(timestamp) {
+  const time = new Date(timestamp).getTime();
+  return Math.floor(time / TRACKING_BUCKET_MS) * TRACKING_BUCKET_MS;
+}
+
+/**
+ * Fill in the distance of each new entry from the point before it
+ * @param {Array<Object>} path - Points sorted by timestamp
+ * @param {Array<Object>} entries - Entries of the path being added
+ */
+function setDistancesFromPrevious(path, entries) {
+  const isNew = new Set(entries);
+  path.forEach((point, i) => {
+    if (i === 0 || !isNew.has(point)) return;
+    const [prevLng, prevLat] = path[i - 1].coordinates.coordinates;
+    const [lng, lat] = point.coordinates.coordinates;
+    Object.assign(point, {
+      distanceFromPrevious: calculateDistance(prevLat, prevLng, lat, lng),
+    });
+  });
+}
+
+/**
+ * Flag the entries the GPS filter does not trust
+ * @param {Array<Object>} path - Points sorted by timestamp
+ * @param {Array<string|null>} flags - GpsPointFlag per point of the path
+ * @param {Array<Object>} entries - Entries of the path being added
+ */
+function setFlags(path, flags, entries) {
+  const isNew = new Set(entries);
+  path.forEach((point, i) => {
+    if (!flags[i] || !isNew.has(point)) return;
+    Object.assign(point, { flag: flags[i] });
+  });
+}
+
+/**
+ * Add entries to the buckets of their time windows
+ * Each point is only pushed if its bucket has no point with the same
+ * timestamp, so requests racing with the same points (retried offline
+ * uploads) cannot store them twice.
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - Rider's user ID
+ * @param {Array<Object>} entries - Entries sorted by timestamp
+ * @returns {Promise<number>} Number of points stored
+ */
+async function writeToBuckets(rideId, userId, entries) {
+  const starts = [
+    ...new Set(entries.map((entry) => getBucketStart(entry.timestamp))),
+  ];
+
+  try {
+    await RideTrackingBucket.bulkWrite(
+      starts.map((start) => ({
+        updateOne: {
+          filter: { ride: rideId, user: userId, bucketStart: new Date(start) },
+          update: {
+            $setOnInsert: { bucketEnd: new Date(start + TRACKING_BUCKET_MS) },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    );
+  } catch (error) {
+    // A bucket created by a concurrent request is just as good
+    const writeErrors = error.writeErrors || [error];
+    if (!writeErrors.every((writeError) => writeError.code === 11000)) {
+      throw error;
+    }
+  }
+
+  const { modifiedCount } = await RideTrackingBucket.bulkWrite(
+    entries.map((entry) => ({
+      updateOne: {
+        filter: {
+          ride: rideId,
+          user: userId,
+          bucketStart: new Date(getBucketStart(entry.timestamp)),
+          'points.timestamp': { $ne: entry.timestamp },
+        },
+        update: {
+          $push: { points: { $each: [entry], $sort: { timestamp: 1 } } },
+          $inc: { count: 1 },
+        },
+      },
+    })),
+    { ordered: false },
+  );
+  return modifiedCount;
+}
+
+/**
+ * Read the stored path of a rider on a ride
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - Rider's user ID
+ * @returns {Promise<Array<Object>>} Points sorted by timestamp
+ */
+export async function getTrackingPath(rideId, userId) {
+  const buckets = await RideTrackingBucket.find({ ride: rideId, user: userId })
+    .sort({ bucketStart: 1 })
+    .select('points')
+    .lean();
+  return buckets.flatMap((bucket) => bucket.points);
+}
+
+/**
+ * Read the stored paths of every rider on a ride
+ * @param {string} rideId - Ride ID
+ * @returns {Promise<Map<string, Array<Object>>>} Points sorted by timestamp,
+ *   by user ID
+ */
+export async function getRideTrackingPaths(rideId) {
+  const buckets = await RideTrackingBucket.find({ ride: rideId })
+    .sort({ user: 1, bucketStart: 1 })
+    .select('user points')
+    .lean();
+
+  return buckets.reduce((paths, bucket) => {
+    const userId = bucket.user.toString();
+    if (!paths.has(userId)) paths.set(userId, []);
+    paths.get(userId).push(...bucket.points);
+    return paths;
+  }, new Map());
+}
+
+/**
+ * Simplify a stored path for display
+ * Flagged points are dropped before simplifying.
+ * @param {Array<Object>} path - Points sorted by timestamp
+ * @param {Object} options
+ * @param {number} options.tolerance - Largest allowed deviation in meters
+ * @param {boolean} [options.smooth] - Smooth the points first
+ * @returns {Array<Object>} Kept points
+ */
+function simplifyTrackingPath(path, { tolerance, smooth }) {
+  const trusted = path.filter((point) => !point.flag);
+  const points = smooth ? smoothPath(trusted) : trusted;
+  return simplifyPath(
+    points.map((point) => point.coordinates.coordinates),
+    tolerance,
+  ).map((i) => points[i]);
+}
+
+/**
+ * Read the simplified paths of a ride
+ * @param {Object} ride - Ride document
+ * @param {Object} options
+ * @param {string} [options.userId] - Only this rider's path (all if omitted)
+ * @param {number} options.tolerance - Largest allowed deviation in meters
+ * @param {boolean} [options.smooth] - Smooth the points first
+ * @returns {Promise<Map<string, Array<Object>>>} Kept points by user ID
+ */
+export async function getSimplifiedTrackingPaths(
+  ride,
+  { userId, tolerance, smooth = false },
+) {
+  const rideId = ride.id;
+  const fetchPaths = async () => {
+    const paths = userId
+      ? new Map([[userId, await getTrackingPath(rideId, userId)]])
+      : await getRideTrackingPaths(rideId);
+    return Object.fromEntries(
+      [...paths].map(([id, path]) => [
+        id,
+        simplifyTrackingPath(path, { tolerance, smooth }),
+      ]),
+    );
+  };
+
+  if (ride.status !== RideStatus.COMPLETED) {
+    return new Map(Object.entries(await fetchPaths()));
+  }
+
+  const cacheKey = generateCacheKey(CachePrefix.RIDE_ROUTES, {
+    rideId,
+    userId,
+    tolerance,
+    smooth,
+  });
+  const paths = await getCacheOrFetch(cacheKey, fetchPaths, CacheTTL.VERY_LONG);
+  return new Map(Object.entries(paths));
+}
+
+/**
+ * Build the statistics fields of a tracking document
+ * @param {Object} accumulator - Running totals from accumulateRideStats
+ * @returns {Object} Fields to $set
+ */
+function toStatsFields(accumulator) {
+  return {
+    statsAccumulator: accumulator,
+    calculatedStats: summarizeRideStats(accumulator),
+    pointCount: accumulator.pointCount,
+  };
+}
+
+/**
+ * Recount a rider's statistics over their whole stored path
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - Rider's user ID
+ * @returns {Promise<Object|null>} Updated tracking document
+ */
+export async function recalculateTrackingStats(rideId, userId) {
+  const path = await getTrackingPath(rideId, userId);
+  const latest = path[path.length - 1];
+
+  return RideTracking.findOneAndUpdate(
+    { ride: rideId, user: userId },
+    {
+      $set: {
+        ...toStatsFields(accumulateRideStats(undefined, path)),
+        ...(latest && {
+          lastKnownPosition: {
+            type: 'Point',
+            coordinates: latest.coordinates.coordinates,
+            timestamp: latest.timestamp,
+          },
+        }),
+      },
+    },
+    { new: true, runValidators: true },
+  );
+}
+
+/**
+ * Store tracking points of a rider and update their statistics
+ * Points whose timestamp is already stored are skipped.
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - Rider's user ID
+ * @param {Array<Object>} entries - Path entries ({ timestamp, coordinates,
+ *   speed, heading, accuracy, altitude }) in any order
+ * @returns {Promise<Object>} { tracking, accepted, duplicates }
+ */
+export async function recordTrackingPoints(rideId, userId, entries) {
+  // The first point sent for a timestamp wins
+  const byTimestamp = new Map();
+  entries.forEach((entry) => {
+    const key = new Date(entry.timestamp).getTime();
+    if (!byTimestamp.has(key)) byTimestamp.set(key, entry);
+  });
+  const sorted = [...byTimestamp.values()].sort(
+    (a, b) => a.timestamp - b.timestamp,
+  );
+
+  const existing = await RideTracking.findOneAndUpdate(
+    { ride: rideId, user: userId },
+    {
+      $setOnInsert: {
+        ride: rideId,
+        user: userId,
+        trackingStatus: 'active',
+        startTime: sorted[0].timestamp,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  )
+    .select('+statsAccumulator')
+    .lean();
+
+  const previous = existing.statsAccumulator;
+  const previousLast = previous?.lastTimestamp ?? null;
+  const inOrder = !previousLast || sorted[0].timestamp > previousLast;
+
+  let added = sorted;
+  let accumulator;
+  if (inOrder) {
+    const lastPoint = previous?.lastCoordinates?.length
+      ? { coordinates: { coordinates: previous.lastCoordinates } }
+      : null;
+    setDistancesFromPrevious(
+      lastPoint ? [lastPoint, ...sorted] : sorted,
+      sorted,
+    );
+    setFlags(sorted, flagTrackingPoints(previous, sorted), sorted);
+    accumulator = accumulateRideStats(previous, sorted);
+  } else {
+    // Late points are merged into the stored path and everything is recounted
+    const storedPath = await getTrackingPath(rideId, userId);
+    const stored = new Set(
+      storedPath.map((point) => new Date(point.timestamp).getTime()),
+    );
+    added = sorted.filter((entry) => !stored.has(entry.timestamp.getTime()));
+    if (added.length === 0) {
+      return { tracking: existing, accepted: 0, duplicates: entries.length };
+    }
+
+    const merged = [...storedPath, ...added].sort(
+      (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
+    );
+    setDistancesFromPrevious(merged, added);
+    // Flags of points already stored are kept as they were
+    setFlags(merged, flagTrackingPoints(undefined, merged), added);
+    accumulator = accumulateRideStats(undefined, merged);
+  }
+
+  const storedCount = await writeToBuckets(rideId, userId, added);
+  if (storedCount < added.length) {
+    // Another request stored some of the same points first
+    return {
+      tracking: await recalculateTrackingStats(rideId, userId),
+      accepted: storedCount,
+      duplicates: entries.length - storedCount,
+    };
+  }
+
+  const latest = added[added.length - 1];
+  // A new document gets a default timestamp without coordinates
+  const lastKnownAt =
+    existing.lastKnownPosition?.coordinates?.length === 2
+      ? existing.lastKnownPosition.timestamp
+      : null;
+  const isLatest = !lastKnownAt || latest.timestamp >= new Date(lastKnownAt);
+
+  // Only applies if no other write counted points in the meantime
+  const tracking = await RideTracking.findOneAndUpdate(
+    {
+      _id: existing._id, // eslint-disable-line no-underscore-dangle
+      'statsAccumulator.lastTimestamp': previousLast,
+    },
+    {
+      $set: {
+        ...toStatsFields(accumulator),
+        ...(isLatest && {
+          lastKnownPosition: {
+            type: 'Point',
+            coordinates: latest.coordinates.coordinates,
+            timestamp: latest.timestamp,
+          },
+        }),
+      },
+      $min: { startTime: added[0].timestamp },
+    },
+    { new: true, runValidators: true },
+  );
+
+  return {
+    tracking: tracking || (await recalculateTrackingStats(rideId, userId)),
+    accepted: added.length,
+    duplicates: entries.length - added.length,
+  };
+}
+
+/**
+ * Check whether a ride still accepts tracking points
+ * Active rides do; completed rides do for LATE_BATCH_GRACE_HOURS after they
+ * ended, so riders who were offline can upload their buffered points.
+ * @param {Object} ride - Ride document with status and endTime
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function acceptsTrackingPoints(ride, now = new Date()) {
+  if (ride.status === RideStatus.ACTIVE) return true;
+  return (
+    ride.status === RideStatus.COMPLETED &&
+    Boolean(ride.endTime) &&
+    now - ride.endTime <= LATE_BATCH_GRACE_HOURS * 60 * 60 * 1000
+  );
+}
+
+/**
+ * Add a batch of buffered GPS points to a rider's tracking
+ * Invalid points are skipped and reported.
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - Rider's user ID
+ * @param {Array<Object>} points - Points as sent by the device
+ * @param {Object} [options]
+ * @param {Date} [options.until] - Latest timestamp accepted (the ride's end)
+ * @returns {Promise<Object>} { tracking, accepted, duplicates, rejected }
+ *   where rejected lists { index, error } of invalid points
+ */
+export async function appendTrackingPoints(
+  rideId,
+  userId,
+  points,
+  { until } = {},
+) {
+  const rejected = [];
+  const entries = [];
+
+  points.forEach((point, index) => {
+    const { entry, error } = toPathEntry(point, until);
+    if (error) {
+      rejected.push({ index, error });
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  if (entries.length === 0) {
+    return { tracking: null, accepted: 0, duplicates: 0, rejected };
+  }
+
+  const result = await recordTrackingPoints(rideId, userId, entries);
+  return { ...result, rejected };
+}
+
+/**
+ * Delete the stored points of every rider on a ride
+ * @param {string} rideId - Ride ID
+ * @returns {Promise<number>} Number of deleted buckets
+ */
+export async function deleteRideTrackingPoints(rideId) {
+  const { deletedCount } = await RideTrackingBucket.deleteMany({
+    ride: rideId,
+  });
+  return deletedCount;
+}
+
+export default {
+  MAX_TRACKING_BATCH_SIZE,
+  LATE_BATCH_GRACE_HOURS,
+  acceptsTrackingPoints,
+  getTrackingPath,
+  getRideTrackingPaths,
+  getSimplifiedTrackingPaths,
+  recalculateTrackingStats,
+  recordTrackingPoints,
+  appendTrackingPoints,
+  deleteRideTrackingPoints,
+};
@@ -0,0 +1,421 @@
+/**
+ * Ride Waitlist Service
+ *
+ * Keeps an ordered waitlist for full public rides. When a spot frees up,
+ * the next waitlisted rider either joins the ride automatically or is
+ * offered the spot with a response deadline, depending on the ride's
+ * waitlist mode.
+ *
+ * Used by the ride and ride waitlist controllers and the offer expiry worker.
+ */
+
+import Ride from '../models/ride.js';
+import RideWaitlist from '../models/ride-waitlist.js';
+import {
+  RideStatus,
+  RideParticipantRole,
+  WaitlistMode,
+  WaitlistStatus,
+} from '../utils/constants.js';
+import { sendAndSaveNotification } from '../utils/notification-helper.js';
+import { rescheduleRemindersForRide } from './ride-notification.service.js';
+import {
+  scheduleWaitlistOfferExpiry,
+  cancelWaitlistOfferExpiry,
+} from '../queues/ride-waitlist.queue.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+/**
+ * Rides whose waitlist can still move
+ */
+const OPEN_RIDE_STATUSES = [RideStatus.PLANNED, RideStatus.ACTIVE];
+
+/**
+ * Get the 1-based position of a waiting entry in its ride's waitlist
+ * @param {Object} entry - RideWaitlist document
+ * @returns {Promise<number|null>} Position, or null if the entry is not waiting
+ */
+export async function getWaitlistPosition(entry) {
+  if (entry.status !== WaitlistStatus.WAITING) return null;
+
+  const ahead = await RideWaitlist.countDocuments({
+    ride: entry.ride,
+    status: WaitlistStatus.WAITING,
+    joinedAt: { $lt: entry.joinedAt },
+  });
+
+  return ahead + 1;
+}
+
+/**
+ * Count pending offers on a ride
+ * @param {string} rideId - Ride ID
+ * @param {string} [excludeId] - Waitlist entry to leave out of the count
+ * @returns {Promise<number>}
+ */
+export async function countPendingOffers(rideId, excludeId) {
+  return RideWaitlist.countDocuments({
+    ride: rideId,
+    status: WaitlistStatus.OFFERED,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+}
+
+/**
+ * Count the spots a ride can still hand out
+ * Spots held by pending waitlist offers are not available.
+ * @param {Object} ride - Ride document
+ * @returns {Promise<number>} Free spots (Infinity when the ride has no limit)
+ */
+export async function getAvailableSpots(ride) {
+  if (!ride.maxParticipants) return Infinity;
+
+  const pendingOffers = await countPendingOffers(ride.id);
+
+  return Math.max(
+    0,
+    ride.maxParticipants - ride.participants.length - pendingOffers,
+  );
+}
+
+/**
+ * Check whether new joiners have to queue on the waitlist
+ * A ride is waitlisted once it is full, and stays so while anyone is
+ * still waiting so that newcomers cannot skip the queue.
+ * @param {Object} ride - Ride document
+ * @returns {Promise<boolean>}
+ */
+export async function shouldJoinWaitlist(ride) {
+  if (!ride.maxParticipants) return false;
+
+  if ((await getAvailableSpots(ride)) === 0) return true;
+
+  const waiting = await RideWaitlist.exists({
+    ride: ride.id,
+    status: WaitlistStatus.WAITING,
+  });
+  return Boolean(waiting);
+}
+
+/**
+ * Add a rider to the end of a ride's waitlist
+ * @param {Object} ride - Ride document
+ * @param {string} userId - Rider to add
+ * @param {string} [message] - Optional note for the organizers
+ * @returns {Promise<{entry: Object, position: number}>}
+ */
+export async function addToWaitlist(ride, userId, message = '') {
+  const entry = await RideWaitlist.create({
+    ride: ride.id,
+    user: userId,
+    message,
+  });
+
+  return { entry, position: await getWaitlistPosition(entry) };
+}
+
+/**
+ * Atomically add a member to a ride if it still has room
+ * The capacity check and the push run as one update, so concurrent
+ * promotions can never overfill the ride.
+ * @param {string} rideId - Ride ID
+ * @param {string} userId - User to add
+ * @param {number} [reservedSpots=0] - Spots held for others that must stay free
+ * @returns {Promise<Object|null>} Updated ride, or null if it was full
+ */
+export async function addParticipantIfSpace(rideId, userId, reservedSpots = 0) {
+  return Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      'participants.user': { $ne: userId },
+      $or: [
+        { maxParticipants: { $exists: false } },
+        { maxParticipants: null },
+        {
+          $expr: {
+            $lt: [
+              { $add: [{ $size: '$participants' }, reservedSpots] },
+              '$maxParticipants',
+            ],
+          },
+        },
+      ],
+    },
+    {
+      $push: {
+        participants: {
+          user: userId,
+          joinedAt: new Date(),
+          role: RideParticipantRole.MEMBER,
+          isApproved: true,
+        },
+      },
+    },
+    { new: true },
+  );
+}
+
+/**
+ * Refresh reminders after the participant list changed
+ * @param {Object} ride - Ride document
+ */
+async function rescheduleReminders(ride) {
+  try {
+    await rescheduleRemindersForRide(ride.id, {
+      rideName: ride.name,
+      rideStartTime: ride.startTime,
+      ownerId: ride.owner.toString(),
+      participantIds: ride.participants.map((p) => p.user.toString()),
+    });
+  } catch (error) {
+    logError('Failed to reschedule reminders after waitlist promotion:', error);
+    // Don't fail the promotion - reminders are non-critical
+  }
+}
+
+/**
+ * Tell a rider they were moved from the waitlist into the ride
+ * @param {Object} ride - Ride document
+ * @param {string} userId - Promoted rider
+ */
+async function notifyPromoted(ride, userId) {
+  await sendAndSaveNotification({
+    userId,
+    type: 'NOTIFICATION__RIDE_WAITLIST_PROMOTED',
+    title: "You're in! 🎉",
+    body: `A spot opened up and you have joined "${ride.name}"`,
+    subtitle: `Ride starts ${new Date(ride.startTime).toLocaleString()}`,
+    data: {
+      notificationType: 'NOTIFICATION__RIDE_WAITLIST_PROMOTED',
+      rideId: ride.id,
+      rideName: ride.name,
+      startTime: ride.startTime,
+    },
+  });
+}
+
+/**
+ * Move a claimed waitlist entry into the ride
+ * @param {Object} entry - RideWaitlist document
+ * @param {number} reservedSpots - Spots held by other pending offers
+ * @returns {Promise<Object|null>} Updated ride, or null if the ride was full
+ */
+async function promoteEntry(entry, reservedSpots) {
+  const ride = await addParticipantIfSpace(
+    entry.ride,
+    entry.user,
+    reservedSpots,
+  );
+
+  if (!ride) {
+    // The rider may already have joined through another path
+    const joined = await Ride.exists({
+      _id: entry.ride,
+      'participants.user': entry.user,
+    });
+    if (!joined) return null;
+  }
+
+  entry.set({ status: WaitlistStatus.PROMOTED, respondedAt: new Date() });
+  await entry.save();
+
+  if (ride) {
+    await notifyPromoted(ride, entry.user);
+    await rescheduleReminders(ride);
+  }
+
+  return ride;
+}
+
+/**
+ * Offer a free spot to a waitlisted rider
+ * @param {Object} ride - Ride document
+ * @param {Object} entry - Claimed RideWaitlist document
+ */
+async function offerSpot(ride, entry) {
+  const offerExpiresAt = new Date(
+    Date.now() + ride.waitlistOfferMinutes * 60 * 1000,
+  );
+
+  entry.set({ offeredAt: new Date(), offerExpiresAt });
+  await entry.save();
+
+  try {
+    await scheduleWaitlistOfferExpiry(entry.id, offerExpiresAt);
+  } catch (error) {
+    logError('Failed to schedule waitlist offer expiry:', error);
+    // The offer is still checked against offerExpiresAt when accepted
+  }
+
+  await sendAndSaveNotification({
+    userId: entry.user,
+    type: 'NOTIFICATION__RIDE_WAITLIST_OFFER',
+    title: 'A spot opened up! ⏳',
+    body: `A spot is available on "${ride.name}". Accept it before ${offerExpiresAt.toLocaleString()}`,
+    subtitle: `You have ${ride.waitlistOfferMinutes} minutes to respond`,
+    data: {
+      notificationType: 'NOTIFICATION__RIDE_WAITLIST_OFFER',
+      rideId: ride.id,
+      rideName: ride.name,
+      waitlistEntryId: entry.id,
+      offerExpiresAt,
+    },
+  });
+}
+
+/**
+ * Hand free spots of a ride to the next waitlisted riders
+ * Safe to call after any change that may free a spot: it does nothing
+ * while the ride is full or nobody is waiting.
+ * @param {string} rideId - Ride ID
+ * @returns {Promise<Array>} Waitlist entries that were promoted or offered a spot
+ */
+export async function promoteNextFromWaitlist(rideId) {
+  const ride = await Ride.findById(rideId);
+  if (!ride || !OPEN_RIDE_STATUSES.includes(ride.status)) return [];
+
+  let spots = await getAvailableSpots(ride);
+  const handled = [];
+
+  while (spots > 0) {
+    // Claim the head of the queue so concurrent runs skip it
+    // eslint-disable-next-line no-await-in-loop
+    const entry = await RideWaitlist.findOneAndUpdate(
+      { ride: ride.id, status: WaitlistStatus.WAITING },
+      { $set: { status: WaitlistStatus.OFFERED } },
+      { sort: { joinedAt: 1 }, new: true },
+    );
+    if (!entry) break;
+
+    if (ride.waitlistMode === WaitlistMode.OFFER) {
+      // eslint-disable-next-line no-await-in-loop
+      await offerSpot(ride, entry);
+      handled.push(entry);
+      spots -= 1;
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      const reservedSpots = await countPendingOffers(ride.id, entry.id);
+      // eslint-disable-next-line no-await-in-loop
+      const promoted = await promoteEntry(entry, reservedSpots);
+      if (promoted) {
+        handled.push(entry);
+        spots -= 1;
+      } else if (entry.status !== WaitlistStatus.PROMOTED) {
+        // Ride filled up in the meantime; put the rider back in line
+        entry.set({ status: WaitlistStatus.WAITING });
+        // eslint-disable-next-line no-await-in-loop
+        await entry.save();
+        break;
+      }
+      // Otherwise the rider had already joined and the spot is still free
+    }
+  }
+
+  if (handled.length > 0) {
+    logInfo(
+      `[WAITLIST] ${handled.length} waitlisted rider(s) moved up for ride ${ride.id}`,
+    );
+  }
+
+  return handled;
+}
+
+/**
+ * Accept a pending waitlist offer and join the ride
+ * @param {Object} entry - RideWaitlist document with status offered
+ * @returns {Promise<Object|null>} Updated ride, or null if the ride had no room
+ */
+export async function acceptWaitlistOffer(entry) {
+  // The accepted offer is one of the pending ones; leave room for the rest
+  const otherOffers = await countPendingOffers(entry.ride, entry.id);
+
+  const ride = await addParticipantIfSpace(entry.ride, entry.user, otherOffers);
+  if (!ride) return null;
+
+  entry.set({ status: WaitlistStatus.PROMOTED, respondedAt: new Date() });
+  await entry.save();
+
+  try {
+    await cancelWaitlistOfferExpiry(entry.id);
+  } catch (error) {
+    logError('Failed to cancel waitlist offer expiry:', error);
+    // The expiry job ignores entries that are no longer offered
+  }
+
+  await rescheduleReminders(ride);
+
+  return ride;
+}
+
+/**
+ * Take a rider off the waitlist, freeing any spot they were offered
+ * @param {Object} entry - Active RideWaitlist document
+ * @param {string} status - WaitlistStatus.DECLINED or WaitlistStatus.LEFT
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function releaseWaitlistEntry(entry, status) {
+  const wasOffered = entry.status === WaitlistStatus.OFFERED;
+
+  entry.set({ status, respondedAt: new Date() });
+  await entry.save();
+
+  if (wasOffered) {
+    try {
+      await cancelWaitlistOfferExpiry(entry.id);
+    } catch (error) {
+      logError('Failed to cancel waitlist offer expiry:', error);
+    }
+    await promoteNextFromWaitlist(entry.ride);
+  }
+
+  return entry;
+}
+
+/**
+ * Expire an offer whose response deadline has passed
+ * Called by the offer expiry worker. Offers that were already accepted or
+ * declined are left untouched.
+ * @param {string} entryId - RideWaitlist entry ID
+ * @returns {Promise<boolean>} Whether the offer was expired
+ */
+export async function expireWaitlistOffer(entryId) {
+  const entry = await RideWaitlist.findOneAndUpdate(
+    { _id: entryId, status: WaitlistStatus.OFFERED },
+    { $set: { status: WaitlistStatus.EXPIRED, respondedAt: new Date() } },
+    { new: true },
+  ).populate('ride', 'name');
+
+  if (!entry) return false;
+
+  if (entry.ride) {
+    await sendAndSaveNotification({
+      userId: entry.user,
+      type: 'NOTIFICATION__RIDE_WAITLIST_OFFER_EXPIRED',
+      title: 'Waitlist offer expired',
+      body: `Your offered spot on "${entry.ride.name}" has expired`,
+      subtitle: 'The spot was passed on to the next rider in line.',
+      data: {
+        notificationType: 'NOTIFICATION__RIDE_WAITLIST_OFFER_EXPIRED',
+        rideId: entry.ride.id,
+        rideName: entry.ride.name,
+      },
+    });
+
+    await promoteNextFromWaitlist(entry.ride.id);
+  }
+
+  return true;
+}
+
+export default {
+  getWaitlistPosition,
+  countPendingOffers,
+  getAvailableSpots,
+  shouldJoinWaitlist,
+  addToWaitlist,
+  addParticipantIfSpace,
+  promoteNextFromWaitlist,
+  acceptWaitlistOffer,
+  releaseWaitlistEntry,
+  expireWaitlistOffer,
+};
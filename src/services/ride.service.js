@@ -0,0 +1,54 @@
+/**
+ * Ride Service
+ *
+ * Creates new planned rides from the reusable setup of an existing ride
+ * or template, with a fresh ride code and scheduled reminders.
+ *
+ * Used by the ride clone and ride template controllers.
+ */
+
+import Ride from '../models/ride.js';
+import generateUniqueRideCode from '../utils/ride-code-generator.js';
+import { RideStatus } from '../utils/constants.js';
+import { scheduleAllRemindersForRide } from './ride-notification.service.js';
+import { logError } from '../utils/logger.js';
+
+/**
+ * Create and save a planned ride from a blueprint
+ * @param {Object} blueprint - Fields from getRideBlueprint
+ * @param {Object} options - { owner, startTime, endTime }
+ * @returns {Promise<Object>} Saved ride
+ */
+export async function createRideFromBlueprint(
+  blueprint,
+  { owner, startTime, endTime },
+) {
+  const ride = new Ride({
+    ...blueprint,
+    owner,
+    startTime,
+    endTime,
+    status: RideStatus.PLANNED,
+    rideId: await generateUniqueRideCode(),
+  });
+  await ride.save();
+
+  try {
+    await scheduleAllRemindersForRide(
+      ride.id,
+      ride.name,
+      ride.startTime,
+      ride.owner.toString(),
+      ride.participants.map((p) => p.user.toString()),
+    );
+  } catch (error) {
+    logError('Failed to schedule ride reminders:', error);
+    // Don't fail the request - reminders are non-critical
+  }
+
+  return ride;
+}
+
+export default {
+  createRideFromBlueprint,
+};
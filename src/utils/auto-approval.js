@@ -0,0 +1,96 @@
+/**
+ * Auto-approval helpers
+ *
+ * Private rides can approve join requests without manual review when the
+ * requester meets any of the owner's rules. Rules are checked cheapest
+ * first and evaluation stops at the first match.
+ */
+
+import Ride from '../models/ride.js';
+import { User } from '../models/user.js';
+import { AutoApprovalRule, RideStatus } from './constants.js';
+
+/**
+ * Check whether a ride has at least one auto-approval rule turned on
+ * @param {Object} settings - Ride's autoApproval settings
+ * @returns {boolean} True if requests may be approved automatically
+ */
+function hasAutoApprovalRules(settings) {
+  if (!settings?.enabled) return false;
+  return Boolean(
+    settings.riddenWithOwner ||
+    settings.verifiedPhone ||
+    settings.allowlist?.length > 0 ||
+    settings.minCompletedRides > 0,
+  );
+}
+
+/**
+ * Check whether a user rode in a completed ride together with the owner
+ * @param {string} ownerId - Ride owner's user ID
+ * @param {string} userId - Requester's user ID
+ * @returns {Promise<boolean>}
+ */
+async function hasRiddenWithOwner(ownerId, userId) {
+  const sharedRide = await Ride.exists({
+    status: RideStatus.COMPLETED,
+    $and: [
+      { participants: { $elemMatch: { user: ownerId, isApproved: true } } },
+      { participants: { $elemMatch: { user: userId, isApproved: true } } },
+    ],
+  });
+  return Boolean(sharedRide);
+}
+
+/**
+ * Count the completed rides a user took part in
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countCompletedRides(userId) {
+  return Ride.countDocuments({
+    status: RideStatus.COMPLETED,
+    participants: { $elemMatch: { user: userId, isApproved: true } },
+  });
+}
+
+/**
+ * Find the first auto-approval rule of a ride that a requester meets
+ * @param {Object} ride - Ride document
+ * @param {string} userId - Requester's user ID
+ * @returns {Promise<string|null>} Matching AutoApprovalRule, or null if the
+ *   request needs manual review
+ */
+async function evaluateAutoApproval(ride, userId) {
+  const settings = ride.autoApproval;
+  if (!hasAutoApprovalRules(settings)) return null;
+
+  if (settings.allowlist?.some((id) => id.toString() === userId.toString())) {
+    return AutoApprovalRule.ALLOWLIST;
+  }
+
+  if (settings.verifiedPhone) {
+    const user = await User.findById(userId)
+      .select('phoneNumberVerified')
+      .lean();
+    if (user?.phoneNumberVerified) return AutoApprovalRule.VERIFIED_PHONE;
+  }
+
+  if (
+    settings.riddenWithOwner &&
+    (await hasRiddenWithOwner(ride.owner, userId))
+  ) {
+    return AutoApprovalRule.RIDDEN_WITH_OWNER;
+  }
+
+  if (
+    settings.minCompletedRides > 0 &&
+    (await countCompletedRides(userId)) >= settings.minCompletedRides
+  ) {
+    return AutoApprovalRule.MIN_COMPLETED_RIDES;
+  }
+
+  return null;
+}
+
+export { hasAutoApprovalRules, evaluateAutoApproval };
@@ -4,7 +4,14 @@
  * This file contains cache utility functions for Redis.
  * Redis caching is currently disabled and will be implemented later.
  *
- * All imports of this file have been commented out throughout the codebase.
+ * All imports of this file have been commented out throughout the codebase,
+ * except for:
+ * - src/services/ride-deletion.service.js, which invalidates the ride cache
+ * - src/services/ride-tracking.service.js and
+ *   src/controller/ride-tracking.js, which cache and invalidate simplified
+ *   routes of completed rides
+ * The helpers are no-ops while Redis is unavailable.
+ *
  * To re-enable Redis caching:
  * 1. Uncomment imports in src/index.js
  * 2. Uncomment cache middleware imports in route files (src/routes/v1/*.js)
@@ -32,6 +39,7 @@ export const CachePrefix = {
   PENDING_REQUESTS: 'pending_requests',
   USER_PROFILE: 'user_profile',
   LEGAL_STATUS: 'legal_status',
+  RIDE_ROUTES: 'ride_routes',
 };
 
 /**
@@ -187,6 +195,15 @@ export async function invalidateRidesCache() {
   ]);
 }
 
+/**
+ * Invalidate the cached simplified tracking routes of a ride
+ * @param {string} rideId - Ride ID
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export async function invalidateRideRoutesCache(rideId) {
+  return invalidatePattern(`${CachePrefix.RIDE_ROUTES}:rideId:${rideId}:*`);
+}
+
 /**
  * Invalidate cache for a specific ride
  * @param {string} rideId - Ride ID
@@ -199,6 +216,7 @@ export async function invalidateRideCache(rideId) {
     invalidatePattern(`${CachePrefix.RIDE_EXPENSES}:*:rideId:${rideId}:*`),
     invalidatePattern(`${CachePrefix.RIDE_EXPENSE_STATS}:*:rideId:${rideId}`),
     invalidatePattern(`${CachePrefix.RIDE_COMMENTS}:*:rideId:${rideId}:*`),
+    invalidateRideRoutesCache(rideId),
     invalidateRidesCache(), // Also invalidate ride lists
   ]);
 }
@@ -340,6 +358,7 @@ export default {
   invalidatePattern,
   invalidateRidesCache,
   invalidateRideCache,
+  invalidateRideRoutesCache,
   invalidateExpensesCache,
   invalidateRideRequestsCache,
   invalidateCommentsCache,
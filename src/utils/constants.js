@@ -8,6 +8,61 @@ const RideStatus = {
   ACTIVE: 'active',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
+  // Planned rides that were never started
+  EXPIRED: 'expired',
+};
+
+const RideParticipantRole = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  MEMBER: 'member',
+};
+
+const AutoApprovalRule = {
+  ALLOWLIST: 'allowlist',
+  VERIFIED_PHONE: 'verified_phone',
+  RIDDEN_WITH_OWNER: 'ridden_with_owner',
+  MIN_COMPLETED_RIDES: 'min_completed_rides',
+};
+
+const WaitlistMode = {
+  AUTO: 'auto',
+  OFFER: 'offer',
+};
+
+const WaitlistStatus = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',
+  PROMOTED: 'promoted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  LEFT: 'left',
+};
+
+const RideEventType = {
+  UPDATED: 'updated',
+  STARTED: 'started',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  ARCHIVED: 'archived',
+  OWNERSHIP_TRANSFERRED: 'ownership_transferred',
+};
+
+const RideInteractionType = {
+  HEART: 'heart',
+  BOOKMARK: 'bookmark',
+};
+
+const RecurrenceFrequency = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  MONTHLY: 'monthly',
+};
+
+const RideSeriesStatus = {
+  ACTIVE: 'active',
+  ENDED: 'ended',
 };
 
 const ExpenseCategory = {
@@ -19,4 +74,24 @@ const ExpenseCategory = {
   OTHER: 'other',
 };
 
-export { RideVisibility, RideStatus, ExpenseCategory };
+// Why a tracking point is left out of distance and speed, see utils/gps-filter.js
+const GpsPointFlag = {
+  LOW_ACCURACY: 'low_accuracy',
+  IMPOSSIBLE_JUMP: 'impossible_jump',
+  STATIONARY_JITTER: 'stationary_jitter',
+};
+
+export {
+  RideVisibility,
+  RideStatus,
+  RideParticipantRole,
+  AutoApprovalRule,
+  WaitlistMode,
+  WaitlistStatus,
+  RideEventType,
+  RideInteractionType,
+  RecurrenceFrequency,
+  RideSeriesStatus,
+  ExpenseCategory,
+  GpsPointFlag,
+};
@@ -0,0 +1,254 @@
+/**
+ * Cursor pagination helpers
+ *
+ * List endpoints page with opaque `after`/`before` cursors instead of
+ * `page`/`skip` when a client asks for it. A cursor holds the sort values
+ * of the last (or first) item it was built from, with `_id` as the
+ * tie-breaker, so pages stay stable while new items arrive.
+ *
+ * Page-based pagination stays the default for existing clients. Cursor
+ * mode is used when `after` or `before` is sent, or `pagination=cursor`
+ * for the first page.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Type tags of cursor values, so decoded values can be checked and dates
+ * restored before they reach a query
+ */
+const CursorValueType = {
+  DATE: 'd',
+  NUMBER: 'n',
+  STRING: 's',
+  NULL: 'z',
+};
+
+/**
+ * Get the type tag of a sort value
+ * @param {*} value - Sort value of an item
+ * @returns {string} One of CursorValueType
+ */
+function getCursorValueType(value) {
+  if (value === null) return CursorValueType.NULL;
+  if (value instanceof Date) return CursorValueType.DATE;
+  if (typeof value === 'number') return CursorValueType.NUMBER;
+  return CursorValueType.STRING;
+}
+
+/**
+ * Check a decoded cursor value against its type tag
+ * Rejects anything but plain values, so a crafted cursor cannot smuggle
+ * query operators into the filter.
+ * @param {*} value - Value from the cursor
+ * @param {string} type - Type tag from the cursor
+ * @returns {{value: *}|null} Value to query with, or null if invalid
+ */
+function parseCursorValue(value, type) {
+  switch (type) {
+    case CursorValueType.NULL:
+      return value === null ? { value } : null;
+    case CursorValueType.NUMBER:
+      return Number.isFinite(value) ? { value } : null;
+    case CursorValueType.STRING:
+      return typeof value === 'string' ? { value } : null;
+    case CursorValueType.DATE: {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      return date && !Number.isNaN(date.getTime()) ? { value: date } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the sort fields of a list with `_id` appended as the tie-breaker
+ * @param {Object} sort - Mongo sort, e.g. { startTime: 1 }
+ * @returns {Array<[string, number]>} [field, order] pairs
+ */
+function getSortFields(sort) {
+  const fields = Object.entries(sort).map(([field, order]) => [
+    field,
+    Number(order) < 0 ? -1 : 1,
+  ]);
+  // eslint-disable-next-line no-underscore-dangle
+  if (!sort._id) {
+    const lastOrder = fields.length > 0 ? fields[fields.length - 1][1] : 1;
+    fields.push(['_id', lastOrder]);
+  }
+  return fields;
+}
+
+/**
+ * Build an opaque cursor pointing at an item
+ * @param {Object} item - Document or lean object holding the sort fields
+ * @param {Object} sort - Mongo sort the list uses
+ * @returns {string} Base64url cursor
+ */
+export function encodeCursor(item, sort) {
+  const fields = getSortFields(sort);
+  const values = fields.map(([field]) =>
+    field === '_id' ? String(item[field]) : (item[field] ?? null),
+  );
+  const payload = {
+    k: fields.map(([field]) => field).join(','),
+    v: values,
+    t: values.map(getCursorValueType).join(''),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Read the sort values stored in a cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {Object} sort - Mongo sort the list uses
+ * @returns {Array|null} Sort values, or null if the cursor is invalid or
+ *   was built for a different sort
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const fields = getSortFields(sort);
+    const keys = fields.map(([field]) => field).join(',');
+
+    if (
+      payload?.k !== keys ||
+      !Array.isArray(payload.v) ||
+      payload.v.length !== fields.length ||
+      typeof payload.t !== 'string' ||
+      payload.t.length !== fields.length
+    ) {
+      return null;
+    }
+
+    const values = payload.v.map((value, i) =>
+      parseCursorValue(value, payload.t[i]),
+    );
+    const id = values[values.length - 1];
+    if (
+      values.includes(null) ||
+      typeof id.value !== 'string' ||
+      !mongoose.isValidObjectId(id.value)
+    ) {
+      return null;
+    }
+    return values.map(({ value }) => value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the filter selecting items past a cursor
+ * Values must come from decodeCursor; Mongoose casts them using the model's
+ * schema.
+ * @param {Array<[string, number]>} fields - Sort fields
+ * @param {Array} values - Sort values from the cursor
+ * @param {boolean} isForward - Whether to page after (true) or before the cursor
+ * @returns {Object} Mongo filter
+ */
+function buildCursorFilter(fields, values, isForward) {
+  return {
+    $or: fields.map(([field, order], i) => {
+      const condition = {};
+      fields.slice(0, i).forEach(([previousField], j) => {
+        condition[previousField] = values[j];
+      });
+      const ascending = (order === 1) === isForward;
+      condition[field] = { [ascending ? '$gt' : '$lt']: values[i] };
+      return condition;
+    }),
+  };
+}
+
+/**
+ * Prepare a cursor-paginated query from request query params
+ * @param {Object} params - Request query ({ after, before, pagination })
+ * @param {Object} filter - Filter of the list
+ * @param {Object} sort - Mongo sort of the list
+ * @returns {Object|null} null in page mode, { error } for an invalid cursor,
+ *   otherwise { filter, sort, isBackward, hasCursor, listSort } to query with
+ */
+export function getCursorQuery(params, filter, sort) {
+  const { after, before, pagination } = params;
+  if (!after && !before && pagination !== 'cursor') return null;
+
+  if (after && before) {
+    return { error: 'Use either after or before, not both' };
+  }
+
+  const fields = getSortFields(sort);
+  const cursor = after || before;
+  const isBackward = Boolean(before);
+
+  // Backward pages are read in reverse and flipped back afterwards
+  const querySort = Object.fromEntries(
+    fields.map(([field, order]) => [field, isBackward ? -order : order]),
+  );
+
+  if (!cursor) {
+    return {
+      filter,
+      sort: querySort,
+      isBackward,
+      hasCursor: false,
+      listSort: sort,
+    };
+  }
+
+  const values = decodeCursor(String(cursor), sort);
+  if (!values) {
+    return { error: 'Invalid or expired pagination cursor' };
+  }
+
+  return {
+    filter: {
+      $and: [filter, buildCursorFilter(fields, values, !isBackward)],
+    },
+    sort: querySort,
+    isBackward,
+    hasCursor: true,
+    listSort: sort,
+  };
+}
+
+/**
+ * Turn the items of a cursor query into a page
+ * The query must fetch `limit + 1` items so the next page can be detected.
+ * @param {Array<Object>} items - Items fetched with the cursor query
+ * @param {Object} cursorQuery - Result of getCursorQuery
+ * @param {number} limit - Page size
+ * @returns {{items: Array<Object>, pagination: Object}} Page items in list
+ *   order and the pagination block of the response
+ */
+export function buildCursorPage(items, cursorQuery, limit) {
+  const hasMore = items.length > limit;
+  const pageItems = items.slice(0, limit);
+  if (cursorQuery.isBackward) pageItems.reverse();
+
+  const hasNextPage = cursorQuery.isBackward ? true : hasMore;
+  const hasPrevPage = cursorQuery.isBackward ? hasMore : cursorQuery.hasCursor;
+  const first = pageItems[0];
+  const last = pageItems[pageItems.length - 1];
+
+  return {
+    items: pageItems,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      hasNextPage: hasNextPage && Boolean(last),
+      hasPrevPage: hasPrevPage && Boolean(first),
+      nextCursor:
+        hasNextPage && last ? encodeCursor(last, cursorQuery.listSort) : null,
+      prevCursor:
+        hasPrevPage && first ? encodeCursor(first, cursorQuery.listSort) : null,
+    },
+  };
+}
+
+export default {
+  encodeCursor,
+  decodeCursor,
+  getCursorQuery,
+  buildCursorPage,
+};
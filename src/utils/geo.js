@@ -0,0 +1,563 @@
+/**
+ * Geospatial helpers
+ *
+ * Bounding boxes are [minLng, minLat, maxLng, maxLat] in degrees. A box
+ * whose minLng is greater than its maxLng crosses the antimeridian.
+ * Points and paths use GeoJSON order: [longitude, latitude].
+ */
+
+import { calculateDistance } from './ride-stats-calculator.js';
+
+/**
+ * Mean Earth radius in meters
+ */
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Meters per degree of latitude
+ */
+const METERS_PER_DEGREE = (Math.PI / 180) * EARTH_RADIUS_METERS;
+
+/**
+ * Widest longitude step between polygon vertices
+ * Polygon edges are geodesics, so long east-west edges are split up to
+ * stay close to their line of latitude.
+ */
+const MAX_EDGE_DEGREES = 10;
+
+/**
+ * Latitudes are kept off the poles so polygon edges stay well defined
+ */
+const MAX_POLYGON_LATITUDE = 89.9;
+
+/**
+ * Cluster cells per map tile edge
+ */
+const CELLS_PER_TILE = 4;
+
+/**
+ * Ground size of one map pixel at the equator at zoom 0 (256px tiles)
+ */
+const METERS_PER_PIXEL_AT_ZOOM_0 = (2 * Math.PI * EARTH_RADIUS_METERS) / 256;
+
+/**
+ * Get the longitude span of a bounding box in degrees
+ * @param {Array<number>} bbox - Bounding box
+ * @returns {number} Span, accounting for antimeridian crossings
+ */
+function getLongitudeSpan([minLng, , maxLng]) {
+  return minLng <= maxLng ? maxLng - minLng : maxLng + 360 - minLng;
+}
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box
+ * @param {string} value - Bounding box from the query string
+ * @returns {{bbox: Array<number>}|{error: string}} Parsed box or error
+ */
+function parseBoundingBox(value) {
+  const parts = String(value || '')
+    .split(',')
+    .map((part) => parseFloat(part));
+
+  if (parts.length !== 4 || parts.some((part) => Number.isNaN(part))) {
+    return {
+      error: 'bbox must be four numbers: minLng,minLat,maxLng,maxLat',
+    };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if ([minLng, maxLng].some((lng) => lng < -180 || lng > 180)) {
+    return { error: 'bbox longitudes must be between -180 and 180' };
+  }
+  if ([minLat, maxLat].some((lat) => lat < -90 || lat > 90)) {
+    return { error: 'bbox latitudes must be between -90 and 90' };
+  }
+  if (minLat >= maxLat) {
+    return { error: 'bbox minLat must be less than maxLat' };
+  }
+  if (getLongitudeSpan(parts) === 0) {
+    return { error: 'bbox minLng and maxLng must differ' };
+  }
+
+  return { bbox: parts };
+}
+
+/**
+ * Wrap a longitude into [-180, 180]
+ * @param {number} lng - Longitude
+ * @returns {number}
+ */
+function wrapLongitude(lng) {
+  return lng > 180 ? lng - 360 : lng;
+}
+
+/**
+ * Build a GeoJSON polygon covering a bounding box
+ * The polygon uses MongoDB's strict-winding CRS so boxes larger than a
+ * hemisphere or crossing the antimeridian are read the way they are drawn.
+ * @param {Array<number>} bbox - Bounding box
+ * @returns {Object} GeoJSON Polygon
+ */
+function boundingBoxToPolygon(bbox) {
+  const [minLng] = bbox;
+  const minLat = Math.max(bbox[1], -MAX_POLYGON_LATITUDE);
+  const maxLat = Math.min(bbox[3], MAX_POLYGON_LATITUDE);
+  const span = getLongitudeSpan(bbox);
+  const steps = Math.max(1, Math.ceil(span / MAX_EDGE_DEGREES));
+
+  const edge = Array.from({ length: steps + 1 }, (_, i) =>
+    wrapLongitude(minLng + (span * i) / steps),
+  );
+
+  // Counter-clockwise: east along the bottom edge, west along the top edge
+  const ring = [
+    ...edge.map((lng) => [lng, minLat]),
+    ...[...edge].reverse().map((lng) => [lng, maxLat]),
+    [edge[0], minLat],
+  ];
+
+  return {
+    type: 'Polygon',
+    coordinates: [ring],
+    crs: {
+      type: 'name',
+      properties: { name: 'urn:x-mongodb:crs:strictwinding:EPSG:4326' },
+    },
+  };
+}
+
+/**
+ * Build a filter for points inside a bounding box
+ * The 2dsphere index narrows the search; exact coordinate ranges then
+ * drop points between a polygon edge and its line of latitude.
+ * @param {Array<number>} bbox - Bounding box
+ * @param {string} path - Path of the GeoJSON Point field, e.g. 'startLocation'
+ * @returns {Object} Mongo filter
+ */
+function buildBoundingBoxFilter(bbox, path) {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const lngPath = `${path}.coordinates.0`;
+  const latPath = `${path}.coordinates.1`;
+
+  const conditions = [{ [latPath]: { $gte: minLat, $lte: maxLat } }];
+
+  // A box spanning the whole world only constrains latitude
+  if (getLongitudeSpan(bbox) < 360) {
+    conditions.push({
+      [`${path}.coordinates`]: {
+        $geoWithin: { $geometry: boundingBoxToPolygon(bbox) },
+      },
+    });
+    conditions.push(
+      minLng <= maxLng
+        ? { [lngPath]: { $gte: minLng, $lte: maxLng } }
+        : {
+            $or: [
+              { [lngPath]: { $gte: minLng } },
+              { [lngPath]: { $lte: maxLng } },
+            ],
+          },
+    );
+  }
+
+  return { $and: conditions };
+}
+
+/**
+ * Get the size of a cluster grid cell for a map zoom level
+ * Cells are aligned to 0° so clusters stay put while the map pans.
+ * @param {number} zoom - Web map zoom level
+ * @returns {number} Cell size in degrees
+ */
+function getGridCellSize(zoom) {
+  return 360 / 2 ** zoom / CELLS_PER_TILE;
+}
+
+/**
+ * Parse a "lng,lat;lng,lat;..." path
+ * @param {string} value - Path from the query string
+ * @param {number} maxPoints - Most points accepted
+ * @returns {{path: Array<Array<number>>}|{error: string}} Parsed path or error
+ */
+function parseCoordinatePath(value, maxPoints) {
+  const points = String(value || '')
+    .split(';')
+    .filter(Boolean)
+    .map((pair) => pair.split(',').map((part) => parseFloat(part)));
+
+  if (points.length === 0) {
+    return { error: 'path must contain at least one lng,lat point' };
+  }
+  if (points.length > maxPoints) {
+    return { error: `path can contain at most ${maxPoints} points` };
+  }
+
+  const invalidIndex = points.findIndex(
+    ([lng, lat, ...rest]) =>
+      rest.length > 0 ||
+      !(lng >= -180 && lng <= 180) ||
+      !(lat >= -90 && lat <= 90),
+  );
+  if (invalidIndex !== -1) {
+    return {
+      error: `path point ${invalidIndex + 1} must be a valid lng,lat pair`,
+    };
+  }
+
+  return { path: points };
+}
+
+/**
+ * Project a point onto a flat plane around an origin
+ * Accurate enough for the distances a rider would detour.
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Array<number>} origin - [lng, lat] at the plane's (0, 0)
+ * @returns {Array<number>} [x, y] in meters
+ */
+function projectPoint([lng, lat], [originLng, originLat]) {
+  const dLng = ((((lng - originLng + 540) % 360) + 360) % 360) - 180;
+  return [
+    dLng * METERS_PER_DEGREE * Math.cos((originLat * Math.PI) / 180),
+    (lat - originLat) * METERS_PER_DEGREE,
+  ];
+}
+
+/**
+ * Inverse of projectPoint
+ * @param {Array<number>} xy - [x, y] in meters
+ * @param {Array<number>} origin - [lng, lat] the point was projected around
+ * @returns {Array<number>} [lng, lat]
+ */
+function unprojectPoint([x, y], [originLng, originLat]) {
+  const lng =
+    originLng + x / (METERS_PER_DEGREE * Math.cos((originLat * Math.PI) / 180));
+  return [
+    ((((lng + 540) % 360) + 360) % 360) - 180,
+    originLat + y / METERS_PER_DEGREE,
+  ];
+}
+
+/**
+ * Find where segment a-b comes closest to a point
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Array<number>} a - Segment start
+ * @param {Array<number>} b - Segment end
+ * @returns {{distance: number, fraction: number}} Distance in meters and
+ *   position of the closest point along the segment (0 at a, 1 at b)
+ */
+function closestOnSegment(point, a, b) {
+  const [ax, ay] = projectPoint(a, point);
+  const [bx, by] = projectPoint(b, point);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const fraction =
+    lengthSq === 0
+      ? 0
+      : Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSq));
+
+  return {
+    distance: Math.hypot(ax + fraction * dx, ay + fraction * dy),
+    fraction,
+  };
+}
+
+/**
+ * Find where segment a-b crosses segment c-d
+ * @returns {number|null} Position of the crossing along a-b, or null
+ */
+function findCrossing(a, b, c, d) {
+  const [bx, by] = projectPoint(b, a);
+  const [cx, cy] = projectPoint(c, a);
+  const [dx, dy] = projectPoint(d, a);
+  const ex = dx - cx;
+  const ey = dy - cy;
+  const denominator = bx * ey - by * ex;
+  if (denominator === 0) return null;
+
+  const t = (cx * ey - cy * ex) / denominator;
+  const u = (cx * by - cy * bx) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+/**
+ * Split a path into segments; a single point becomes a zero-length segment
+ * @param {Array<Array<number>>} path - Points
+ * @returns {Array<Array<Array<number>>>} [start, end] pairs
+ */
+function toSegments(path) {
+  if (path.length === 1) return [[path[0], path[0]]];
+  return path.slice(1).map((point, i) => [path[i], point]);
+}
+
+/**
+ * Get the bounding box of a path grown by a distance
+ * @param {Array<Array<number>>} path - Points
+ * @param {number} margin - Distance in meters
+ * @returns {Array<number>} [minLng, minLat, maxLng, maxLat]
+ */
+function getPathBounds(path, margin) {
+  const lngs = path.map(([lng]) => lng);
+  const lats = path.map(([, lat]) => lat);
+  const maxAbsLat = Math.min(89, Math.max(...lats.map(Math.abs)));
+  const latMargin = margin / METERS_PER_DEGREE;
+  const lngMargin =
+    latMargin / Math.cos(((maxAbsLat + latMargin) * Math.PI) / 180);
+
+  return [
+    Math.min(...lngs) - lngMargin,
+    Math.min(...lats) - latMargin,
+    Math.max(...lngs) + lngMargin,
+    Math.max(...lats) + latMargin,
+  ];
+}
+
+/**
+ * Find where a path comes closest to a target point or path
+ * Segments of the path further than maxDistance from the target's bounding
+ * box are skipped, so long routes stay cheap to check.
+ * @param {Array<Array<number>>} path - Path to measure along (one or more points)
+ * @param {Array<Array<number>>} target - Target point or path
+ * @param {number} [maxDistance=Infinity] - Ignore parts of the path further away
+ * @returns {{distance: number, coordinates: Array<number>, segmentIndex: number,
+ *   fraction: number}|null} Closest approach (point on the path and its
+ *   position), or null if no part of the path is within maxDistance
+ */
+function findClosestApproach(path, target, maxDistance = Infinity) {
+  const bounds = Number.isFinite(maxDistance)
+    ? getPathBounds(target, maxDistance)
+    : null;
+  const targetSegments = toSegments(target);
+  let closest = null;
+
+  const consider = (distance, segmentIndex, fraction) => {
+    if (!closest || distance < closest.distance) {
+      closest = { distance, segmentIndex, fraction };
+    }
+  };
+
+  toSegments(path).forEach(([a, b], segmentIndex) => {
+    const outside =
+      bounds &&
+      ((a[0] < bounds[0] && b[0] < bounds[0]) ||
+        (a[0] > bounds[2] && b[0] > bounds[2]) ||
+        (a[1] < bounds[1] && b[1] < bounds[1]) ||
+        (a[1] > bounds[3] && b[1] > bounds[3]));
+    if (outside || closest?.distance === 0) return;
+
+    targetSegments.forEach(([c, d]) => {
+      const crossing = findCrossing(a, b, c, d);
+      if (crossing !== null) {
+        consider(0, segmentIndex, crossing);
+        return;
+      }
+
+      const fromC = closestOnSegment(c, a, b);
+      const fromD = closestOnSegment(d, a, b);
+      consider(fromC.distance, segmentIndex, fromC.fraction);
+      consider(fromD.distance, segmentIndex, fromD.fraction);
+      consider(closestOnSegment(a, c, d).distance, segmentIndex, 0);
+      consider(closestOnSegment(b, c, d).distance, segmentIndex, 1);
+    });
+  });
+
+  if (!closest || closest.distance > maxDistance) return null;
+
+  const [a, b] = toSegments(path)[closest.segmentIndex];
+  const [bx, by] = projectPoint(b, a);
+  return {
+    ...closest,
+    distance: Math.round(closest.distance),
+    coordinates: unprojectPoint(
+      [bx * closest.fraction, by * closest.fraction],
+      a,
+    ),
+  };
+}
+
+/**
+ * Get the length of a path
+ * @param {Array<Array<number>>} path - Points
+ * @returns {number} Length in meters
+ */
+function getPathLength(path) {
+  return toSegments(path).reduce(
+    (total, [[lng1, lat1], [lng2, lat2]]) =>
+      total + calculateDistance(lat1, lng1, lat2, lng2),
+    0,
+  );
+}
+
+/**
+ * Pick evenly spaced points along a path
+ * Every point of the path lies within half a spacing (measured along the
+ * path) of a sample. The spacing grows past minSpacing only when the path
+ * would otherwise need more than maxSamples samples.
+ * @param {Array<Array<number>>} path - Points
+ * @param {number} minSpacing - Preferred distance between samples in meters
+ * @param {number} maxSamples - Most samples returned (at least 2)
+ * @returns {{samples: Array<Array<number>>, spacing: number}}
+ */
+function samplePath(path, minSpacing, maxSamples) {
+  if (path.length === 1) return { samples: path, spacing: 0 };
+
+  const segments = toSegments(path);
+  const lengths = segments.map(([a, b]) =>
+    calculateDistance(a[1], a[0], b[1], b[0]),
+  );
+  const length = lengths.reduce((total, value) => total + value, 0);
+  const intervals = Math.min(
+    maxSamples - 1,
+    Math.max(1, Math.ceil(length / minSpacing)),
+  );
+  const spacing = length / intervals;
+
+  const samples = [path[0]];
+  let segmentIndex = 0;
+  let segmentStart = 0;
+  for (let i = 1; i < intervals; i += 1) {
+    const position = spacing * i;
+    while (
+      segmentIndex < segments.length - 1 &&
+      position > segmentStart + lengths[segmentIndex]
+    ) {
+      segmentStart += lengths[segmentIndex];
+      segmentIndex += 1;
+    }
+    const [a, b] = segments[segmentIndex];
+    const fraction = (position - segmentStart) / lengths[segmentIndex];
+    const [bx, by] = projectPoint(b, a);
+    samples.push(unprojectPoint([bx * fraction, by * fraction], a));
+  }
+  samples.push(path[path.length - 1]);
+
+  return { samples, spacing };
+}
+
+/**
+ * Build a polygon containing a circle
+ * Vertices sit slightly outside the circle so the polygon covers all of it.
+ * @param {Array<number>} center - [lng, lat]
+ * @param {number} radius - Radius in meters
+ * @param {number} [sides=16] - Number of polygon sides
+ * @returns {Object} GeoJSON Polygon
+ */
+function circleToPolygon(center, radius, sides = 16) {
+  const vertexRadius = radius / Math.cos(Math.PI / sides);
+  const ring = Array.from({ length: sides }, (_, i) => {
+    // Counter-clockwise from east
+    const angle = (2 * Math.PI * i) / sides;
+    return unprojectPoint(
+      [vertexRadius * Math.cos(angle), vertexRadius * Math.sin(angle)],
+      center,
+    ).map((value, axis) =>
+      axis === 1 ? Math.max(-89.9, Math.min(89.9, value)) : value,
+    );
+  });
+
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+}
+
+/**
+ * Get the route simplification tolerance for a map zoom level
+ * About one pixel at the equator, so the removed detail is never visible.
+ * @param {number} zoom - Web map zoom level
+ * @returns {number} Tolerance in meters
+ */
+function getZoomTolerance(zoom) {
+  return METERS_PER_PIXEL_AT_ZOOM_0 / 2 ** zoom;
+}
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm
+ * Keeps the fewest points for which no dropped point lies further than the
+ * tolerance from the simplified line. The first and last points are always
+ * kept.
+ * @param {Array<Array<number>>} path - [lng, lat] points
+ * @param {number} tolerance - Largest allowed deviation in meters
+ * @returns {Array<number>} Indices of the kept points, in path order
+ */
+function simplifyPath(path, tolerance) {
+  if (path.length <= 2) return path.map((point, i) => i);
+
+  const keep = new Array(path.length).fill(false);
+  keep[0] = true;
+  keep[path.length - 1] = true;
+
+  // Ranges still to check, as [start, end] indices of kept points
+  const ranges = [[0, path.length - 1]];
+  while (ranges.length > 0) {
+    const [start, end] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = tolerance;
+
+    for (let i = start + 1; i < end; i += 1) {
+      const { distance } = closestOnSegment(path[i], path[start], path[end]);
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      ranges.push([start, farthest], [farthest, end]);
+    }
+  }
+
+  return keep.reduce((indices, kept, i) => {
+    if (kept) indices.push(i);
+    return indices;
+  }, []);
+}
+
+/**
+ * Encode a path in the Google encoded polyline format
+ * @param {Array<Array<number>>} path - [lng, lat] points
+ * @param {number} [precision] - Decimal places kept (5 for most map SDKs)
+ * @returns {string} Encoded polyline (latitude first, as the format expects)
+ */
+/* eslint-disable no-bitwise */
+function encodePolyline(path, precision = 5) {
+  const factor = 10 ** precision;
+  const encodeValue = (value) => {
+    let rest = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (rest >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (rest & 0x1f)) + 63);
+      rest >>= 5;
+    }
+    return chunk + String.fromCharCode(rest + 63);
+  };
+
+  let prevLat = 0;
+  let prevLng = 0;
+  return path
+    .map(([lng, lat]) => {
+      const roundedLat = Math.round(lat * factor);
+      const roundedLng = Math.round(lng * factor);
+      const encoded =
+        encodeValue(roundedLat - prevLat) + encodeValue(roundedLng - prevLng);
+      prevLat = roundedLat;
+      prevLng = roundedLng;
+      return encoded;
+    })
+    .join('');
+}
+/* eslint-enable no-bitwise */
+
+export {
+  parseBoundingBox,
+  getLongitudeSpan,
+  boundingBoxToPolygon,
+  buildBoundingBoxFilter,
+  getGridCellSize,
+  parseCoordinatePath,
+  findClosestApproach,
+  getPathLength,
+  samplePath,
+  circleToPolygon,
+  getZoomTolerance,
+  simplifyPath,
+  encodePolyline,
+};
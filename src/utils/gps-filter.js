@@ -0,0 +1,107 @@
+/**
+ * GPS point filtering
+ *
+ * Decides which tracking points are trusted for distance and speed. Each
+ * point is compared with the last trusted point (the anchor):
+ * - fixes less accurate than MAX_ACCURACY_METERS are ignored
+ * - fixes the rider could only have reached faster than MAX_SPEED_MPS are
+ *   outliers
+ * - fixes within the accuracy radius of the anchor are stationary jitter
+ *
+ * Flagged points stay stored with their flag; only statistics skip them.
+ */
+
+import { GpsPointFlag } from './constants.js';
+
+/**
+ * Least accurate fix still trusted (horizontal accuracy radius)
+ */
+const MAX_ACCURACY_METERS = 50;
+
+/**
+ * Fastest plausible speed, well above what a motorcycle reaches (~324 km/h)
+ */
+const MAX_SPEED_MPS = 90;
+
+/**
+ * Movement below this distance is always treated as jitter
+ */
+const MIN_JITTER_RADIUS_METERS = 5;
+
+/**
+ * Outliers in a row after which the anchor itself is assumed to be the bad
+ * fix and the next point becomes the new anchor
+ */
+const MAX_OUTLIERS_IN_ROW = 3;
+
+/**
+ * Default number of trusted points averaged by smoothPath
+ */
+const DEFAULT_SMOOTHING_WINDOW = 5;
+
+/**
+ * Classify a point against the anchor
+ * @param {Object} params
+ * @param {number} [params.accuracy] - Accuracy radius of the point in meters
+ * @param {number|null} params.distance - Distance from the anchor in meters,
+ *   or null if there is no anchor yet
+ * @param {number} params.timeDiff - Time since the anchor in milliseconds
+ * @returns {string|null} One of GpsPointFlag, or null if the point is trusted
+ */
+function classifyGpsPoint({ accuracy, distance, timeDiff }) {
+  if (typeof accuracy === 'number' && accuracy > MAX_ACCURACY_METERS) {
+    return GpsPointFlag.LOW_ACCURACY;
+  }
+  if (distance === null) return null;
+
+  if (timeDiff > 0 && distance / (timeDiff / 1000) > MAX_SPEED_MPS) {
+    return GpsPointFlag.IMPOSSIBLE_JUMP;
+  }
+
+  const jitterRadius = Math.max(MIN_JITTER_RADIUS_METERS, accuracy || 0);
+  if (distance < jitterRadius) {
+    return GpsPointFlag.STATIONARY_JITTER;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a speed reported by the device is plausible
+ * @param {number} [speed] - Reported speed in m/s
+ * @returns {boolean} True if present and plausible
+ */
+function isPlausibleSpeed(speed) {
+  return typeof speed === 'number' && speed >= 0 && speed <= MAX_SPEED_MPS;
+}
+
+/**
+ * Smooth the trusted points of a path with a centered moving average
+ * Flagged points are returned unchanged and do not affect their neighbours.
+ * @param {Array<Object>} path - Points sorted by timestamp
+ * @param {number} [windowSize] - Trusted points averaged per point (odd)
+ * @returns {Array<Object>} New points with smoothed coordinates
+ */
+function smoothPath(path, windowSize = DEFAULT_SMOOTHING_WINDOW) {
+  const trusted = path.filter((point) => !point.flag);
+  const half = Math.floor(windowSize / 2);
+  const smoothed = new Map(
+    trusted.map((point, i) => {
+      const window = trusted.slice(Math.max(0, i - half), i + half + 1);
+      const average = (axis) =>
+        window.reduce((sum, p) => sum + p.coordinates.coordinates[axis], 0) /
+        window.length;
+      return [
+        point,
+        {
+          ...point,
+          coordinates: { type: 'Point', coordinates: [average(0), average(1)] },
+        },
+      ];
+    }),
+  );
+
+  return path.map((point) => smoothed.get(point) || point);
+}
+
+export { MAX_OUTLIERS_IN_ROW, classifyGpsPoint, isPlausibleSpeed, smoothPath };
@@ -0,0 +1,260 @@
+/**
+ * Utility functions for recurring ride series
+ *
+ * Occurrences are computed on the wall clock of the series time zone so a
+ * 7:00 ride stays at 7:00 when daylight saving time starts or ends.
+ */
+
+import { RecurrenceFrequency } from './constants.js';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Hard stop when walking a rule, so a bad rule can never loop forever
+const MAX_OCCURRENCE_INDEX = 5000;
+
+/**
+ * Check that a time zone is a valid IANA identifier
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the time zone is supported
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (0-11), day, hour, minute, second, weekday (0-6) }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+
+  const year = get('year');
+  const month = get('month') - 1;
+  const day = get('day');
+
+  return {
+    year,
+    month,
+    day,
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+    weekday: new Date(Date.UTC(year, month, day)).getUTCDay(),
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(
+    date,
+    timeZone,
+  );
+  const wallClock = Date.UTC(year, month, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to an instant
+ * @param {Object} wallClock - { year, month (0-11), day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToDate(wallClock, timeZone) {
+  const { year, month, day, hour, minute, second = 0 } = wallClock;
+  const asUtc = Date.UTC(year, month, day, hour, minute, second);
+
+  // The offset can differ on either side of a DST change, so check it twice
+  const firstGuess = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone);
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+  return new Date(asUtc - offset);
+}
+
+/**
+ * Day of month of the nth weekday in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} weekOfMonth - 1-4, or -1 for the last weekday of the month
+ * @returns {number} Day of month
+ */
+function getNthWeekdayOfMonth(year, month, weekday, weekOfMonth) {
+  if (weekOfMonth === -1) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0));
+    const diff = (lastDay.getUTCDay() - weekday + 7) % 7;
+    return lastDay.getUTCDate() - diff;
+  }
+
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((weekday - firstWeekday + 7) % 7) + (weekOfMonth - 1) * 7;
+}
+
+/**
+ * Default nth-weekday position for a monthly rule from its first date
+ * @param {number} day - Day of month of the first occurrence
+ * @returns {number} 1-4, or -1 when the date is in the last week
+ */
+function getWeekOfMonthFromDay(day) {
+  const weekOfMonth = Math.ceil(day / 7);
+  return weekOfMonth > 4 ? -1 : weekOfMonth;
+}
+
+/**
+ * Start of the occurrence with the given index
+ * @param {Object} recurrence - Series recurrence rule
+ * @param {number} index - Occurrence index (0 is the first occurrence)
+ * @returns {Date} Occurrence start
+ */
+function getOccurrenceAt(recurrence, index) {
+  const timeZone = recurrence.timezone || 'UTC';
+  const anchor = getZonedParts(new Date(recurrence.startsAt), timeZone);
+  const time = {
+    hour: anchor.hour,
+    minute: anchor.minute,
+    second: anchor.second,
+  };
+
+  if (recurrence.frequency === RecurrenceFrequency.MONTHLY) {
+    const monthStart = new Date(Date.UTC(anchor.year, anchor.month + index, 1));
+    const year = monthStart.getUTCFullYear();
+    const month = monthStart.getUTCMonth();
+    const weekOfMonth =
+      recurrence.weekOfMonth || getWeekOfMonthFromDay(anchor.day);
+    const day = getNthWeekdayOfMonth(year, month, anchor.weekday, weekOfMonth);
+    return zonedTimeToDate({ year, month, day, ...time }, timeZone);
+  }
+
+  const intervalWeeks =
+    recurrence.frequency === RecurrenceFrequency.BIWEEKLY ? 2 : 1;
+  const date = new Date(
+    Date.UTC(anchor.year, anchor.month, anchor.day) +
+      index * intervalWeeks * 7 * DAY_IN_MS,
+  );
+
+  return zonedTimeToDate(
+    {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth(),
+      day: date.getUTCDate(),
+      ...time,
+    },
+    timeZone,
+  );
+}
+
+/**
+ * List upcoming occurrences of a recurrence rule
+ * Honours the rule's `until` date and `count` limit.
+ * @param {Object} recurrence - Series recurrence rule
+ * @param {Object} options - { after: Date, limit: number }
+ * @returns {Array<Date>} Occurrence starts strictly after `after`
+ */
+function getOccurrences(recurrence, { after, limit }) {
+  const occurrences = [];
+  // A monthly rule with an explicit week can land before the first date
+  const startTime = new Date(recurrence.startsAt).getTime() - 1;
+  const afterTime = after
+    ? Math.max(new Date(after).getTime(), startTime)
+    : startTime;
+  const untilTime = recurrence.until
+    ? new Date(recurrence.until).getTime()
+    : Infinity;
+  const maxIndex = Math.min(
+    recurrence.count || MAX_OCCURRENCE_INDEX,
+    MAX_OCCURRENCE_INDEX,
+  );
+
+  for (
+    let index = 0;
+    index < maxIndex && occurrences.length < limit;
+    index += 1
+  ) {
+    const occurrence = getOccurrenceAt(recurrence, index);
+    if (occurrence.getTime() > untilTime) break;
+    if (occurrence.getTime() > afterTime) occurrences.push(occurrence);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Validate a recurrence rule from a request body
+ * @param {Object} recurrence - Recurrence rule
+ * @returns {Object} { isValid, errors }
+ */
+function validateRecurrence(recurrence) {
+  const errors = {};
+
+  if (!recurrence || typeof recurrence !== 'object') {
+    return {
+      isValid: false,
+      errors: { recurrence: 'Recurrence rule is required' },
+    };
+  }
+
+  if (!Object.values(RecurrenceFrequency).includes(recurrence.frequency)) {
+    errors.frequency = `Frequency must be one of: ${Object.values(RecurrenceFrequency).join(', ')}`;
+  }
+
+  if (recurrence.weekOfMonth !== undefined && recurrence.weekOfMonth !== null) {
+    if (recurrence.frequency !== RecurrenceFrequency.MONTHLY) {
+      errors.weekOfMonth = 'Week of month only applies to monthly series';
+    } else if (![1, 2, 3, 4, -1].includes(recurrence.weekOfMonth)) {
+      errors.weekOfMonth =
+        'Week of month must be 1, 2, 3, 4 or -1 for the last week';
+    }
+  }
+
+  if (recurrence.timezone && !isValidTimeZone(recurrence.timezone)) {
+    errors.timezone = 'Time zone must be a valid IANA time zone';
+  }
+
+  if (recurrence.until && Number.isNaN(new Date(recurrence.until).getTime())) {
+    errors.until = 'Until must be a valid date';
+  }
+
+  if (
+    recurrence.count !== undefined &&
+    recurrence.count !== null &&
+    (!Number.isInteger(recurrence.count) || recurrence.count < 1)
+  ) {
+    errors.count = 'Count must be a positive integer';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+export {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  getNthWeekdayOfMonth,
+  getWeekOfMonthFromDay,
+  getOccurrenceAt,
+  getOccurrences,
+  validateRecurrence,
+};
@@ -37,4 +37,13 @@ async function generateUniqueRideCode() {
   );
 }
 
+/**
+ * Check whether a string looks like a ride code
+ * @param {string} code - Candidate code (case insensitive)
+ * @returns {boolean} True for 6 alphanumeric characters
+ */
+export function isRideCode(code) {
+  return /^[A-Z0-9]{6}$/i.test(String(code));
+}
+
 export default generateUniqueRideCode;
@@ -0,0 +1,280 @@
+/**
+ * Shared helpers for building and validating ride data from request bodies
+ */
+
+import mongoose from 'mongoose';
+import RoutePath from '../models/route-path.js';
+import { RideVisibility } from './constants.js';
+
+// Fields copied when a ride is cloned, saved as a template or generated
+const RIDE_BLUEPRINT_FIELDS = [
+  'name',
+  'description',
+  'difficulty',
+  'startLocation',
+  'endLocation',
+  'waypoints',
+  'plannedRoute',
+  'visibility',
+  'maxParticipants',
+];
+
+/**
+ * Validate a planned route reference from a request body
+ * Only the route's owner can attach it, so a private route cannot be
+ * reached by putting its ID on another ride.
+ * @param {string} plannedRoute - RoutePath ID
+ * @param {string} userId - ID of the user making the request
+ * @param {Object} [options]
+ * @param {string} [options.current] - Route already attached to the edited
+ *   document, which is kept even if another user owns it
+ * @returns {Promise<string|null>} Error message or null if valid
+ */
+async function validatePlannedRoute(plannedRoute, userId, { current } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(plannedRoute)) {
+    return 'Planned route ID format is invalid.';
+  }
+  if (current && current.toString() === String(plannedRoute)) {
+    return null;
+  }
+
+  const route = await RoutePath.findById(plannedRoute).select('owner').lean();
+  if (!route) {
+    return `Planned route not found with ID ${plannedRoute}`;
+  }
+  if (route.owner.toString() !== userId.toString()) {
+    return 'You can only use planned routes you own.';
+  }
+  return null;
+}
+
+/**
+ * Validate start location, end location and waypoints of a ride
+ * Start location presence is checked by the caller together with the
+ * other required ride fields.
+ * @param {Object} data - { startLocation, endLocation, waypoints }
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRideLocations({ startLocation, endLocation, waypoints }) {
+  if (
+    typeof startLocation.coordinates[0] !== 'number' ||
+    typeof startLocation.coordinates[1] !== 'number'
+  ) {
+    return 'Start location coordinates must be valid numbers in [longitude, latitude] format.';
+  }
+
+  // Add more detailed validation for endLocation if it's provided
+  if (endLocation) {
+    if (
+      !endLocation.coordinates ||
+      !Array.isArray(endLocation.coordinates) ||
+      endLocation.coordinates.length !== 2 ||
+      typeof endLocation.coordinates[0] !== 'number' ||
+      typeof endLocation.coordinates[1] !== 'number'
+    ) {
+      return 'End location coordinates must be provided as [longitude, latitude] array if endLocation is provided.';
+    }
+    if (
+      !endLocation.address ||
+      !endLocation.address.city ||
+      !endLocation.address.country
+    ) {
+      return 'End location address must include city and country if endLocation is provided.';
+    }
+  }
+
+  // Validate waypoints if provided
+  if (waypoints && Array.isArray(waypoints)) {
+    for (let i = 0; i < waypoints.length; i += 1) {
+      const waypoint = waypoints[i];
+      if (
+        !waypoint.coordinates ||
+        !Array.isArray(waypoint.coordinates) ||
+        waypoint.coordinates.length !== 2 ||
+        typeof waypoint.coordinates[0] !== 'number' ||
+        typeof waypoint.coordinates[1] !== 'number'
+      ) {
+        return `Waypoint ${i + 1} coordinates must be provided as [longitude, latitude] array.`;
+      }
+      if (
+        !waypoint.address ||
+        !waypoint.address.city ||
+        !waypoint.address.country
+      ) {
+        return `Waypoint ${i + 1} address must include city and country.`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that a start location has coordinates, city and country
+ * @param {Object} startLocation - { coordinates, address }
+ * @returns {boolean} True if the start location is complete
+ */
+function hasValidStartLocation(startLocation) {
+  return Boolean(
+    startLocation &&
+    startLocation.coordinates &&
+    Array.isArray(startLocation.coordinates) &&
+    startLocation.coordinates.length === 2 &&
+    startLocation.address &&
+    startLocation.address.city &&
+    startLocation.address.country,
+  );
+}
+
+/**
+ * Check the required fields shared by every ride-shaped request body
+ * @param {Object} data - { name, startTime, startLocation }
+ * @returns {boolean} True if all required fields are present
+ */
+function hasRequiredRideFields({ name, startTime, startLocation }) {
+  return Boolean(name && startTime && hasValidStartLocation(startLocation));
+}
+
+/**
+ * Build a LocationSchema value from request data
+ * @param {Object} location - { coordinates, address }
+ * @returns {Object|undefined} Location ready to be stored on a ride
+ */
+function formatLocation(location) {
+  if (!location) return undefined;
+
+  return {
+    type: 'Point',
+    coordinates: location.coordinates, // Already in [longitude, latitude] format
+    address: {
+      addressLine1: location.address.addressLine1,
+      addressLine2: location.address.addressLine2,
+      city: location.address.city,
+      stateProvince: location.address.stateProvince,
+      country: location.address.country,
+      postalCode: location.address.postalCode,
+      landmark: location.address.landmark,
+    },
+  };
+}
+
+/**
+ * Build LocationSchema values for a list of waypoints
+ * @param {Array} waypoints - Array of { coordinates, address }
+ * @returns {Array|undefined} Waypoints ready to be stored on a ride
+ */
+function formatWaypoints(waypoints) {
+  return waypoints ? waypoints.map(formatLocation) : undefined;
+}
+
+/**
+ * Build a partial update of ride template fields from a request body
+ * Only fields present in the body are included.
+ * @param {Object} body - Request body
+ * @returns {Object} Fields to set on a ride, series or template
+ */
+function buildPartialRideUpdate(body) {
+  const update = {};
+
+  ['name', 'description', 'visibility', 'difficulty', 'bannerImage'].forEach(
+    (field) => {
+      if (body[field] !== undefined) update[field] = body[field];
+    },
+  );
+
+  if (body.maxParticipants !== undefined) {
+    update.maxParticipants = body.maxParticipants
+      ? parseInt(body.maxParticipants, 10)
+      : undefined;
+  }
+  if (body.startLocation !== undefined) {
+    update.startLocation = formatLocation(body.startLocation);
+  }
+  if (body.endLocation !== undefined) {
+    update.endLocation = formatLocation(body.endLocation);
+  }
+  if (body.waypoints !== undefined) {
+    update.waypoints = formatWaypoints(body.waypoints) || [];
+  }
+  if (body.plannedRoute !== undefined) {
+    update.plannedRoute = body.plannedRoute || undefined;
+  }
+
+  return update;
+}
+
+/**
+ * Copy the reusable setup of a ride, series or template
+ * Participants, tracking and expenses live outside these fields and are
+ * never copied.
+ * @param {Object} source - Ride, RideSeries or RideTemplate (document or plain object)
+ * @returns {Object} Blueprint fields ready for a new ride
+ */
+function getRideBlueprint(source) {
+  const data =
+    typeof source.toObject === 'function' ? source.toObject() : source;
+
+  return RIDE_BLUEPRINT_FIELDS.reduce((acc, field) => {
+    if (data[field] !== undefined && data[field] !== null) {
+      acc[field] = data[field];
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Check whether a user may reuse a ride's setup
+ * Owners and participants can always copy a ride; anyone can copy a
+ * public one.
+ * @param {Object} ride - Ride document
+ * @param {string} userId - Requesting user ID
+ * @returns {boolean} True if the ride can be copied
+ */
+function canCopyRide(ride, userId) {
+  return (
+    ride.owner.toString() === userId.toString() ||
+    ride.visibility === RideVisibility.PUBLIC ||
+    ride.participants.some((p) => p.user.toString() === userId.toString())
+  );
+}
+
+/**
+ * Resolve the schedule of a ride created from an existing setup
+ * Without an explicit end time the source duration (in seconds) is kept.
+ * @param {Object} data - { startTime, endTime } from the request body
+ * @param {number} [duration] - Source duration in seconds
+ * @returns {Object} { error } or { startTime, endTime }
+ */
+function resolveRideSchedule({ startTime, endTime }, duration) {
+  const start = new Date(startTime);
+  if (!startTime || Number.isNaN(start.getTime())) {
+    return { error: 'Please provide a valid start time for the new ride.' };
+  }
+
+  if (endTime) {
+    const end = new Date(endTime);
+    if (Number.isNaN(end.getTime()) || end <= start) {
+      return { error: 'End time must be after start time.' };
+    }
+    return { startTime: start, endTime: end };
+  }
+
+  return {
+    startTime: start,
+    endTime: duration ? new Date(start.getTime() + duration * 1000) : undefined,
+  };
+}
+
+export {
+  RIDE_BLUEPRINT_FIELDS,
+  validatePlannedRoute,
+  validateRideLocations,
+  hasValidStartLocation,
+  hasRequiredRideFields,
+  formatLocation,
+  formatWaypoints,
+  buildPartialRideUpdate,
+  getRideBlueprint,
+  canCopyRide,
+  resolveRideSchedule,
+};
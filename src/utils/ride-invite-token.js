@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const INVITE_AUDIENCE = 'ride-invite';
+
+/**
+ * HKDF label of the invite key derived from the auth secret
+ */
+const INVITE_KEY_INFO = 'ridemate:ride-invite-token:v1';
+
+/**
+ * Get the secret used to sign ride invite tokens
+ * Without RIDE_INVITE_SECRET a separate key is derived from the auth secret,
+ * so the auth signing key itself is never used for invites.
+ * @returns {string|Buffer} Signing secret
+ * @throws {Error} If no secret is configured
+ */
+function getInviteSecret() {
+  if (process.env.RIDE_INVITE_SECRET) {
+    return process.env.RIDE_INVITE_SECRET;
+  }
+  if (!process.env.BETTER_AUTH_SECRET) {
+    throw new Error(
+      'RIDE_INVITE_SECRET is not configured. Cannot sign ride invites.',
+    );
+  }
+  return Buffer.from(
+    crypto.hkdfSync(
+      'sha256',
+      process.env.BETTER_AUTH_SECRET,
+      '',
+      INVITE_KEY_INFO,
+      32,
+    ),
+  );
+}
+
+/**
+ * Generate a unique token ID for a new invite
+ * @returns {string} Random token ID
+ */
+function generateInviteId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Sign an invite token for a ride
+ * The token expires together with the invite, so stale links are rejected
+ * even before the invite record is checked.
+ * @param {Object} invite - RideInvite document
+ * @returns {string} Signed token
+ */
+function signInviteToken(invite) {
+  return jwt.sign({ ride: invite.ride.toString() }, getInviteSecret(), {
+    audience: INVITE_AUDIENCE,
+    jwtid: invite.jti,
+    expiresIn: Math.max(
+      1,
+      Math.floor((invite.expiresAt.getTime() - Date.now()) / 1000),
+    ),
+  });
+}
+
+/**
+ * Verify an invite token
+ * @param {string} token - Token from an invite link
+ * @returns {{ride: string, jti: string}|null} Token payload, or null if invalid or expired
+ */
+function verifyInviteToken(token) {
+  const secret = getInviteSecret();
+  try {
+    const payload = jwt.verify(token, secret, {
+      audience: INVITE_AUDIENCE,
+    });
+    return { ride: payload.ride, jti: payload.jti };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the shareable link for an invite token
+ * @param {string} token - Signed invite token
+ * @returns {string} Invite link
+ */
+function buildInviteLink(token) {
+  const baseUrl = process.env.RIDE_INVITE_BASE_URL || 'ridematefe://invite';
+  return `${baseUrl.replace(/\/$/, '')}/${token}`;
+}
+
+export {
+  generateInviteId,
+  signInviteToken,
+  verifyInviteToken,
+  buildInviteLink,
+};
@@ -0,0 +1,89 @@
+/**
+ * Ride permission helpers
+ *
+ * Every organizer action on a ride goes through `hasRidePermission`, so
+ * what owners and moderators may do is defined in one place.
+ */
+
+import { RideParticipantRole } from './constants.js';
+
+const RidePermission = {
+  EDIT_RIDE: 'edit_ride',
+  CANCEL_RIDE: 'cancel_ride',
+  START_RIDE: 'start_ride',
+  COMPLETE_RIDE: 'complete_ride',
+  MANAGE_REQUESTS: 'manage_requests',
+  REMOVE_PARTICIPANTS: 'remove_participants',
+  MANAGE_ROLES: 'manage_roles',
+  PIN_MESSAGES: 'pin_messages',
+  MANAGE_INVITES: 'manage_invites',
+  TRANSFER_OWNERSHIP: 'transfer_ownership',
+  DELETE_RIDE: 'delete_ride',
+};
+
+const ROLE_PERMISSIONS = {
+  [RideParticipantRole.OWNER]: Object.values(RidePermission),
+  [RideParticipantRole.MODERATOR]: [
+    RidePermission.START_RIDE,
+    RidePermission.COMPLETE_RIDE,
+    RidePermission.MANAGE_REQUESTS,
+    RidePermission.REMOVE_PARTICIPANTS,
+    RidePermission.PIN_MESSAGES,
+  ],
+  [RideParticipantRole.MEMBER]: [],
+};
+
+/**
+ * Get a user's role on a ride
+ * The ride owner is always 'owner'; other users need an approved
+ * participant entry to have a role.
+ * @param {Object} ride - Ride document (owner may be populated)
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner', 'moderator', 'member' or null
+ */
+function getRideRole(ride, userId) {
+  if (!ride || !userId) return null;
+
+  // A populated owner is a user document, otherwise it is an ObjectId
+  // eslint-disable-next-line no-underscore-dangle
+  const ownerId = (ride.owner?._id ?? ride.owner)?.toString();
+  if (ownerId === userId.toString()) return RideParticipantRole.OWNER;
+
+  const participant = ride.participants.find(
+    (p) => p.user.toString() === userId.toString() && p.isApproved,
+  );
+  return participant ? participant.role : null;
+}
+
+/**
+ * Check whether a user may perform an action on a ride
+ * @param {Object} ride - Ride document
+ * @param {string} userId - User ID
+ * @param {string} permission - One of RidePermission
+ * @returns {boolean} True if the user's role grants the permission
+ */
+function hasRidePermission(ride, userId, permission) {
+  const role = getRideRole(ride, userId);
+  return Boolean(role && ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * Check whether a user may remove a participant with the given role
+ * Moderators can remove members but not other organizers.
+ * @param {Object} ride - Ride document
+ * @param {string} userId - User ID of the remover
+ * @param {string} targetRole - Role of the participant to remove
+ * @returns {boolean} True if the removal is allowed
+ */
+function canRemoveParticipant(ride, userId, targetRole) {
+  if (targetRole === RideParticipantRole.OWNER) return false;
+  if (!hasRidePermission(ride, userId, RidePermission.REMOVE_PARTICIPANTS)) {
+    return false;
+  }
+  return (
+    targetRole === RideParticipantRole.MEMBER ||
+    getRideRole(ride, userId) === RideParticipantRole.OWNER
+  );
+}
+
+export { RidePermission, getRideRole, hasRidePermission, canRemoveParticipant };
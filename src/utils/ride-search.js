@@ -0,0 +1,181 @@
+/**
+ * Ride search helpers
+ *
+ * Rides are searched through a weighted text index (name, owner handle,
+ * start/end city, description) for whole words, plus stored keyword
+ * prefixes so partially typed words still match. Matches are ranked by
+ * text score and returned with highlight snippets.
+ */
+
+/**
+ * Longest keyword prefix stored on a ride
+ */
+const MAX_PREFIX_LENGTH = 20;
+
+/**
+ * Shortest keyword prefix stored on a ride
+ */
+const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * Most search terms considered per query
+ */
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Fields shown in highlight snippets, in display order
+ */
+const HIGHLIGHT_FIELDS = [
+  ['name', (ride) => ride.name],
+  ['ownerHandle', (ride) => ride.ownerHandle],
+  ['startCity', (ride) => ride.startLocation?.address?.city],
+  ['endCity', (ride) => ride.endLocation?.address?.city],
+  ['description', (ride) => ride.description],
+];
+
+/**
+ * Longest highlight snippet before it is cut around the first match
+ */
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Lowercase text and strip accents and punctuation
+ * Underscores are kept so handles like @road_runner stay one word.
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_\s]/g, ' ');
+}
+
+/**
+ * Split a search query into unique terms
+ * @param {string} text - Search query
+ * @returns {Array<string>} Terms, at most MAX_SEARCH_TERMS
+ */
+function tokenizeSearch(text) {
+  const terms = normalizeSearchText(text).split(/\s+/).filter(Boolean);
+  return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * Build the keyword prefixes stored on a ride for partial-word matching
+ * Descriptions are left to the text index to keep the list small.
+ * @param {Object} ride - Ride or ride fields
+ * @returns {Array<string>} Unique prefixes
+ */
+function buildSearchKeywords(ride) {
+  const words = tokenizeSearch(
+    [
+      ride.name,
+      ride.ownerHandle,
+      ride.startLocation?.address?.city,
+      ride.endLocation?.address?.city,
+    ].join(' '),
+  );
+
+  const keywords = new Set();
+  words.forEach((word) => {
+    const maxLength = Math.min(word.length, MAX_PREFIX_LENGTH);
+    for (let length = MIN_PREFIX_LENGTH; length <= maxLength; length += 1) {
+      keywords.add(word.slice(0, length));
+    }
+  });
+  return [...keywords];
+}
+
+/**
+ * Build the ride filter for a search query
+ * A ride matches on whole words through the text index, or when every
+ * term is the start of one of its keywords.
+ * @param {string} search - Search query
+ * @returns {{filter: Object, terms: Array<string>}|null} Filter and terms,
+ *   or null if the query has no searchable terms
+ */
+function buildSearchFilter(search) {
+  const terms = tokenizeSearch(search);
+  if (terms.length === 0) return null;
+
+  const textSearch = { $text: { $search: terms.join(' ') } };
+  const prefixes = terms
+    .filter((term) => term.length >= MIN_PREFIX_LENGTH)
+    .map((term) => term.slice(0, MAX_PREFIX_LENGTH));
+
+  // Single letters only match whole words
+  if (prefixes.length !== terms.length) {
+    return { filter: textSearch, terms };
+  }
+
+  return {
+    filter: { $or: [textSearch, { searchKeywords: { $all: prefixes } }] },
+    terms,
+  };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Cut long text down to a window around its first match
+ * @param {string} text - Field value
+ * @param {number} matchIndex - Index of the first match
+ * @returns {string} Snippet with ellipses where text was cut
+ */
+function cutSnippet(text, matchIndex) {
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const start = Math.max(0, matchIndex - SNIPPET_LENGTH / 3);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Build highlight snippets for the fields of a ride that match a search
+ * Matching word starts are wrapped in <mark></mark>.
+ * @param {Object} ride - Ride (lean object or document)
+ * @param {Array<string>} terms - Terms from buildSearchFilter
+ * @returns {Array<{field: string, snippet: string}>} Snippets of matching fields
+ */
+function buildSearchHighlights(ride, terms) {
+  if (terms.length === 0) return [];
+
+  const pattern = new RegExp(
+    `(^|[^a-z0-9_])(${terms.map(escapeRegExp).join('|')})`,
+    'gi',
+  );
+
+  return HIGHLIGHT_FIELDS.reduce((highlights, [field, getValue]) => {
+    const value = getValue(ride);
+    if (!value) return highlights;
+
+    const text = String(value);
+    pattern.lastIndex = 0;
+    const firstMatch = pattern.exec(text);
+    if (!firstMatch) return highlights;
+
+    const snippet = cutSnippet(
+      text,
+      firstMatch.index + firstMatch[1].length,
+    ).replace(pattern, '$1<mark>$2</mark>');
+    highlights.push({ field, snippet });
+    return highlights;
+  }, []);
+}
+
+export {
+  normalizeSearchText,
+  tokenizeSearch,
+  buildSearchKeywords,
+  buildSearchFilter,
+  buildSearchHighlights,
+};
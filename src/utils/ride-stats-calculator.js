@@ -2,6 +2,13 @@
  * Utility functions for calculating motorcycle ride statistics
  */
 
+import { GpsPointFlag } from './constants.js';
+import {
+  MAX_OUTLIERS_IN_ROW,
+  classifyGpsPoint,
+  isPlausibleSpeed,
+} from './gps-filter.js';
+
 /**
  * Calculate distance between two GPS coordinates using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -118,95 +125,186 @@ function isSharpTurn(leanAngle, speed) {
 }
 
 /**
- * Calculate comprehensive ride statistics from tracking data
- * @param {Array} pathData - Array of tracking points
- * @returns {Object} Calculated statistics
+ * Create empty running totals for ride statistics
+ * @returns {Object} Accumulator for accumulateRideStats
  */
-function calculateRideStats(pathData) {
-  if (!pathData || pathData.length < 2) {
-    return {
-      totalDistance: 0,
-      averageSpeed: 0,
-      maxSpeed: 0,
-      totalDuration: 0,
-    };
-  }
+function createStatsAccumulator() {
+  return {
+    pointCount: 0,
+    totalDistance: 0,
+    speedSum: 0,
+    speedCount: 0,
+    maxSpeed: 0,
+    firstTimestamp: null,
+    lastTimestamp: null,
+    lastCoordinates: null,
+    // Last point trusted by the GPS filter
+    anchorTimestamp: null,
+    anchorCoordinates: null,
+    outliersInRow: 0,
+  };
+}
 
-  let totalDistance = 0;
-  let totalSpeed = 0;
-  let speedCount = 0;
-  let maxSpeed = 0;
+/**
+ * Add one tracking point to running totals
+ * Distance and speed are measured from the last trusted point, so flagged
+ * points (see utils/gps-filter.js) do not count.
+ * @param {Object} accumulator - Running totals, updated in place
+ * @param {Object} curr - Tracking point
+ * @returns {string|null} GpsPointFlag of the point, or null if trusted
+ */
+function addPointToTotals(accumulator, curr) {
+  const currTime = new Date(curr.timestamp).getTime();
+  const currCoordinates = curr.coordinates?.coordinates || null;
+  // Accumulators saved before filtering existed have no anchor yet
+  const anchorCoordinates = accumulator.anchorCoordinates?.length
+    ? accumulator.anchorCoordinates
+    : accumulator.lastCoordinates;
+  const anchorTimestamp =
+    accumulator.anchorTimestamp || accumulator.lastTimestamp;
+  let flag = null;
 
-  // Sort by timestamp to ensure correct order
-  const sortedPath = [...pathData].sort(
-    (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
-  );
+  // Skip if timestamps are identical (duplicate points)
+  const isDuplicate =
+    accumulator.lastTimestamp &&
+    currTime === new Date(accumulator.lastTimestamp).getTime();
 
-  for (let i = 1; i < sortedPath.length; i += 1) {
-    const prev = sortedPath[i - 1];
-    const curr = sortedPath[i];
-
-    // Skip if timestamps are identical (duplicate points)
-    if (
-      new Date(curr.timestamp).getTime() !== new Date(prev.timestamp).getTime()
-    ) {
-      // Calculate distance
-      if (prev.coordinates && curr.coordinates) {
-        const distance = calculateDistance(
-          prev.coordinates.coordinates[1], // lat
-          prev.coordinates.coordinates[0], // lon
-          curr.coordinates.coordinates[1], // lat
-          curr.coordinates.coordinates[0], // lon
-        );
-        totalDistance += distance;
-      }
+  if (!isDuplicate && currCoordinates) {
+    const distance = anchorCoordinates?.length
+      ? calculateDistance(
+          anchorCoordinates[1], // lat
+          anchorCoordinates[0], // lon
+          currCoordinates[1], // lat
+          currCoordinates[0], // lon
+        )
+      : null;
+    const timeDiff =
+      distance === null ? 0 : currTime - new Date(anchorTimestamp).getTime();
+
+    flag = classifyGpsPoint({ accuracy: curr.accuracy, distance, timeDiff });
+
+    // After several outliers in a row the anchor is the likely bad fix
+    const reanchor =
+      flag === GpsPointFlag.IMPOSSIBLE_JUMP &&
+      accumulator.outliersInRow + 1 >= MAX_OUTLIERS_IN_ROW;
 
-      // Calculate speed if not provided
-      if (curr.speed !== undefined && curr.speed !== null) {
-        // Use the provided speed
-        totalSpeed += curr.speed;
-        speedCount += 1;
-        maxSpeed = Math.max(maxSpeed, curr.speed);
-      } else if (prev.coordinates && curr.coordinates) {
-        const timeDiff = new Date(curr.timestamp) - new Date(prev.timestamp);
+    if (flag && !reanchor) {
+      if (flag === GpsPointFlag.IMPOSSIBLE_JUMP) accumulator.outliersInRow += 1;
+      if (flag === GpsPointFlag.STATIONARY_JITTER)
+        accumulator.outliersInRow = 0;
+    } else {
+      flag = null;
+      if (distance !== null && !reanchor) {
+        accumulator.totalDistance += distance;
 
+        // Calculate speed if not provided or implausible
+        let speed = isPlausibleSpeed(curr.speed) ? curr.speed : null;
         // Only process if time difference is reasonable (at least 1 second)
-        if (timeDiff >= 1000) {
-          const speed = calculateSpeed(
-            prev.coordinates.coordinates[1], // lat
-            prev.coordinates.coordinates[0], // lon
-            curr.coordinates.coordinates[1], // lat
-            curr.coordinates.coordinates[0], // lon
+        if (speed === null && timeDiff >= 1000) {
+          speed = calculateSpeed(
+            anchorCoordinates[1],
+            anchorCoordinates[0],
+            currCoordinates[1],
+            currCoordinates[0],
             timeDiff,
           );
-
           // Add speed if it's valid (not 0 from distance filtering)
-          if (speed > 0) {
-            totalSpeed += speed;
-            speedCount += 1;
-            maxSpeed = Math.max(maxSpeed, speed);
-          }
+          if (speed <= 0) speed = null;
+        }
+
+        if (speed !== null) {
+          accumulator.speedSum += speed;
+          accumulator.speedCount += 1;
+          accumulator.maxSpeed = Math.max(accumulator.maxSpeed, speed);
         }
       }
+
+      accumulator.anchorCoordinates = currCoordinates;
+      accumulator.anchorTimestamp = curr.timestamp;
+      accumulator.outliersInRow = 0;
     }
   }
 
+  accumulator.pointCount += 1;
+  accumulator.firstTimestamp = accumulator.firstTimestamp ?? curr.timestamp;
+  accumulator.lastTimestamp = curr.timestamp;
+  accumulator.lastCoordinates = currCoordinates;
+
+  return flag;
+}
+
+/**
+ * Add tracking points to running ride statistics
+ * Points must be sorted by timestamp and come after the last point already
+ * counted, so stats can be kept up to date without re-reading the path.
+ * @param {Object} [accumulator] - Running totals (empty if omitted)
+ * @param {Array} points - Tracking points sorted by timestamp
+ * @returns {Object} Updated running totals
+ */
+function accumulateRideStats(accumulator, points) {
+  const totals = { ...createStatsAccumulator(), ...accumulator };
+  points.forEach((point) => addPointToTotals(totals, point));
+  return totals;
+}
+
+/**
+ * Flag the tracking points the GPS filter does not trust
+ * Uses the same rules and running state as accumulateRideStats.
+ * @param {Object} [accumulator] - Running totals before the points
+ * @param {Array} points - Tracking points sorted by timestamp
+ * @returns {Array<string|null>} GpsPointFlag per point, null if trusted
+ */
+function flagTrackingPoints(accumulator, points) {
+  const totals = { ...createStatsAccumulator(), ...accumulator };
+  return points.map((point) => addPointToTotals(totals, point));
+}
+
+/**
+ * Turn running totals into ride statistics
+ * @param {Object} accumulator - Running totals from accumulateRideStats
+ * @returns {Object} Calculated statistics
+ */
+function summarizeRideStats(accumulator) {
+  const { totalDistance, speedSum, speedCount, maxSpeed } = accumulator;
   const totalDuration =
-    sortedPath.length > 0
-      ? (new Date(sortedPath[sortedPath.length - 1].timestamp) -
-          new Date(sortedPath[0].timestamp)) /
+    accumulator.firstTimestamp && accumulator.lastTimestamp
+      ? (new Date(accumulator.lastTimestamp) -
+          new Date(accumulator.firstTimestamp)) /
         1000 // in seconds
       : 0;
 
   return {
     totalDistance: Math.round(totalDistance * 100) / 100, // in meters
     averageSpeed:
-      speedCount > 0 ? Math.round((totalSpeed / speedCount) * 100) / 100 : 0, // in m/s
+      speedCount > 0 ? Math.round((speedSum / speedCount) * 100) / 100 : 0, // in m/s
     maxSpeed: Math.round(maxSpeed * 100) / 100, // in m/s
     totalDuration: Math.round(totalDuration * 100) / 100, // in seconds
   };
 }
 
+/**
+ * Calculate comprehensive ride statistics from tracking data
+ * @param {Array} pathData - Array of tracking points
+ * @returns {Object} Calculated statistics
+ */
+function calculateRideStats(pathData) {
+  if (!pathData || pathData.length < 2) {
+    return {
+      totalDistance: 0,
+      averageSpeed: 0,
+      maxSpeed: 0,
+      totalDuration: 0,
+    };
+  }
+
+  // Sort by timestamp to ensure correct order
+  const sortedPath = [...pathData].sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
+  );
+
+  return summarizeRideStats(accumulateRideStats(undefined, sortedPath));
+}
+
 /**
  * Calculate aggregated ride statistics from multiple participants
  * @param {Array} participantStats - Array of participant statistics
@@ -260,6 +358,10 @@ export {
   isHardBraking,
   isHardAcceleration,
   isSharpTurn,
+  createStatsAccumulator,
+  accumulateRideStats,
+  flagTrackingPoints,
+  summarizeRideStats,
   calculateRideStats,
   calculateAggregatedRideStats,
 };
@@ -0,0 +1,409 @@
+/**
+ * Utility functions for importing planned routes from GPX and KML files
+ *
+ * Parsed files are normalised into a single polyline (tracks first, then
+ * routes/line strings) and a list of named waypoints. Every validation
+ * error points at the offending element, e.g. `gpx/trk[1]/trkseg[2]/trkpt[14]`.
+ */
+
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+
+const MAX_ROUTE_POINTS = 20000;
+const MAX_WAYPOINTS = 100;
+
+const SupportedRouteFileFormats = ['gpx', 'kml'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  removeNSPrefix: true,
+  trimValues: true,
+  isArray: (name) =>
+    [
+      'trk',
+      'trkseg',
+      'trkpt',
+      'rte',
+      'rtept',
+      'wpt',
+      'Document',
+      'Folder',
+      'Placemark',
+      'LineString',
+      'Point',
+      'Track',
+      'coord',
+    ].includes(name),
+});
+
+/**
+ * Detect the file format from its root element
+ * @param {string} content - Raw file content
+ * @returns {string|null} 'gpx', 'kml' or null if unknown
+ */
+function detectRouteFileFormat(content) {
+  if (/<gpx[\s>]/i.test(content)) return 'gpx';
+  if (/<kml[\s>]/i.test(content)) return 'kml';
+  return null;
+}
+
+/**
+ * Read text content from a parsed node (handles nodes with attributes)
+ * @param {*} node - Parsed XML node
+ * @returns {string|undefined} Text value
+ */
+function getText(node) {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'object') return getText(node['#text']);
+  const text = String(node).trim();
+  return text.length > 0 ? text : undefined;
+}
+
+/**
+ * Parse and validate a longitude/latitude pair
+ * @param {*} lon - Longitude value
+ * @param {*} lat - Latitude value
+ * @returns {Array<number>|null} [longitude, latitude] or null if invalid
+ */
+function toCoordinatePair(lon, lat) {
+  const longitude = parseFloat(lon);
+  const latitude = parseFloat(lat);
+
+  if (
+    Number.isNaN(longitude) ||
+    Number.isNaN(latitude) ||
+    longitude < -180 ||
+    longitude > 180 ||
+    latitude < -90 ||
+    latitude > 90
+  ) {
+    return null;
+  }
+
+  return [longitude, latitude];
+}
+
+/**
+ * Parse a GPX point element (trkpt, rtept or wpt)
+ * @param {Object} point - Parsed point node
+ * @param {string} element - Element path used in error messages
+ * @param {Array} errors - Error accumulator
+ * @returns {Array<number>|null} [longitude, latitude] or null if invalid
+ */
+function parseGpxPoint(point, element, errors) {
+  if (point?.['@_lat'] === undefined || point?.['@_lon'] === undefined) {
+    errors.push({ element, message: 'Missing lat or lon attribute' });
+    return null;
+  }
+
+  const coordinates = toCoordinatePair(point['@_lon'], point['@_lat']);
+  if (!coordinates) {
+    errors.push({
+      element,
+      message: `Invalid coordinates lat="${point['@_lat']}" lon="${point['@_lon']}"`,
+    });
+  }
+  return coordinates;
+}
+
+/**
+ * Parse GPX tracks, routes and waypoints
+ * @param {Object} gpx - Parsed <gpx> root node
+ * @param {Array} errors - Error accumulator
+ * @returns {Object} Parsed route data
+ */
+function parseGpx(gpx, errors) {
+  const trackCoordinates = [];
+  const routeCoordinates = [];
+  const waypoints = [];
+
+  (gpx.trk || []).forEach((track, trackIndex) => {
+    (track.trkseg || []).forEach((segment, segmentIndex) => {
+      (segment.trkpt || []).forEach((point, pointIndex) => {
+        const coordinates = parseGpxPoint(
+          point,
+          `gpx/trk[${trackIndex + 1}]/trkseg[${segmentIndex + 1}]/trkpt[${pointIndex + 1}]`,
+          errors,
+        );
+        if (coordinates) trackCoordinates.push(coordinates);
+      });
+    });
+  });
+
+  (gpx.rte || []).forEach((route, routeIndex) => {
+    (route.rtept || []).forEach((point, pointIndex) => {
+      const element = `gpx/rte[${routeIndex + 1}]/rtept[${pointIndex + 1}]`;
+      const coordinates = parseGpxPoint(point, element, errors);
+      if (!coordinates) return;
+
+      routeCoordinates.push(coordinates);
+      // Named route points are the stops the author planned along the way
+      const name = getText(point.name);
+      if (name) {
+        waypoints.push({
+          name,
+          description: getText(point.desc),
+          coordinates,
+        });
+      }
+    });
+  });
+
+  (gpx.wpt || []).forEach((point, pointIndex) => {
+    const coordinates = parseGpxPoint(
+      point,
+      `gpx/wpt[${pointIndex + 1}]`,
+      errors,
+    );
+    if (!coordinates) return;
+
+    waypoints.push({
+      name: getText(point.name),
+      description: getText(point.desc),
+      coordinates,
+    });
+  });
+
+  const metadataName = getText(gpx.metadata?.name);
+  const firstTrack = gpx.trk?.[0];
+  const firstRoute = gpx.rte?.[0];
+
+  return {
+    name:
+      metadataName || getText(firstTrack?.name) || getText(firstRoute?.name),
+    description:
+      getText(gpx.metadata?.desc) ||
+      getText(firstTrack?.desc) ||
+      getText(firstRoute?.desc),
+    coordinates:
+      trackCoordinates.length > 0 ? trackCoordinates : routeCoordinates,
+    waypoints,
+  };
+}
+
+/**
+ * Parse a KML coordinate string ("lon,lat[,alt] lon,lat[,alt] ...")
+ * @param {string} text - Coordinate string
+ * @param {string} element - Element path used in error messages
+ * @param {Array} errors - Error accumulator
+ * @returns {Array<Array<number>>} Parsed coordinates
+ */
+function parseKmlCoordinates(text, element, errors) {
+  if (!text) {
+    errors.push({ element, message: 'Missing coordinates' });
+    return [];
+  }
+
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .reduce((acc, tuple, tupleIndex) => {
+      const [lon, lat] = tuple.split(',');
+      const coordinates = toCoordinatePair(lon, lat);
+      if (!coordinates) {
+        errors.push({
+          element: `${element}[${tupleIndex + 1}]`,
+          message: `Invalid coordinate tuple "${tuple}"`,
+        });
+      } else {
+        acc.push(coordinates);
+      }
+      return acc;
+    }, []);
+}
+
+/**
+ * Collect geometry from a KML Placemark (or its MultiGeometry)
+ * @param {Object} geometryParent - Placemark or MultiGeometry node
+ * @param {string} path - Element path used in error messages
+ * @param {Object} result - Accumulator with lineCoordinates and points
+ * @param {Array} errors - Error accumulator
+ */
+function collectKmlGeometry(geometryParent, path, result, errors) {
+  (geometryParent.LineString || []).forEach((line, lineIndex) => {
+    const element = `${path}/LineString[${lineIndex + 1}]/coordinates`;
+    result.lineCoordinates.push(
+      ...parseKmlCoordinates(getText(line.coordinates), element, errors),
+    );
+  });
+
+  // gx:Track stores one "lon lat alt" tuple per <gx:coord>
+  (geometryParent.Track || []).forEach((track, trackIndex) => {
+    (track.coord || []).forEach((coord, coordIndex) => {
+      const element = `${path}/gx:Track[${trackIndex + 1}]/gx:coord[${coordIndex + 1}]`;
+      const [lon, lat] = (getText(coord) || '').split(/\s+/);
+      const coordinates = toCoordinatePair(lon, lat);
+      if (!coordinates) {
+        errors.push({ element, message: `Invalid coordinate "${coord}"` });
+      } else {
+        result.lineCoordinates.push(coordinates);
+      }
+    });
+  });
+
+  (geometryParent.Point || []).forEach((point, pointIndex) => {
+    const element = `${path}/Point[${pointIndex + 1}]/coordinates`;
+    const [coordinates] = parseKmlCoordinates(
+      getText(point.coordinates),
+      element,
+      errors,
+    );
+    if (coordinates) result.points.push(coordinates);
+  });
+
+  if (geometryParent.MultiGeometry) {
+    collectKmlGeometry(
+      geometryParent.MultiGeometry,
+      `${path}/MultiGeometry`,
+      result,
+      errors,
+    );
+  }
+}
+
+/**
+ * Walk KML Documents and Folders collecting placemarks in document order
+ * @param {Object} container - kml, Document or Folder node
+ * @param {string} path - Element path used in error messages
+ * @param {Object} result - Accumulator
+ * @param {Array} errors - Error accumulator
+ */
+function walkKmlContainer(container, path, result, errors) {
+  (container.Placemark || []).forEach((placemark, placemarkIndex) => {
+    const placemarkPath = `${path}/Placemark[${placemarkIndex + 1}]`;
+    const geometry = { lineCoordinates: [], points: [] };
+
+    collectKmlGeometry(placemark, placemarkPath, geometry, errors);
+
+    result.coordinates.push(...geometry.lineCoordinates);
+    geometry.points.forEach((coordinates) => {
+      result.waypoints.push({
+        name: getText(placemark.name),
+        description: getText(placemark.description),
+        coordinates,
+      });
+    });
+  });
+
+  ['Document', 'Folder'].forEach((childName) => {
+    (container[childName] || []).forEach((child, childIndex) => {
+      walkKmlContainer(
+        child,
+        `${path}/${childName}[${childIndex + 1}]`,
+        result,
+        errors,
+      );
+    });
+  });
+}
+
+/**
+ * Parse a GPX or KML file into route geometry and waypoints
+ * @param {string} content - Raw file content
+ * @param {string} [format] - 'gpx' or 'kml' (detected from content if omitted)
+ * @returns {Object} { isValid, errors, format, route }
+ */
+function parseRouteFile(content, format) {
+  const errors = [];
+
+  if (!content || typeof content !== 'string') {
+    return {
+      isValid: false,
+      errors: [{ element: 'content', message: 'File content is required' }],
+    };
+  }
+
+  const requestedFormat = format || detectRouteFileFormat(content);
+  // Anything but a string (e.g. a number from a JSON body) is unsupported
+  const fileFormat =
+    typeof requestedFormat === 'string' ? requestedFormat.toLowerCase() : null;
+  if (!SupportedRouteFileFormats.includes(fileFormat)) {
+    return {
+      isValid: false,
+      errors: [
+        {
+          element: 'format',
+          message: `Unsupported file format. Supported formats are: ${SupportedRouteFileFormats.join(', ')}`,
+        },
+      ],
+    };
+  }
+
+  const xmlValidation = XMLValidator.validate(content);
+  if (xmlValidation !== true) {
+    const { line, col, msg } = xmlValidation.err;
+    return {
+      isValid: false,
+      format: fileFormat,
+      errors: [{ element: `line ${line}, column ${col}`, message: msg }],
+    };
+  }
+
+  const document = parser.parse(content);
+  let route;
+
+  if (fileFormat === 'gpx') {
+    if (!document.gpx) {
+      return {
+        isValid: false,
+        format: fileFormat,
+        errors: [{ element: 'gpx', message: 'Missing <gpx> root element' }],
+      };
+    }
+    route = parseGpx(document.gpx, errors);
+  } else {
+    if (!document.kml) {
+      return {
+        isValid: false,
+        format: fileFormat,
+        errors: [{ element: 'kml', message: 'Missing <kml> root element' }],
+      };
+    }
+    const container = document.kml.Document?.[0] || document.kml.Folder?.[0];
+    route = {
+      name: getText(container?.name),
+      description: getText(container?.description),
+      coordinates: [],
+      waypoints: [],
+    };
+    walkKmlContainer(document.kml, 'kml', route, errors);
+  }
+
+  if (errors.length === 0) {
+    if (route.coordinates.length < 2) {
+      errors.push({
+        element: fileFormat,
+        message:
+          'File must contain a track, route or line string with at least 2 points',
+      });
+    } else if (route.coordinates.length > MAX_ROUTE_POINTS) {
+      errors.push({
+        element: fileFormat,
+        message: `Route has ${route.coordinates.length} points. Maximum allowed is ${MAX_ROUTE_POINTS}`,
+      });
+    }
+
+    if (route.waypoints.length > MAX_WAYPOINTS) {
+      errors.push({
+        element: fileFormat,
+        message: `File has ${route.waypoints.length} waypoints. Maximum allowed is ${MAX_WAYPOINTS}`,
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    format: fileFormat,
+    route,
+  };
+}
+
+export {
+  SupportedRouteFileFormats,
+  MAX_ROUTE_POINTS,
+  MAX_WAYPOINTS,
+  detectRouteFileFormat,
+  parseRouteFile,
+};
@@ -0,0 +1,244 @@
+/**
+ * Utility functions for exporting travelled routes as GPX, GeoJSON and KML
+ *
+ * Each exported track is one participant's recorded path. Timestamps are
+ * always written; speed (m/s) and heading (degrees) are written when the
+ * point has them.
+ */
+
+const RouteExportFormat = {
+  gpx: {
+    contentType: 'application/gpx+xml',
+    extension: 'gpx',
+  },
+  geojson: {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+  },
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+  },
+};
+
+/**
+ * Escape a value for use in XML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Normalise a tracking path point for export
+ * @param {Object} point - RideTracking path point
+ * @returns {Object} { time, longitude, latitude, speed, heading }
+ */
+function toExportPoint(point) {
+  const [longitude, latitude] = point.coordinates.coordinates;
+  return {
+    time: new Date(point.timestamp).toISOString(),
+    longitude,
+    latitude,
+    speed: typeof point.speed === 'number' ? point.speed : null,
+    heading: typeof point.heading === 'number' ? point.heading : null,
+  };
+}
+
+/**
+ * Sort a tracking path by timestamp and normalise its points
+ * Points flagged by the GPS filter are left out.
+ * @param {Array} path - RideTracking path
+ * @returns {Array} Export points
+ */
+function toExportPoints(path) {
+  return path
+    .filter((point) => !point.flag)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(toExportPoint);
+}
+
+/**
+ * Build a GPX 1.1 document. Speed and heading use the Garmin
+ * TrackPointExtension, which most mapping tools understand.
+ * @param {Object} data - { name, tracks: [{ userId, name, path }] }
+ * @returns {string} GPX document
+ */
+function buildGpx({ name, tracks }) {
+  const trackXml = tracks
+    .map((track) => {
+      const points = toExportPoints(track.path)
+        .map((point) => {
+          const extensions = [];
+          if (point.speed !== null) {
+            extensions.push(`<gpxtpx:speed>${point.speed}</gpxtpx:speed>`);
+          }
+          if (point.heading !== null) {
+            extensions.push(`<gpxtpx:course>${point.heading}</gpxtpx:course>`);
+          }
+
+          return [
+            `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+            `        <time>${point.time}</time>`,
+            extensions.length > 0
+              ? `        <extensions><gpxtpx:TrackPointExtension>${extensions.join('')}</gpxtpx:TrackPointExtension></extensions>`
+              : null,
+            '      </trkpt>',
+          ]
+            .filter(Boolean)
+            .join('\n');
+        })
+        .join('\n');
+
+      return [
+        '  <trk>',
+        `    <name>${escapeXml(track.name)}</name>`,
+        '    <trkseg>',
+        points,
+        '    </trkseg>',
+        '  </trk>',
+      ].join('\n');
+    })
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Ridemate" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">',
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    trackXml,
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with one LineString per track.
+ * Per-point data is stored in parallel property arrays (coordTimes,
+ * speeds, headings) following the convention used by togeojson.
+ * @param {Object} data - { name, tracks: [{ userId, name, path }] }
+ * @returns {string} GeoJSON document
+ */
+function buildGeoJSON({ name, tracks }) {
+  const featureCollection = {
+    type: 'FeatureCollection',
+    name,
+    features: tracks.map((track) => {
+      const points = toExportPoints(track.path);
+      return {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: points.map((point) => [point.longitude, point.latitude]),
+        },
+        properties: {
+          userId: track.userId,
+          name: track.name,
+          coordTimes: points.map((point) => point.time),
+          speeds: points.map((point) => point.speed),
+          headings: points.map((point) => point.heading),
+          stats: track.stats || null,
+        },
+      };
+    }),
+  };
+
+  return JSON.stringify(featureCollection);
+}
+
+/**
+ * Build a KML 2.2 document with one gx:Track placemark per track
+ * @param {Object} data - { name, tracks: [{ userId, name, path }] }
+ * @returns {string} KML document
+ */
+function buildKml({ name, tracks }) {
+  const placemarks = tracks
+    .map((track) => {
+      const points = toExportPoints(track.path);
+      const whens = points
+        .map((point) => `        <when>${point.time}</when>`)
+        .join('\n');
+      const coords = points
+        .map(
+          (point) =>
+            `        <gx:coord>${point.longitude} ${point.latitude} 0</gx:coord>`,
+        )
+        .join('\n');
+      const speeds = points
+        .map(
+          (point) => `              <gx:value>${point.speed ?? ''}</gx:value>`,
+        )
+        .join('\n');
+      const headings = points
+        .map(
+          (point) =>
+            `              <gx:value>${point.heading ?? ''}</gx:value>`,
+        )
+        .join('\n');
+
+      return [
+        '    <Placemark>',
+        `      <name>${escapeXml(track.name)}</name>`,
+        '      <gx:Track>',
+        whens,
+        coords,
+        '        <ExtendedData>',
+        '          <SchemaData schemaUrl="#trackData">',
+        '            <gx:SimpleArrayData name="speed">',
+        speeds,
+        '            </gx:SimpleArrayData>',
+        '            <gx:SimpleArrayData name="heading">',
+        headings,
+        '            </gx:SimpleArrayData>',
+        '          </SchemaData>',
+        '        </ExtendedData>',
+        '      </gx:Track>',
+        '    </Placemark>',
+      ].join('\n');
+    })
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Schema id="trackData">',
+    '      <gx:SimpleArrayField name="speed" type="float"><displayName>Speed (m/s)</displayName></gx:SimpleArrayField>',
+    '      <gx:SimpleArrayField name="heading" type="float"><displayName>Heading (degrees)</displayName></gx:SimpleArrayField>',
+    '    </Schema>',
+    placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build a route export file
+ * @param {string} format - 'gpx', 'geojson' or 'kml'
+ * @param {Object} data - { name, tracks: [{ userId, name, path, stats }] }
+ * @returns {string} File content
+ */
+function buildRouteFile(format, data) {
+  switch (format) {
+    case 'gpx':
+      return buildGpx(data);
+    case 'geojson':
+      return buildGeoJSON(data);
+    case 'kml':
+      return buildKml(data);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+export { RouteExportFormat, buildGpx, buildGeoJSON, buildKml, buildRouteFile };
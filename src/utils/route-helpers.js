@@ -0,0 +1,163 @@
+/**
+ * Utility functions for planned routes (RoutePath)
+ */
+
+import { calculateDistance } from './ride-stats-calculator.js';
+
+// Default cruising speed used to estimate route duration (~50 km/h)
+const DEFAULT_ROUTE_SPEED = 13.89; // in m/s
+
+/**
+ * Check that a value is a [longitude, latitude] pair within valid ranges
+ * @param {Array} point - Coordinate pair
+ * @returns {boolean} True if the pair is valid
+ */
+function isValidCoordinatePair(point) {
+  return (
+    Array.isArray(point) &&
+    point.length === 2 &&
+    typeof point[0] === 'number' &&
+    typeof point[1] === 'number' &&
+    point[0] >= -180 &&
+    point[0] <= 180 &&
+    point[1] >= -90 &&
+    point[1] <= 90
+  );
+}
+
+/**
+ * Calculate cumulative distances along a polyline
+ * @param {Array<Array<number>>} coordinates - Array of [longitude, latitude]
+ * @returns {Array<number>} Distance in meters from the first point to each point
+ */
+function getCumulativeDistances(coordinates) {
+  const cumulative = [0];
+  for (let i = 1; i < coordinates.length; i += 1) {
+    const [prevLon, prevLat] = coordinates[i - 1];
+    const [lon, lat] = coordinates[i];
+    cumulative.push(
+      cumulative[i - 1] + calculateDistance(prevLat, prevLon, lat, lon),
+    );
+  }
+  return cumulative;
+}
+
+/**
+ * Calculate route distance and estimated duration
+ * @param {Array<Array<number>>} coordinates - Array of [longitude, latitude]
+ * @param {number} [averageSpeed] - Expected average speed in m/s
+ * @returns {Object} Distance in meters and estimated duration in seconds
+ */
+function computeRouteMetrics(coordinates, averageSpeed) {
+  const cumulative = getCumulativeDistances(coordinates);
+  const distance = cumulative[cumulative.length - 1];
+  const speed = averageSpeed || DEFAULT_ROUTE_SPEED;
+
+  return {
+    distance: Math.round(distance * 100) / 100, // in meters
+    estimatedDuration: Math.round(distance / speed), // in seconds
+  };
+}
+
+/**
+ * Build ordered route waypoints with their distance along the route
+ * Each waypoint is snapped to the closest route vertex to estimate how far
+ * along the route it lies.
+ * @param {Array} waypoints - Waypoints as { name, coordinates, order }
+ * @param {Array<Array<number>>} coordinates - Route geometry
+ * @returns {Array} Waypoints ready to be stored on a RoutePath
+ */
+function buildRouteWaypoints(waypoints, coordinates) {
+  if (!waypoints || waypoints.length === 0) return [];
+
+  const cumulative = getCumulativeDistances(coordinates);
+
+  return waypoints
+    .map((waypoint, index) => {
+      const [lon, lat] = waypoint.coordinates;
+      let closestIndex = 0;
+      let closestDistance = Infinity;
+
+      coordinates.forEach(([pointLon, pointLat], pointIndex) => {
+        const distance = calculateDistance(lat, lon, pointLat, pointLon);
+        if (distance < closestDistance) {
+          closestDistance = distance;
+          closestIndex = pointIndex;
+        }
+      });
+
+      return {
+        order: typeof waypoint.order === 'number' ? waypoint.order : index,
+        name: waypoint.name,
+        location: {
+          type: 'Point',
+          coordinates: waypoint.coordinates,
+        },
+        distanceFromStart: Math.round(cumulative[closestIndex] * 100) / 100,
+      };
+    })
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Validate route data from a request body
+ * @param {Object} data - Route data
+ * @param {boolean} [isUpdate=false] - Only validate provided fields
+ * @returns {Object} { isValid, errors }
+ */
+function validateRouteData(data, isUpdate = false) {
+  const errors = {};
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+      errors.name = 'Route name is required';
+    }
+  }
+
+  if (!isUpdate || data.coordinates !== undefined) {
+    if (!Array.isArray(data.coordinates) || data.coordinates.length < 2) {
+      errors.coordinates =
+        'Route coordinates must be an array of at least 2 [longitude, latitude] points';
+    } else {
+      const invalidIndex = data.coordinates.findIndex(
+        (point) => !isValidCoordinatePair(point),
+      );
+      if (invalidIndex !== -1) {
+        errors.coordinates = `Route point ${invalidIndex + 1} must be a valid [longitude, latitude] array`;
+      }
+    }
+  }
+
+  if (data.waypoints !== undefined) {
+    if (!Array.isArray(data.waypoints)) {
+      errors.waypoints = 'Waypoints must be an array';
+    } else {
+      const invalidIndex = data.waypoints.findIndex(
+        (waypoint) => !waypoint || !isValidCoordinatePair(waypoint.coordinates),
+      );
+      if (invalidIndex !== -1) {
+        errors.waypoints = `Waypoint ${invalidIndex + 1} coordinates must be provided as [longitude, latitude] array`;
+      }
+    }
+  }
+
+  if (data.averageSpeed !== undefined && data.averageSpeed !== null) {
+    if (typeof data.averageSpeed !== 'number' || data.averageSpeed < 1) {
+      errors.averageSpeed = 'Average speed must be a number of at least 1 m/s';
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+export {
+  DEFAULT_ROUTE_SPEED,
+  isValidCoordinatePair,
+  getCumulativeDistances,
+  computeRouteMetrics,
+  buildRouteWaypoints,
+  validateRouteData,
+};
@@ -0,0 +1,86 @@
+/**
+ * BullMQ Worker for Ride Lifecycle Transitions
+ *
+ * Processes the repeatable lifecycle job that completes stale active
+ * rides and expires planned rides that never started.
+ */
+
+import { Worker } from 'bullmq';
+import { logInfo, logError } from '../utils/logger.js';
+
+import { getBullMQConnection } from '../config/redis.js';
+import { runRideLifecycle } from '../services/ride-lifecycle.service.js';
+
+/**
+ * Process a lifecycle job
+ * @param {Object} job - BullMQ job
+ */
+async function processRideLifecycle(job) {
+  logInfo(`[RIDE LIFECYCLE] Processing lifecycle job ${job.id}`);
+
+  try {
+    return await runRideLifecycle();
+  } catch (error) {
+    logError('[RIDE LIFECYCLE] Error running lifecycle transitions:', error);
+    throw error; // Let BullMQ handle retries
+  }
+}
+
+// Create and start worker
+const startWorker = () => {
+  const worker = new Worker('ride-lifecycle', processRideLifecycle, {
+    connection: getBullMQConnection(),
+    concurrency: 1, // Lifecycle runs must not overlap
+  });
+
+  worker.on('completed', (job, result) => {
+    logInfo(
+      `[RIDE LIFECYCLE WORKER] Job ${job.id} completed:`,
+      `${result.completedCount} rides completed, ${result.expiredCount} rides expired`,
+    );
+  });
+
+  worker.on('failed', (job, err) => {
+    logError(
+      `[RIDE LIFECYCLE WORKER] Job ${job?.id} failed after ${job?.attemptsMade} attempts:`,
+      err.message,
+    );
+  });
+
+  worker.on('error', (err) => {
+    logError('[RIDE LIFECYCLE WORKER] Worker error:', err);
+  });
+
+  logInfo('✅ Ride Lifecycle Worker started successfully');
+  return worker;
+};
+
+// Start the worker and export reference
+function createWorker() {
+  try {
+    return startWorker();
+  } catch (error) {
+    logError('❌ Failed to start Ride Lifecycle Worker:', error.message);
+    // Don't crash the app if worker fails to start - Redis might be unavailable
+    return null;
+  }
+}
+
+const workerInstance = createWorker();
+
+/**
+ * Graceful shutdown for worker
+ */
+export async function shutdownWorker() {
+  if (workerInstance) {
+    logInfo('📦 Shutting down Ride Lifecycle Worker...');
+    try {
+      await workerInstance.close();
+      logInfo('✅ Ride Lifecycle Worker shut down gracefully');
+    } catch (error) {
+      logError('Error shutting down worker:', error.message);
+    }
+  }
+}
+
+export default workerInstance;
@@ -8,7 +8,7 @@
 import { Worker } from 'bullmq';
 import { logInfo, logError } from '../utils/logger.js';
 
-import { getRedisClient } from '../config/redis.js';
+import { getBullMQConnection } from '../config/redis.js';
 import Ride from '../models/ride.js';
 import { User } from '../models/user.js';
 import UserDevice from '../models/user-device.js';
@@ -188,30 +188,10 @@ async function processRideReminder(job) {
   }
 }
 
-/**
- * Create BullMQ worker connection options from Redis client
- * @returns {Object} BullMQ connection config
- */
-function getWorkerConnection() {
-  const redisClient = getRedisClient();
-
-  if (!redisClient) {
-    throw new Error('Redis client not initialized. Cannot create worker.');
-  }
-
-  return {
-    host: redisClient.options.host,
-    port: redisClient.options.port,
-    password: redisClient.options.password,
-    username: redisClient.options.username,
-    db: redisClient.options.db,
-  };
-}
-
 // Create and start worker
 const startWorker = () => {
   const worker = new Worker('ride-reminders', processRideReminder, {
-    connection: getWorkerConnection(),
+    connection: getBullMQConnection(),
     concurrency: 5, // Process up to 5 jobs concurrently
   });
 
@@ -0,0 +1,86 @@
+/**
+ * BullMQ Worker for Recurring Ride Series
+ *
+ * Processes the repeatable generation job and creates the upcoming
+ * rides of every active series.
+ */
+
+import { Worker } from 'bullmq';
+import { logInfo, logError } from '../utils/logger.js';
+
+import { getBullMQConnection } from '../config/redis.js';
+import { generateAllSeriesOccurrences } from '../services/ride-series.service.js';
+
+/**
+ * Process a series generation job
+ * @param {Object} job - BullMQ job
+ */
+async function processSeriesGeneration(job) {
+  logInfo(`[RIDE SERIES] Processing generation job ${job.id}`);
+
+  try {
+    return await generateAllSeriesOccurrences();
+  } catch (error) {
+    logError('[RIDE SERIES] Error generating series occurrences:', error);
+    throw error; // Let BullMQ handle retries
+  }
+}
+
+// Create and start worker
+const startWorker = () => {
+  const worker = new Worker('ride-series', processSeriesGeneration, {
+    connection: getBullMQConnection(),
+    concurrency: 1, // Generation runs are cheap and must not overlap
+  });
+
+  worker.on('completed', (job, result) => {
+    logInfo(
+      `[RIDE SERIES WORKER] Job ${job.id} completed:`,
+      `${result.createdCount} rides created for ${result.seriesCount} series`,
+    );
+  });
+
+  worker.on('failed', (job, err) => {
+    logError(
+      `[RIDE SERIES WORKER] Job ${job?.id} failed after ${job?.attemptsMade} attempts:`,
+      err.message,
+    );
+  });
+
+  worker.on('error', (err) => {
+    logError('[RIDE SERIES WORKER] Worker error:', err);
+  });
+
+  logInfo('✅ Ride Series Worker started successfully');
+  return worker;
+};
+
+// Start the worker and export reference
+function createWorker() {
+  try {
+    return startWorker();
+  } catch (error) {
+    logError('❌ Failed to start Ride Series Worker:', error.message);
+    // Don't crash the app if worker fails to start - Redis might be unavailable
+    return null;
+  }
+}
+
+const workerInstance = createWorker();
+
+/**
+ * Graceful shutdown for worker
+ */
+export async function shutdownWorker() {
+  if (workerInstance) {
+    logInfo('📦 Shutting down Ride Series Worker...');
+    try {
+      await workerInstance.close();
+      logInfo('✅ Ride Series Worker shut down gracefully');
+    } catch (error) {
+      logError('Error shutting down worker:', error.message);
+    }
+  }
+}
+
+export default workerInstance;
@@ -0,0 +1,92 @@
+/**
+ * BullMQ Worker for Ride Waitlist Offers
+ *
+ * Expires waitlist offers whose response deadline has passed and passes
+ * the spot on to the next rider in line.
+ */
+
+import { Worker } from 'bullmq';
+import { logInfo, logError } from '../utils/logger.js';
+
+import { getBullMQConnection } from '../config/redis.js';
+import { expireWaitlistOffer } from '../services/ride-waitlist.service.js';
+
+/**
+ * Process an offer expiry job
+ * @param {Object} job - BullMQ job
+ */
+async function processOfferExpiry(job) {
+  const { entryId } = job.data;
+
+  logInfo(`[RIDE WAITLIST] Processing offer expiry for entry ${entryId}`);
+
+  try {
+    const expired = await expireWaitlistOffer(entryId);
+    return { entryId, expired };
+  } catch (error) {
+    logError(
+      `[RIDE WAITLIST] Error expiring offer for entry ${entryId}:`,
+      error,
+    );
+    throw error; // Let BullMQ handle retries
+  }
+}
+
+// Create and start worker
+const startWorker = () => {
+  const worker = new Worker('ride-waitlist', processOfferExpiry, {
+    connection: getBullMQConnection(),
+    concurrency: 5,
+  });
+
+  worker.on('completed', (job, result) => {
+    logInfo(
+      `[RIDE WAITLIST WORKER] Job ${job.id} completed:`,
+      result.expired ? 'offer expired' : 'offer already answered',
+    );
+  });
+
+  worker.on('failed', (job, err) => {
+    logError(
+      `[RIDE WAITLIST WORKER] Job ${job?.id} failed after ${job?.attemptsMade} attempts:`,
+      err.message,
+    );
+  });
+
+  worker.on('error', (err) => {
+    logError('[RIDE WAITLIST WORKER] Worker error:', err);
+  });
+
+  logInfo('✅ Ride Waitlist Worker started successfully');
+  return worker;
+};
+
+// Start the worker and export reference
+function createWorker() {
+  try {
+    return startWorker();
+  } catch (error) {
+    logError('❌ Failed to start Ride Waitlist Worker:', error.message);
+    // Don't crash the app if worker fails to start - Redis might be unavailable
+    return null;
+  }
+}
+
+const workerInstance = createWorker();
+
+/**
+ * Graceful shutdown for worker
+ */
+export async function shutdownWorker() {
+  if (workerInstance) {
+    logInfo('📦 Shutting down Ride Waitlist Worker...');
+    try {
+      await workerInstance.close();
+      logInfo('✅ Ride Waitlist Worker shut down gracefully');
+    } catch (error) {
+      logError('Error shutting down worker:', error.message);
+    }
+  }
+}
+
+export default workerInstance;